@@ -0,0 +1,1622 @@
+#!/usr/bin/env node
+"use strict"
+
+const fs          = require("fs").promises;
+const {watchFile} = require("fs");
+const process     = require("process");
+
+const Ajv       = require("ajv");
+const yaml      = require("js-yaml");
+const yargs     = require("yargs/yargs");
+const {hideBin} = require("yargs/helpers");
+
+const {KasaWatcher,
+       HomeAssistantRestOutput,
+       MqttOutput,
+       RecordingOutput,
+       WebhookOutput,
+       CommandOutput,
+       HomeAssistantWebSocket,
+       StatusServer,
+       StateFile,
+       EventLog,
+       UnknownChildError,
+       parseHostEntry,
+       describeHostEntry,
+       logger,
+       getErrorFields,
+       LOG_LEVELS,
+       LOG_FORMATS,
+       EVENT_TYPES,
+       DEFAULT_DISCOVERY_TIMEOUT_MS,
+       DEFAULT_RECONCILE_INTERVAL_MS,
+       DEFAULT_SINK} = require("./index.js");
+
+
+/**
+ * The error thrown when the configuration, or a file it refers to, is invalid.
+ */
+class ConfigurationError extends Error
+{
+    /**
+     * Create a ConfigurationError.
+     *
+     * @param {string} a_message    What is wrong, possibly over several lines.
+     * @param {number} a_exit_code  The code kasa-watch exits with at startup.
+     */
+    constructor(a_message, a_exit_code)
+    {
+        super(a_message);
+        this.name      = "ConfigurationError";
+        this.exit_code = a_exit_code;
+    }
+};
+
+
+/**
+ * @typedef {Object} SwitchGroups
+ *
+ * An object that maps each Home Assistant binary sensor name to a
+ * {@link SwitchGroup} of Kasa switches.
+ */
+
+/**
+ * @typedef {Object} PowerSensor
+ *
+ * An object that represents a Kasa device with an energy meter.
+ *
+ * @property {HostEntry} host
+ *     The hostname or IP address of the device, optionally naming a child
+ *     outlet.
+ * @property {EnergyReadings} [min_change]
+ *     How much each reading has to change before its Home Assistant sensor is
+ *     updated.
+ */
+
+/**
+ * @typedef {Object} PowerSensors
+ *
+ * An object that maps each Home Assistant sensor name prefix to a
+ * {@link PowerSensor}.
+ */
+
+
+/**
+ * @typedef {Object} OutputConfiguration
+ *
+ * Which {@link Output} to use, along with the secret read for it. Either
+ * `mqtt` or `home_assistant_url` and `token` are set.
+ *
+ * @property {Object} [mqtt]
+ *     The URL and options of a {@link MqttOutput}.
+ * @property {string} [home_assistant_url]
+ *     The URL of Home Assistant for a {@link HomeAssistantRestOutput}.
+ * @property {string} [token]
+ *     The Home Assistant long-lived access token.
+ * @property {?Object} [websocket]
+ *     Whether to follow changes made in Home Assistant using its WebSocket API,
+ *     and if so whether they also set the switches, in `set_switches`.
+ */
+
+/**
+ * @typedef {Object} SinkConfiguration
+ *
+ * An extra output that switch groups can send their entities to, along with
+ * the secret read for it.
+ *
+ * @property {string} type
+ *     What kind of sink it is, "home_assistant", "webhook", or "command".
+ * @property {string} [url]
+ *     The URL of Home Assistant, for a {@link HomeAssistantRestOutput}, or of
+ *     the webhook, for a {@link WebhookOutput}.
+ * @property {?string} [token]
+ *     The Home Assistant long-lived access token, `null` if it wasn't read.
+ * @property {string} [method]
+ *     The HTTP method of a webhook.
+ * @property {Object.<string, string>} [headers]
+ *     Extra HTTP headers to send to a webhook.
+ * @property {*} [body]
+ *     The template of a webhook's JSON body.
+ * @property {string} [command]
+ *     The command a {@link CommandOutput} runs.
+ * @property {string[]} [args]
+ *     The templates of the command's arguments.
+ * @property {number} [timeout_ms]
+ *     How long the command may run, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} Configuration
+ *
+ * A validated configuration file, see {@link loadConfiguration}.
+ *
+ * @property {OutputConfiguration} output
+ *     Where to send the states of the Home Assistant entities.
+ * @property {number} poll_interval_ms
+ *     The interval at which to poll the Kasa devices, in miliseconds.
+ * @property {number} kasa_timeout_ms
+ *     The timeout to use when polling the Kasa devices, in miliseconds.
+ * @property {number} reconcile_interval_ms
+ *     The interval at which to check that Home Assistant has the states that
+ *     were sent to it, in miliseconds.
+ * @property {SwitchGroups} binary_sensors
+ *     The groups of Kasa switches to poll and their associated Home Assistant
+ *     binary sensor names.
+ * @property {PowerSensors} power_sensors
+ *     The Kasa devices whose energy meters to poll and their associated Home
+ *     Assistant sensor names.
+ * @property {DiscoveryOptions} discovery
+ *     How to find devices given by MAC address, device ID, or alias.
+ * @property {?StatusServerOptions} http_server
+ *     Where to serve the status of kasa-watch, if anywhere.
+ * @property {?string} state_file
+ *     Where to save the states of the switch groups across restarts, if
+ *     anywhere.
+ * @property {?string} event_log
+ *     Where to record the changes kasa-watch sees, if anywhere.
+ * @property {Object.<string, SinkConfiguration>} sinks
+ *     The extra outputs switch groups can send their entities to, by name.
+ */
+
+/**
+ * @typedef {Object} ReloadOptions
+ *
+ * Where the configuration is reloaded from, which happens whenever kasa-watch
+ * receives `SIGHUP`.
+ *
+ * @property {string} configuration_path
+ *     The path to the JSON or YAML configuration file.
+ * @property {string} [ha_token_file]
+ *     The path to the file containing the Home Assistant long-lived access
+ *     token.
+ * @property {bool} [watch=false]
+ *     Whether to also reload the configuration whenever the file changes.
+ */
+
+
+// The exit codes of kasa-watch, these are listed by `--help`.
+const INVALID_CLI_ARGS           =  1;
+const CANNOT_READ_TOKEN_FILE     =  2;
+const CANNOT_READ_CONFIG_FILE    =  3;
+const CANNOT_PARSE_CONFIG_FILE   =  4;
+const CONFIGRUATION_INVALID      =  5
+const MISSING_HA_URL             =  6;
+const INVALID_HA_URL             =  7;
+const MISSING_POLL_INTERVAL      =  8;
+const INVALID_POLL_INTERVAL      =  9;
+const NON_NUMERIC_POLL_INTERVAL  = 10;
+const NOT_POSITIVE_POLL_INTERVAL = 11;
+const MISSING_BINARY_SENSORS     = 12;
+const EMPTY_BINARY_SENSORS       = 13;
+const INVALID_BINARY_SENSORS     = 14;
+const NON_NUMERIC_KASA_TIMEOUT   = 15;
+const NOT_POSITIVE_KASA_TIMEOUT  = 16;
+const UNKNOWN_CHILD_OUTLET       = 17;
+const INVALID_POWER_SENSORS      = 18;
+const INVALID_MQTT               = 19;
+const CANNOT_READ_MQTT_PASSWORD_FILE = 20;
+const INVALID_DISCOVERY          = 21;
+const STARTUP_FAILED             = 22;
+const INVALID_RECONCILE_INTERVAL = 23;
+const INVALID_HTTP_SERVER        = 24;
+const INVALID_HA_WEBSOCKET       = 25;
+const UNKNOWN_GROUP              = 26;
+const SET_FAILED                 = 27;
+const NO_EVENT_LOG               = 28;
+const INVALID_SINKS              = 29;
+
+/**
+ * How often a watched configuration file is checked for changes, in
+ * milliseconds.
+ */
+const CONFIGURATION_WATCH_INTERVAL_MS = 1e3;
+
+/**
+ * Check a parsed configuration against `config.schema.json`, the errors are
+ * left in its `errors` property.
+ */
+const validateConfigurationSchema = new Ajv({allErrors:   true,
+                                             verbose:     true,
+                                             strictTypes: false})
+      .compile(require("./config.schema.json"));
+
+
+/**
+ * Get the options to pass to {@link KasaWatcher#addSwitchGroup addSwitchGroup()}
+ * for a switch group from the configuration.
+ *
+ * @param {SwitchGroup}     a_switch_group    The switch group's configuration.
+ * @param {SavedGroupState} [a_saved_state]   The switch group's saved state, if any.
+ * @param {SavedGroupState} [a_current_state] The state of the switch group it
+ *                                            replaces, if any.
+ *
+ * @returns {SwitchGroupOptions}  The options for the switch group.
+ */
+function getSwitchGroupOptions(a_switch_group, a_saved_state, a_current_state)
+{
+    return {mode:               a_switch_group.mode,
+            publish_brightness: a_switch_group.publish_brightness,
+            sync_switches:      a_switch_group.sync_switches,
+            sync_timeout_ms:    a_switch_group.sync_timeout_ms,
+            hold_off_ms:        a_switch_group.hold_off_ms,
+            oscillation:        a_switch_group.oscillation,
+            gestures:           a_switch_group.gestures,
+            poll_interval_ms:   a_switch_group.poll_interval_ms,
+            attributes:         a_switch_group.attributes,
+            saved_state:        a_saved_state,
+            current_state:      a_current_state,
+            sinks:              a_switch_group.sinks,
+
+            publish_connectivity:     a_switch_group.publish_connectivity,
+            connectivity_debounce_ms: a_switch_group.connectivity_debounce_ms};
+}
+
+/**
+ * Create the output described by the configuration.
+ *
+ * @param {OutputConfiguration} a_output_configuration  Which output to use.
+ *
+ * @returns {Output}  The new, unconnected, output.
+ */
+function createOutput(a_output_configuration)
+{
+    if (a_output_configuration.mqtt !== undefined)
+    {
+        const {url, ...options} = a_output_configuration.mqtt;
+        return new MqttOutput(url, options);
+    }
+
+    return new HomeAssistantRestOutput(a_output_configuration.home_assistant_url,
+                                       a_output_configuration.token);
+}
+
+/**
+ * Create the output for a configured sink.
+ *
+ * @param {SinkConfiguration} a_sink_configuration  The sink's configuration.
+ *
+ * @returns {Output}  The new, unconnected, output.
+ */
+function createSink(a_sink_configuration)
+{
+    switch (a_sink_configuration.type)
+    {
+    case "home_assistant":
+        return new HomeAssistantRestOutput(a_sink_configuration.url,
+                                           a_sink_configuration.token);
+    case "webhook":
+        return new WebhookOutput(a_sink_configuration.url,
+                                 {method:  a_sink_configuration.method,
+                                  headers: a_sink_configuration.headers,
+                                  body:    a_sink_configuration.body});
+    }
+    return new CommandOutput(a_sink_configuration.command,
+                             {args:       a_sink_configuration.args,
+                              timeout_ms: a_sink_configuration.timeout_ms});
+}
+
+/**
+ * Change what a running watcher watches to match a new configuration.
+ *
+ * Switch groups and power sensors that are the same in both configurations
+ * are left alone, keeping their state. Those that were removed are removed,
+ * those that were added are added, and those that changed are replaced. A
+ * replaced switch group starts from the state of the group it replaces, and an
+ * added one from its saved state, rather than deciding it from the switches
+ * again. A new Kasa timeout or new discovery options are applied to all
+ * devices. The output, sinks, status server, state file, and event log can't
+ * be changed without restarting.
+ *
+ * @param {KasaWatcher}   a_watcher            The watcher to change.
+ * @param {Configuration} a_old_configuration  The configuration it is using.
+ * @param {Configuration} a_new_configuration  The configuration to apply.
+ * @param {Object.<string, SavedGroupState>} [a_saved_states={}]
+ *     The saved states of the switch groups, by name, see {@link StateFile}.
+ *
+ * @returns {Configuration}
+ *     The configuration that was applied, which lacks any switch groups or
+ *     power sensors that couldn't be added.
+ */
+async function updateWatcher(a_watcher,
+                             a_old_configuration,
+                             a_new_configuration,
+                             a_saved_states={})
+{
+    const isSame = (a, b) => { return JSON.stringify(a) == JSON.stringify(b); };
+
+    let applied = {...a_new_configuration,
+                   output:         a_old_configuration.output,
+                   http_server:    a_old_configuration.http_server,
+                   state_file:     a_old_configuration.state_file,
+                   event_log:      a_old_configuration.event_log,
+                   sinks:          a_old_configuration.sinks,
+                   binary_sensors: {...a_new_configuration.binary_sensors},
+                   power_sensors:  {...a_new_configuration.power_sensors}};
+    if (!isSame(a_old_configuration.output, a_new_configuration.output))
+    {
+        logger.warn(`Changing "home_assistant_url", "mqtt" or their token or ` +
+                    `password requires a restart, they were not changed.`);
+    }
+    if (!isSame(a_old_configuration.http_server, a_new_configuration.http_server))
+    {
+        logger.warn(`Changing "http_server" requires a restart, it was not changed.`);
+    }
+    if (a_old_configuration.state_file != a_new_configuration.state_file)
+    {
+        logger.warn(`Changing "state_file" requires a restart, it was not changed.`);
+    }
+    if (a_old_configuration.event_log != a_new_configuration.event_log)
+    {
+        logger.warn(`Changing "event_log" requires a restart, it was not changed.`);
+    }
+    if (!isSame(a_old_configuration.sinks, a_new_configuration.sinks))
+    {
+        logger.warn(`Changing "sinks" requires a restart, they were not changed.`);
+    }
+
+    if (a_old_configuration.kasa_timeout_ms != a_new_configuration.kasa_timeout_ms)
+    {
+        a_watcher.setKasaTimeout(a_new_configuration.kasa_timeout_ms);
+    }
+    if (!isSame(a_old_configuration.discovery, a_new_configuration.discovery))
+    {
+        a_watcher.setDiscoveryOptions(a_new_configuration.discovery);
+    }
+
+    const current_states = a_watcher.getGroupStates();
+    for (const binary_sensor in a_old_configuration.binary_sensors)
+    {
+        if (!isSame(a_old_configuration.binary_sensors[binary_sensor],
+                    a_new_configuration.binary_sensors[binary_sensor]))
+        {
+            logger.info(`Removing the switch group '${binary_sensor}'.`,
+                        {group: binary_sensor});
+            a_watcher.removeSwitchGroup(binary_sensor);
+        }
+    }
+    for (const power_sensor in a_old_configuration.power_sensors)
+    {
+        if (!isSame(a_old_configuration.power_sensors[power_sensor],
+                    a_new_configuration.power_sensors[power_sensor]))
+        {
+            logger.info(`Removing the power sensor '${power_sensor}'.`,
+                        {sensor: power_sensor});
+            a_watcher.removePowerSensor(power_sensor);
+        }
+    }
+
+    for (const binary_sensor in a_new_configuration.binary_sensors)
+    {
+        const switch_group = a_new_configuration.binary_sensors[binary_sensor];
+        if (isSame(a_old_configuration.binary_sensors[binary_sensor], switch_group))
+        {
+            continue;
+        }
+
+        logger.info(`Adding the switch group '${binary_sensor}'.`, {group: binary_sensor});
+        try
+        {
+            await a_watcher.addSwitchGroup(binary_sensor,
+                                           switch_group.hosts,
+                                           switch_group.default_state,
+                                           getSwitchGroupOptions(switch_group,
+                                                                 a_saved_states[binary_sensor],
+                                                                 current_states[binary_sensor]));
+        }
+        catch (error)
+        {
+            logger.error(`Could not add the switch group '${binary_sensor}': ${error.message}`,
+                         {group: binary_sensor, ...getErrorFields(error)});
+            delete applied.binary_sensors[binary_sensor];
+        }
+    }
+    for (const power_sensor in a_new_configuration.power_sensors)
+    {
+        const power_sensor_configuration = a_new_configuration.power_sensors[power_sensor];
+        if (isSame(a_old_configuration.power_sensors[power_sensor],
+                   power_sensor_configuration))
+        {
+            continue;
+        }
+
+        logger.info(`Adding the power sensor '${power_sensor}'.`, {sensor: power_sensor});
+        try
+        {
+            await a_watcher.addPowerSensor(power_sensor,
+                                           power_sensor_configuration.host,
+                                           power_sensor_configuration.min_change);
+        }
+        catch (error)
+        {
+            logger.error(`Could not add the power sensor '${power_sensor}': ${error.message}`,
+                         {sensor: power_sensor, ...getErrorFields(error)});
+            delete applied.power_sensors[power_sensor];
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * Actually run kasa-watch.
+ *
+ * This function sets up the watcher and handles the polling interval.
+ * Devices and outputs that can't be reached don't stop the watcher from
+ * starting, they are retried in the background.
+ *
+ * The configuration is reloaded when `SIGHUP` is received, and optionally when
+ * the file changes, see {@link updateWatcher}. A configuration that isn't
+ * valid is logged and ignored. Polling pauses while the changes are applied.
+ * On `SIGINT` or `SIGTERM` the watcher and the connection to Home Assistant are
+ * stopped, after any reload and the polls that are running, and kasa-watch
+ * exits. A second signal exits straight away.
+ *
+ * If configured a {@link StatusServer} is started before any groups are added,
+ * so it can report on the startup, and changes made in Home Assistant are
+ * followed once they have been, see {@link HomeAssistantWebSocket}. With a
+ * {@link StateFile} the groups start from their saved states, which aren't
+ * sent again if the switches still agree with them.
+ *
+ * Each sink is connected and added before the groups, see
+ * {@link KasaWatcher#addSink addSink()}.
+ *
+ * A dry run only logs what would be sent, including to the sinks, see
+ * {@link RecordingOutput}. It doesn't follow Home Assistant, doesn't write the
+ * state file or event log, and doesn't read the token or password files when
+ * reloading.
+ *
+ * @throws {UnknownChildError} Will throw if a group names a child outlet that
+ *         does not exist.
+ * @throws Will throw if the watcher can't be set up for any other reason, for
+ *         example a power sensor's device has no energy meter.
+ *
+ * @param {Output} a_output
+ *     Where to send the states of the Home Assistant entities. It will be
+ *     connected before any groups are added.
+ * @param {Configuration} a_configuration
+ *     What to watch and how.
+ * @param {ReloadOptions} a_reload_options
+ *     Where to reload the configuration from.
+ * @param {bool} [a_dry_run=false]
+ *     Whether this is a dry run, `a_output` should then be a
+ *     {@link RecordingOutput}.
+ */
+async function run(a_output, a_configuration, a_reload_options, a_dry_run=false)
+{
+    let configuration = a_configuration;
+
+    await a_output.connect();
+    let watcher = new KasaWatcher(a_output,
+                                  configuration.kasa_timeout_ms,
+                                  false,
+                                  configuration.discovery);
+    if (configuration.http_server !== null)
+    {
+        await new StatusServer(watcher, configuration.http_server).listen();
+    }
+    if (configuration.event_log !== null && !a_dry_run)
+    {
+        new EventLog(configuration.event_log).follow(watcher);
+    }
+    for (const sink in configuration.sinks)
+    {
+        const output = (a_dry_run
+                        ? new RecordingOutput(sink) : createSink(configuration.sinks[sink]));
+        await output.connect();
+        watcher.addSink(sink, output);
+    }
+
+    const state_file   = (configuration.state_file !== null
+                           ? new StateFile(configuration.state_file) : null);
+    const saved_states = state_file !== null ? await state_file.load() : {};
+    for (const binary_sensor in configuration.binary_sensors)
+    {
+        const switch_group = configuration.binary_sensors[binary_sensor];
+        await watcher.addSwitchGroup(binary_sensor,
+                                     switch_group.hosts,
+                                     switch_group.default_state,
+                                     getSwitchGroupOptions(switch_group,
+                                                           saved_states[binary_sensor]));
+    }
+    if (state_file !== null && !a_dry_run)
+    {
+        state_file.follow(watcher);
+    }
+
+    for (const power_sensor in configuration.power_sensors)
+    {
+        await watcher.addPowerSensor(power_sensor,
+                                     configuration.power_sensors[power_sensor].host,
+                                     configuration.power_sensors[power_sensor].min_change);
+    }
+
+    const websocket    = configuration.output.websocket;
+    let   ha_websocket = null;
+    if (websocket && !a_dry_run)
+    {
+        ha_websocket = new HomeAssistantWebSocket(configuration.output.home_assistant_url,
+                                                  configuration.output.token);
+        ha_websocket.start(
+            (data) => {
+                const new_state = data.new_state;
+                watcher.handleExternalState(data.entity_id,
+                                            new_state ? new_state.state : null,
+                                            (new_state && new_state.context
+                                             ? new_state.context.id : null),
+                                            websocket.set_switches)
+                    .catch((error) => { logger.error(error.message, getErrorFields(error)); });
+            },
+            () => {
+                watcher.reconcile()
+                    .catch((error) => { logger.error(error.message, getErrorFields(error)); });
+            });
+    }
+
+    watcher.start(configuration.poll_interval_ms, configuration.reconcile_interval_ms);
+
+    const reload = async() => {
+        let new_configuration = null;
+        try
+        {
+            new_configuration = await loadConfiguration(a_reload_options.configuration_path,
+                                                        a_reload_options.ha_token_file,
+                                                        !a_dry_run);
+        }
+        catch (error)
+        {
+            if (!(error instanceof ConfigurationError))
+            {
+                throw error;
+            }
+
+            logger.error(`Keeping the current configuration, the new one is not ` +
+                         `valid:\n${error.message}`,
+                         {exit_code: error.exit_code});
+            return;
+        }
+
+        // Groups that are replaced or removed forget their gestures as they
+        // are removed, the others keep them.
+        await watcher.stop(false);
+        try
+        {
+            new_configuration = await updateWatcher(watcher,
+                                                    configuration,
+                                                    new_configuration,
+                                                    (state_file !== null
+                                                     ? state_file.getGroupStates() : {}));
+        }
+        catch (error)
+        {
+            watcher.start(configuration.poll_interval_ms,
+                          configuration.reconcile_interval_ms);
+            throw error;
+        }
+        watcher.start(new_configuration.poll_interval_ms,
+                      new_configuration.reconcile_interval_ms);
+
+        configuration = new_configuration;
+        logger.info(`Reloaded the configuration.`);
+    };
+
+    let reloads = Promise.resolve();
+    const requestReload = () => {
+        reloads = reloads.then(reload).catch(
+            (error) => {
+                logger.error(`Could not reload the configuration: ${error.message}`,
+                             getErrorFields(error));
+            });
+    };
+
+    const shutdown = async(a_signal) => {
+        logger.info(`Received ${a_signal}, stopping.`, {signal: a_signal});
+        process.removeListener("SIGHUP", requestReload);
+        await reloads;
+        await watcher.stop();
+        if (ha_websocket !== null)
+        {
+            ha_websocket.stop();
+        }
+        process.exit(0);
+    };
+
+    process.on("SIGHUP", requestReload);
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+    if (a_reload_options.watch)
+    {
+        watchFile(a_reload_options.configuration_path,
+                  {interval: CONFIGURATION_WATCH_INTERVAL_MS},
+                  (current, previous) => {
+                      if (current.mtimeMs != previous.mtimeMs)
+                      {
+                          requestReload();
+                      }
+                  });
+    }
+}
+
+/**
+ * Read the contents of a file directly.
+ *
+ * @param {string} a_file_path  The path, on disk, to the file to be read.
+ * @param {string} a_encoding   The encoding to use when reading the file.
+ *
+ * @returns {string|Buffer}
+ *     The contents of the file as a string if appropriate for the encoding
+ *     used otherwise as a Buffer.
+ */
+async function readFile(a_file_path, a_encoding="utf8")
+{
+    let file = null;
+    try
+    {
+        file = await fs.open(a_file_path, 'r')
+        return await file.readFile({encoding: a_encoding});
+    }
+    catch (error)
+    {
+        return false;
+    }
+    finally
+    {
+        if (file)
+        {
+            await file.close()
+        }
+    }
+}
+
+/**
+ * @typedef {Object} ConfigurationProblem
+ *
+ * Something wrong with part of a configuration.
+ *
+ * @property {string[]} path
+ *     The keys, and array indices, leading to the problem.
+ * @property {string} message
+ *     What is wrong.
+ * @property {number} [exit_code]
+ *     The code kasa-watch exits with because of it, missing for problems that
+ *     are only warned about.
+ */
+
+/**
+ * Format the path to part of the configuration as a JSON path, e.g.
+ * `$.binary_sensors.porch.hosts[0]`.
+ *
+ * @param {string[]} a_path  The keys, and array indices, leading to the part.
+ *
+ * @returns {string}  The JSON path.
+ */
+function formatConfigurationPath(a_path)
+{
+    return "$" + a_path.map(
+        (key) => {
+            if (/^[0-9]+$/.test(key))
+            {
+                return `[${key}]`;
+            }
+            return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+        }).join("");
+}
+
+/**
+ * Decide which code kasa-watch exits with for a problem with the
+ * configuration, keeping the codes used before the configuration had a schema.
+ *
+ * @param {string[]} a_path     Where the problem is, see {@link ConfigurationProblem}.
+ * @param {string}   a_keyword  The schema keyword that failed, e.g. "type".
+ * @param {*}        a_value    The value that failed, if any.
+ *
+ * @returns {number}  The exit code.
+ */
+function getConfigurationExitCode(a_path, a_keyword, a_value)
+{
+    switch (a_path[0])
+    {
+    case "mqtt":
+        return INVALID_MQTT;
+    case "home_assistant_url":
+        return a_keyword == "required" ? MISSING_HA_URL : INVALID_HA_URL;
+    case "home_assistant_websocket":
+        return INVALID_HA_WEBSOCKET;
+    case "poll_interval_ms":
+        if (a_keyword == "required")
+        {
+            return MISSING_POLL_INTERVAL;
+        }
+        else if (!a_value)
+        {
+            return INVALID_POLL_INTERVAL;
+        }
+        return a_keyword == "type" ? NON_NUMERIC_POLL_INTERVAL : NOT_POSITIVE_POLL_INTERVAL;
+    case "binary_sensors":
+        if (a_keyword == "required")
+        {
+            return MISSING_BINARY_SENSORS;
+        }
+        return a_path.length == 1 ? EMPTY_BINARY_SENSORS : INVALID_BINARY_SENSORS;
+    case "power_sensors":
+        return INVALID_POWER_SENSORS;
+    case "kasa_timeout_ms":
+        return a_keyword == "type" ? NON_NUMERIC_KASA_TIMEOUT : NOT_POSITIVE_KASA_TIMEOUT;
+    case "reconcile_interval_ms":
+        return INVALID_RECONCILE_INTERVAL;
+    case "discovery_broadcast":
+    case "discovery_timeout_ms":
+        return INVALID_DISCOVERY;
+    case "http_server":
+        return INVALID_HTTP_SERVER;
+    case "sinks":
+        return INVALID_SINKS;
+    }
+    return CONFIGRUATION_INVALID;
+}
+
+/**
+ * Check a parsed configuration against its schema, and for the problems the
+ * schema can't describe, such as malformed MAC addresses.
+ *
+ * @param {*} a_configuration  The parsed configuration.
+ *
+ * @returns {ConfigurationProblem[]}
+ *     Every problem found, problems without an exit code are unknown keys.
+ */
+function checkConfiguration(a_configuration)
+{
+    let problems = [];
+    if (!validateConfigurationSchema(a_configuration))
+    {
+        for (const error of validateConfigurationSchema.errors)
+        {
+            let path = error.instancePath.split("/").slice(1).map(
+                (key) => { return key.replace(/~1/g, "/").replace(/~0/g, "~"); });
+            let message = error.message;
+            switch (error.keyword)
+            {
+            case "if":
+                continue;
+            case "additionalProperties":
+                problems.push({path:    [...path, error.params.additionalProperty],
+                               message: "is not a known key and is ignored"});
+                continue;
+            case "required":
+                path    = [...path, error.params.missingProperty];
+                message = "is required";
+                break;
+            case "dependencies":
+                path    = [...path, error.params.property];
+                message = `can only be used with "${error.params.missingProperty}"`;
+                break;
+            case "enum":
+                message = "must be one of " + error.params.allowedValues.map(
+                    (value) => { return JSON.stringify(value); }).join(", ");
+                break;
+            }
+
+            problems.push({path:      path,
+                           message:   message,
+                           exit_code: getConfigurationExitCode(path, error.keyword, error.data)});
+        }
+    }
+
+    if (!a_configuration || typeof(a_configuration) != "object")
+    {
+        return problems;
+    }
+
+    if (a_configuration["mqtt"] !== undefined &&
+        a_configuration["home_assistant_websocket"] !== undefined)
+    {
+        problems.push({path:      ["home_assistant_websocket"],
+                       message:   `can't be used with "mqtt"`,
+                       exit_code: INVALID_HA_WEBSOCKET});
+    }
+
+    const isProblem = (a_path) => {
+        return problems.some((problem) => {
+            return (problem.exit_code !== undefined &&
+                    problem.path.every((key, i) => { return a_path[i] == key; }));
+        });
+    };
+    const checkHostEntry = (a_path, a_entry) => {
+        if (!isProblem(a_path) && parseHostEntry(a_entry) === null)
+        {
+            problems.push({path:      a_path,
+                           message:   `must be a host or MAC address string, optionally ` +
+                                      `followed by "#" and a child outlet alias, or an `  +
+                                      `object with exactly one of "host", "mac", `        +
+                                      `"device_id", or "device_alias" and at most one of ` +
+                                      `"child_id" or "alias"`,
+                           exit_code: getConfigurationExitCode(a_path, "host_entry")});
+        }
+    };
+
+    const sinks  = a_configuration["sinks"];
+    const groups = a_configuration["binary_sensors"];
+    if (sinks && typeof(sinks) == "object" && sinks[DEFAULT_SINK] !== undefined)
+    {
+        problems.push({path:      ["sinks", DEFAULT_SINK],
+                       message:   `is reserved for "home_assistant_url" or "mqtt"`,
+                       exit_code: INVALID_SINKS});
+    }
+    if (groups && typeof(groups) == "object" && !isProblem(["binary_sensors"]))
+    {
+        for (const name in groups)
+        {
+            const group_sinks = groups[name] ? groups[name]["sinks"] : undefined;
+            if (!Array.isArray(group_sinks) || isProblem(["binary_sensors", name, "sinks"]))
+            {
+                continue;
+            }
+
+            group_sinks.forEach(
+                (sink, i) => {
+                    if (sink != DEFAULT_SINK &&
+                        (!sinks || typeof(sinks) != "object" || sinks[sink] === undefined))
+                    {
+                        const path = ["binary_sensors", name, "sinks", String(i)];
+                        problems.push({path:      path,
+                                       message:   `must be the name of one of the "sinks"`,
+                                       exit_code: getConfigurationExitCode(path, "sink")});
+                    }
+                });
+        }
+    }
+
+    for (const section of ["binary_sensors", "power_sensors"])
+    {
+        const sensors = a_configuration[section];
+        if (!sensors || typeof(sensors) != "object" || isProblem([section]))
+        {
+            continue;
+        }
+
+        for (const name in sensors)
+        {
+            const sensor = sensors[name];
+            if (sensor && Array.isArray(sensor["hosts"]))
+            {
+                sensor["hosts"].forEach(
+                    (host, i) => { checkHostEntry([section, name, "hosts", String(i)], host); });
+            }
+            else if (sensor && sensor["host"] !== undefined)
+            {
+                checkHostEntry([section, name, "host"], sensor["host"]);
+            }
+        }
+    }
+
+    // Report the problems in the order of the schema's keys, which is the order
+    // they were checked in before there was a schema, so the first problem's
+    // exit code is the same.
+    const keys = Object.keys(validateConfigurationSchema.schema.properties);
+    return problems.sort((a, b) => { return keys.indexOf(a.path[0]) - keys.indexOf(b.path[0]); });
+}
+
+/**
+ * Read and validate the configuration file, along with the Home Assistant
+ * token or MQTT password file it needs.
+ *
+ * The file may be JSON or, if its name ends with `.yaml` or `.yml`, YAML. It
+ * is checked against `config.schema.json` and every problem is reported at
+ * once, the exit code is that of the first. Unknown keys are only warned
+ * about.
+ *
+ * @param {string} a_configuration_path
+ *     The path to the JSON or YAML configuration file.
+ * @param {string} [a_ha_token_file]
+ *     The path to the file containing the Home Assistant long-lived access
+ *     token.
+ * @param {bool} [a_read_secrets=true]
+ *     Whether to read the Home Assistant token and MQTT password files. If
+ *     `false` they are left out of the configuration, which is only useful
+ *     for commands that don't send anything.
+ *
+ * @returns {Configuration}  The validated configuration.
+ *
+ * @throws {ConfigurationError} Will throw if a file can't be read or the
+ *         configuration is not valid.
+ */
+async function loadConfiguration(a_configuration_path, a_ha_token_file, a_read_secrets=true)
+{
+    const is_yaml = /\.ya?ml$/i.test(a_configuration_path);
+    const format  = is_yaml ? "YAML" : "JSON";
+
+    // A token file that was given is read first, so that it being unreadable
+    // is reported before any problem with the configuration.
+    let ha_token = null;
+    if (a_ha_token_file !== undefined && a_read_secrets)
+    {
+        const raw_ha_token = await readFile(a_ha_token_file);
+        if (!raw_ha_token)
+        {
+            throw new ConfigurationError(`Could not read the Home Assistant token file ` +
+                                         `"${a_ha_token_file}".`,
+                                         CANNOT_READ_TOKEN_FILE);
+        }
+        ha_token = raw_ha_token.trim();
+    }
+
+    const raw_configuration = await readFile(a_configuration_path);
+    if (!raw_configuration)
+    {
+        throw new ConfigurationError(`Could not read the ${format} configuration file ` +
+                                     `"${a_configuration_path}".`,
+                                     CANNOT_READ_CONFIG_FILE);
+    }
+    const configuration = (() => {
+        try
+        {
+            return is_yaml ? yaml.load(raw_configuration) : JSON.parse(raw_configuration);
+        }
+        catch (error)
+        {
+            throw new ConfigurationError(`Could not parse the ${format} configuration ` +
+                                         `file "${a_configuration_path}".\n`           +
+                                         error.message,
+                                         CANNOT_PARSE_CONFIG_FILE);
+        }
+    })();
+
+    const problems = checkConfiguration(configuration);
+    const errors   = problems.filter(
+        (problem) => { return problem.exit_code !== undefined; });
+    for (const problem of problems)
+    {
+        if (problem.exit_code === undefined)
+        {
+            logger.warn(`${formatConfigurationPath(problem.path)} ${problem.message}.`);
+        }
+    }
+    if (errors.length > 0)
+    {
+        throw new ConfigurationError(
+            `The configuration file "${a_configuration_path}" is not valid:\n` +
+            errors.map((error) => {
+                return `  ${formatConfigurationPath(error.path)} ${error.message}`;
+            }).join("\n"),
+            errors[0].exit_code);
+    }
+
+    let output = null;
+    if (configuration["mqtt"] !== undefined)
+    {
+        const mqtt_configuration = configuration["mqtt"];
+
+        let password = undefined;
+        if (mqtt_configuration["password_file"] !== undefined && a_read_secrets)
+        {
+            const raw_password = await readFile(mqtt_configuration["password_file"]);
+            if (!raw_password)
+            {
+                throw new ConfigurationError(`Could not read the MQTT password file ` +
+                                             `"${mqtt_configuration["password_file"]}".`,
+                                             CANNOT_READ_MQTT_PASSWORD_FILE);
+            }
+            password = raw_password.trim();
+        }
+
+        output = {mqtt: {url:              mqtt_configuration["url"],
+                         username:         mqtt_configuration["username"],
+                         password:         password,
+                         base_topic:       mqtt_configuration["base_topic"],
+                         discovery_prefix: mqtt_configuration["discovery_prefix"]}};
+    }
+    else if (!a_read_secrets)
+    {
+        output = {home_assistant_url: configuration["home_assistant_url"],
+                  token:              null,
+                  websocket:          null};
+    }
+    else
+    {
+        if (a_ha_token_file === undefined)
+        {
+            throw new ConfigurationError(`The --ha-token-file argument is required when ` +
+                                         `using "home_assistant_url".`,
+                                         INVALID_CLI_ARGS);
+        }
+
+        output = {home_assistant_url: configuration["home_assistant_url"],
+                  token:              ha_token,
+                  websocket:          null};
+    }
+
+    let sinks = {};
+    for (const name in configuration["sinks"])
+    {
+        const sink = configuration["sinks"][name];
+        if (sink["type"] != "home_assistant")
+        {
+            sinks[name] = sink;
+            continue;
+        }
+
+        let token = null;
+        if (a_read_secrets)
+        {
+            const raw_token = await readFile(sink["token_file"]);
+            if (!raw_token)
+            {
+                throw new ConfigurationError(`Could not read the Home Assistant token file ` +
+                                             `"${sink["token_file"]}" of the sink '${name}'.`,
+                                             CANNOT_READ_TOKEN_FILE);
+            }
+            token = raw_token.trim();
+        }
+        sinks[name] = {type: sink["type"], url: sink["url"], token: token};
+    }
+
+    const websocket_configuration = configuration["home_assistant_websocket"];
+    if (websocket_configuration !== undefined)
+    {
+        output.websocket = {set_switches: Boolean(websocket_configuration["set_switches"])};
+    }
+
+    return {output:                output,
+            poll_interval_ms:      configuration["poll_interval_ms"],
+            kasa_timeout_ms:       (configuration["kasa_timeout_ms"] !== undefined
+                                    ? configuration["kasa_timeout_ms"]
+                                    : 10e3), // 10s, matching the tplink-smarthome-api default.
+            reconcile_interval_ms: (configuration["reconcile_interval_ms"] !== undefined
+                                    ? configuration["reconcile_interval_ms"]
+                                    : DEFAULT_RECONCILE_INTERVAL_MS),
+            binary_sensors:        configuration["binary_sensors"] || {},
+            power_sensors:         configuration["power_sensors"] || {},
+            discovery:             {broadcast:  configuration["discovery_broadcast"],
+                                    timeout_ms: configuration["discovery_timeout_ms"]},
+            http_server:           configuration["http_server"] || null,
+            state_file:            configuration["state_file"] || null,
+            event_log:             configuration["event_log"] || null,
+            sinks:                 sinks};
+}
+
+/**
+ * Print rows of text as a table with aligned columns.
+ *
+ * @param {string[]}   a_headings  The heading of each column.
+ * @param {string[][]} a_rows      The rows, each with a value for each column.
+ */
+function printTable(a_headings, a_rows)
+{
+    const widths = a_headings.map(
+        (heading, i) => {
+            return Math.max(heading.length,
+                            ...a_rows.map((row) => { return String(row[i]).length; }));
+        });
+    for (const row of [a_headings, ...a_rows])
+    {
+        console.log(row.map((value, i) => { return String(value).padEnd(widths[i]); })
+                    .join("  ").trimEnd());
+    }
+}
+
+/**
+ * Get the state of a device from the information it gave when discovered.
+ *
+ * @param {Object} a_device  The tplink-smarthome-api device.
+ *
+ * @returns {string}
+ *     "on" or "off", or for devices with child outlets the state of each
+ *     outlet separated by commas.
+ */
+function getDiscoveredState(a_device)
+{
+    const info = a_device.sysInfo;
+    if (a_device.deviceType == "bulb")
+    {
+        return info.light_state.on_off ? "on" : "off";
+    }
+    if (info.children !== undefined)
+    {
+        return info.children.map((child) => { return child.state ? "on" : "off"; }).join(",");
+    }
+    return a_device.relayState ? "on" : "off";
+}
+
+/**
+ * List the Kasa devices on the local network.
+ *
+ * @param {DiscoveryOptions} a_discovery_options  How to look for the devices.
+ */
+async function discover(a_discovery_options)
+{
+    const watcher = new KasaWatcher(null,
+                                    a_discovery_options.timeout_ms,
+                                    false,
+                                    a_discovery_options);
+    const devices = await watcher.discoverDevices();
+    devices.sort((a, b) => { return a.alias.localeCompare(b.alias); });
+
+    printTable(["Alias", "Host", "MAC", "Model", "State"],
+               devices.map(
+                   (device) => {
+                       return [device.alias,
+                               device.host,
+                               device.mac,
+                               device.model,
+                               getDiscoveredState(device)];
+                   }));
+}
+
+/**
+ * Create a watcher, that sends nothing, for every switch group in the
+ * configuration.
+ *
+ * @param {Configuration} a_configuration  The groups to watch.
+ * @param {string[]}      a_group_names    Which of the groups to add.
+ *
+ * @returns {KasaWatcher}  The watcher, with the groups added.
+ */
+async function createGroupWatcher(a_configuration, a_group_names)
+{
+    const watcher = new KasaWatcher(null,
+                                    a_configuration.kasa_timeout_ms,
+                                    false,
+                                    a_configuration.discovery);
+    for (const binary_sensor of a_group_names)
+    {
+        const switch_group = a_configuration.binary_sensors[binary_sensor];
+        await watcher.addSwitchGroup(binary_sensor,
+                                     switch_group.hosts,
+                                     switch_group.default_state,
+                                     {...getSwitchGroupOptions(switch_group), sinks: []});
+    }
+    return watcher;
+}
+
+/**
+ * Get the rows describing a group's switches, including a row for each switch
+ * that couldn't be reached.
+ *
+ * @param {Configuration} a_configuration  The configuration of the groups.
+ * @param {WatcherStatus} a_status         The watcher's status.
+ * @param {string}        a_group_name     The group to describe.
+ *
+ * @returns {string[][]}  The switch, host, and state of each switch.
+ */
+function getSwitchRows(a_configuration, a_status, a_group_name)
+{
+    const switches    = a_status.binary_sensors[a_group_name].switches;
+    const unreachable = a_configuration.binary_sensors[a_group_name].hosts.length -
+                        switches.length;
+    return [...switches.map(
+                (light_switch) => {
+                    return [light_switch.name, light_switch.host, light_switch.state];
+                }),
+            ...Array(unreachable).fill(["(unreachable)", "", "disconnected"])];
+}
+
+/**
+ * Poll every switch group in the configuration once and print the state of
+ * each switch and the state the group's binary sensor would have.
+ *
+ * @param {Configuration} a_configuration  The groups to poll.
+ */
+async function printStatus(a_configuration)
+{
+    const group_names = Object.keys(a_configuration.binary_sensors);
+    const watcher     = await createGroupWatcher(a_configuration, group_names);
+    const status      = watcher.getStatus();
+
+    let rows = [];
+    for (const name of group_names)
+    {
+        rows.push(...getSwitchRows(a_configuration, status, name).map(
+            (row) => { return [name, ...row]; }));
+        rows.push([name, `binary_sensor.${name}`, "", status.binary_sensors[name].state]);
+    }
+    printTable(["Group", "Switch", "Host", "State"], rows);
+}
+
+/**
+ * Turn every switch in a group on or off.
+ *
+ * @param {Configuration} a_configuration  The configuration with the group.
+ * @param {string}        a_group_name     The group.
+ * @param {string}        a_state          The new state, "on" or "off".
+ *
+ * @returns {bool}  `true` if every switch in the group now has the state.
+ */
+async function setGroup(a_configuration, a_group_name, a_state)
+{
+    const watcher = await createGroupWatcher(a_configuration, [a_group_name]);
+    await watcher.setGroupState(a_group_name, a_state, true);
+    await watcher.checkAllAndUpdate();
+
+    const rows = getSwitchRows(a_configuration, watcher.getStatus(), a_group_name);
+    printTable(["Switch", "Host", "State"], rows);
+    return rows.every((row) => { return row[2] == a_state; });
+}
+
+/**
+ * Parse a time given on the command line, either as a date and time or as how
+ * long ago, such as `90s`, `30m`, `12h` or `7d`.
+ *
+ * @param {string} a_value  The time.
+ *
+ * @returns {number}  The time in milliseconds since the epoch.
+ *
+ * @throws {Error} Will throw if the time can't be parsed.
+ */
+function parseTime(a_value)
+{
+    const units_ms = {s: 1e3, m: 60e3, h: 3600e3, d: 86400e3};
+    const ago      = /^(\d+(?:\.\d+)?)([smhd])$/.exec(a_value);
+    if (ago !== null)
+    {
+        return Date.now() - Number(ago[1]) * units_ms[ago[2]];
+    }
+
+    const time = Date.parse(a_value);
+    if (isNaN(time))
+    {
+        throw new Error(`Could not parse the time "${a_value}".`);
+    }
+    return time;
+}
+
+/**
+ * Format a duration for people to read, for example `2h 05m 09s`.
+ *
+ * @param {number} a_ms  The duration in milliseconds.
+ *
+ * @returns {string}  The formatted duration.
+ */
+function formatDuration(a_ms)
+{
+    const seconds = Math.round(a_ms / 1e3);
+    const hours   = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor(seconds / 60) % 60).padStart(2, "0");
+    return `${hours}h ${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Describe what an event log record says happened.
+ *
+ * @param {EventRecord} a_record  The record.
+ *
+ * @returns {string}  For example `on (was off) by 192.168.1.20`.
+ */
+function describeEventRecord(a_record)
+{
+    const using = a_record.sink ? ` using '${a_record.sink}'` : "";
+    switch (a_record.type)
+    {
+    case "switch":
+        return `'${a_record.switch}' ${a_record.state}`;
+    case "group":
+        return (`${a_record.state} (was ${a_record.previous_state})` +
+                (a_record.triggered_by_host ? ` by ${a_record.triggered_by_host}` : "") +
+                (a_record.triggered_by_alias ? ` '${a_record.triggered_by_alias}'` : ""));
+    case "connectivity":
+        return a_record.connected ? "connected" : "disconnected";
+    case "output":
+        if (a_record.succeeded)
+        {
+            return `sent '${a_record.entity_id}' as "${a_record.state}"${using}`;
+        }
+        return (`could not ${a_record.entity_id !== undefined
+                             ? `send '${a_record.entity_id}'`
+                             : `fire '${a_record.event_type}'`}${using}: ${a_record.error}`);
+    }
+    return JSON.stringify(a_record);
+}
+
+/**
+ * Print the records of the event log that match a filter, or how long each
+ * group was on.
+ *
+ * @param {Configuration} a_configuration  The configuration with the event log.
+ * @param {EventFilter}   a_filter         Which records to use.
+ * @param {bool}          a_summary        Whether to print how long each group
+ *                                         was on instead of the records.
+ */
+async function printHistory(a_configuration, a_filter, a_summary)
+{
+    const event_log = new EventLog(a_configuration.event_log);
+    if (!a_summary)
+    {
+        printTable(["Time", "Type", "Group", "Host", "Event"],
+                   (await event_log.read(a_filter)).map(
+                       (record) => {
+                           return [record.time,
+                                   record.type,
+                                   record.group || "",
+                                   record.host || "",
+                                   describeEventRecord(record)];
+                       }));
+        return;
+    }
+
+    const on_times = await event_log.getOnTimes(a_filter);
+    printTable(["Group", "On", "Recorded", "On %", "Turned on"],
+               Object.keys(on_times).sort().map(
+                   (group) => {
+                       const on_time = on_times[group];
+                       return [group,
+                               formatDuration(on_time.on_ms),
+                               formatDuration(on_time.recorded_ms),
+                               (on_time.recorded_ms > 0
+                                ? (100 * on_time.on_ms / on_time.recorded_ms).toFixed(1)
+                                : "-"),
+                               on_time.turned_on];
+                   }));
+}
+
+/**
+ * The main function which handles starting kasa-watch.
+ *
+ * This handles the command-line arguments as well as validating the
+ * configuration file. Without a command kasa-watch watches the configured
+ * devices, the other commands are:
+ *
+ * - `discover` - List the Kasa devices on the local network.
+ * - `status` - Poll every switch group once and print the states.
+ * - `set <group> <on|off>` - Turn every switch in a group on or off.
+ * - `check-config` - Validate the configuration without contacting anything.
+ * - `history` - Print the recorded events, or how long each group was on.
+ *
+ * @param {string[]} argv  The command line aguments.
+ */
+async function main(argv)
+{
+    const configuration_option = {
+        alias:        "config",
+        demandOption: true,
+        type:         "string",
+        description:
+        ("The path the JSON or YAML configuration file.")
+    };
+    const ha_token_file_option = {
+        type:         "string",
+        description:
+        ("The path to the file containing the Home Assistant (HA) " +
+         "long-lived access token. Required unless the "            +
+         "configuration uses MQTT.")
+    };
+
+    const parsed_options = yargs(hideBin(argv))
+          .options({
+              "log-level": {
+                  choices:     LOG_LEVELS,
+                  default:     "info",
+                  description: "The least severe messages to log."
+              },
+              "log-format": {
+                  choices:     LOG_FORMATS,
+                  default:     "text",
+                  description:
+                  ("How to write log messages, \"json\" writes one JSON object " +
+                   "per line for log collectors.")
+              },
+              "verbose": {
+                  type:        "boolean",
+                  default:     false,
+                  alias:       "v",
+                  description: "The same as --log-level debug."
+              }
+          })
+          .command("$0", "Watch the configured devices.", (a_yargs) => {
+              return a_yargs.options({
+                  "ha-token-file": ha_token_file_option,
+                  "configuration": configuration_option,
+                  "watch-configuration": {
+                      type:        "boolean",
+                      default:     false,
+                      description:
+                      ("Reload the configuration file whenever it changes, not " +
+                       "just when SIGHUP is received.")
+                  },
+                  "dry-run": {
+                      type:        "boolean",
+                      default:     false,
+                      description:
+                      ("Log the states and events that would be sent instead of " +
+                       "sending them. No token or password is needed.")
+                  }
+              });
+          })
+          .command("discover", "List the Kasa devices on the local network.", (a_yargs) => {
+              return a_yargs.options({
+                  "broadcast": {
+                      type:        "string",
+                      default:     "255.255.255.255",
+                      description: "The address to send the discovery broadcast to."
+                  },
+                  "timeout": {
+                      type:        "number",
+                      default:     DEFAULT_DISCOVERY_TIMEOUT_MS,
+                      description: "How long to wait for devices to answer, in milliseconds."
+                  }
+              });
+          })
+          .command("status", "Poll every switch group once and print the states.", (a_yargs) => {
+              return a_yargs.options({"configuration": configuration_option});
+          })
+          .command("set <group> <state>", "Turn every switch in a group on or off.", (a_yargs) => {
+              return a_yargs
+                  .positional("group", {
+                      type:        "string",
+                      description: "The name of the group's binary sensor."
+                  })
+                  .positional("state", {
+                      choices:     ["on", "off"],
+                      description: "The state to set the switches to."
+                  })
+                  .options({"configuration": configuration_option});
+          })
+          .command("check-config", "Validate the configuration without contacting anything.", (a_yargs) => {
+              return a_yargs.options({
+                  "ha-token-file": ha_token_file_option,
+                  "configuration": configuration_option
+              });
+          })
+          .command("history", "Print the recorded events, or how long each group was on.", (a_yargs) => {
+              return a_yargs.options({
+                  "configuration": configuration_option,
+                  "since": {
+                      type:        "string",
+                      coerce:      parseTime,
+                      description:
+                      ("The earliest time, as a date and time or how long ago, " +
+                       "such as \"12h\" or \"7d\".")
+                  },
+                  "until": {
+                      type:        "string",
+                      coerce:      parseTime,
+                      description: "The latest time, in the same form as --since."
+                  },
+                  "group": {
+                      type:        "string",
+                      description: "Only the events of this switch group."
+                  },
+                  "host": {
+                      type:        "string",
+                      description: "Only the events of this host."
+                  },
+                  "type": {
+                      choices:     EVENT_TYPES,
+                      array:       true,
+                      description: "Only events of these types."
+                  },
+                  "summary": {
+                      type:        "boolean",
+                      default:     false,
+                      description: "Print how long each group was on instead of the events."
+                  }
+              });
+          })
+          .strict()
+          .epilog("A simple client that will watch the specified TP-Link Kasa " +
+                  "devices and update the associated Home Assistant binary "    +
+                  "sensor when one of the device's state changes."              +
+                  ``                                                                      + `\n` +
+                  ``                                                                      + `\n` +
+                  `Error Codes:`                                                          + `\n` +
+                  `  Invalid command line arguments:        ${INVALID_CLI_ARGS}`          + `\n` +
+                  `  Cannot read the HA token file:         ${CANNOT_READ_TOKEN_FILE}`    + `\n` +
+                  `  Cannot read the configuration file:    ${CANNOT_READ_CONFIG_FILE}`   + `\n` +
+                  `  Cannot parse the configuration file:   ${CANNOT_PARSE_CONFIG_FILE}`  + `\n` +
+                  `  Configuration file invalid:            ${CONFIGRUATION_INVALID}`     + `\n` +
+                  `  Configuration missing HA URL:          ${MISSING_HA_URL}`            + `\n` +
+                  `  Invalid HA URL:                        ${INVALID_HA_URL}`            + `\n` +
+                  `  Configuration missing poll interval:   ${MISSING_POLL_INTERVAL}`     + `\n` +
+                  `  Invalid poll interval:                 ${INVALID_POLL_INTERVAL}`     + `\n` +
+                  `  Non-numeric poll interval:            ${NON_NUMERIC_POLL_INTERVAL}`  + `\n` +
+                  `  Poll interval is not positive:        ${NOT_POSITIVE_POLL_INTERVAL}` + `\n` +
+                  `  Configuration missing binary sensors: ${MISSING_BINARY_SENSORS}`     + `\n` +
+                  `  Binary sensors object empty:          ${EMPTY_BINARY_SENSORS}`       + `\n` +
+                  `  Invalid binary sensors:               ${INVALID_BINARY_SENSORS}`     + `\n` +
+                  `  Non-numeric Kasa timeout:             ${NON_NUMERIC_KASA_TIMEOUT}`   + `\n` +
+                  `  Kasa timeout is not positive:         ${NOT_POSITIVE_KASA_TIMEOUT}`  + `\n` +
+                  `  Unknown child outlet:                 ${UNKNOWN_CHILD_OUTLET}`       + `\n` +
+                  `  Invalid power sensors:                ${INVALID_POWER_SENSORS}`      + `\n` +
+                  `  Invalid MQTT configuration:           ${INVALID_MQTT}`               + `\n` +
+                  `  Cannot read the MQTT password file:   ${CANNOT_READ_MQTT_PASSWORD_FILE}` + `\n` +
+                  `  Invalid discovery configuration:      ${INVALID_DISCOVERY}`          + `\n` +
+                  `  Could not start watching:             ${STARTUP_FAILED}`             + `\n` +
+                  `  Invalid reconcile interval:           ${INVALID_RECONCILE_INTERVAL}` + `\n` +
+                  `  Invalid HTTP server configuration:    ${INVALID_HTTP_SERVER}`        + `\n` +
+                  `  Invalid HA WebSocket configuration:   ${INVALID_HA_WEBSOCKET}`       + `\n` +
+                  `  Unknown switch group:                 ${UNKNOWN_GROUP}`              + `\n` +
+                  `  Could not set every switch:           ${SET_FAILED}`                 + `\n` +
+                  `  No event log configured:              ${NO_EVENT_LOG}`               + `\n` +
+                  `  Invalid sinks:                        ${INVALID_SINKS}`              + `\n`
+                 );
+    const args    = parsed_options.argv;
+    const command = args._[0];
+    const level   = (args["verbose"] && args["log-level"] == "info"
+                     ? "debug" : args["log-level"]);
+    logger.configure(level, args["log-format"]);
+
+    let configuration = null;
+    if (command != "discover")
+    {
+        try
+        {
+            configuration = await loadConfiguration(args["configuration"],
+                                                    args["ha-token-file"],
+                                                    (command === undefined &&
+                                                     !args["dry-run"]) ||
+                                                    command == "check-config");
+        }
+        catch (error)
+        {
+            if (!(error instanceof ConfigurationError))
+            {
+                throw error;
+            }
+
+            logger.error(error.message, {exit_code: error.exit_code});
+            process.exit(error.exit_code);
+        }
+    }
+
+    const exitOnError = (error) => {
+        const exit_code = (error instanceof UnknownChildError
+                           ? UNKNOWN_CHILD_OUTLET : STARTUP_FAILED);
+        logger.error(error.message, {exit_code: exit_code});
+        process.exit(exit_code);
+    };
+
+    switch (command)
+    {
+    case "discover":
+        await discover({broadcast: args["broadcast"], timeout_ms: args["timeout"]})
+            .catch(exitOnError);
+        break;
+
+    case "status":
+        await printStatus(configuration).catch(exitOnError);
+        break;
+
+    case "set":
+        if (configuration.binary_sensors[args["group"]] === undefined)
+        {
+            logger.error(`There is no switch group named "${args["group"]}".`,
+                         {group: args["group"], exit_code: UNKNOWN_GROUP});
+            process.exit(UNKNOWN_GROUP);
+        }
+        if (!await setGroup(configuration, args["group"], args["state"])
+            .catch(exitOnError))
+        {
+            process.exit(SET_FAILED);
+        }
+        break;
+
+    case "check-config":
+        console.log(`The configuration "${args["configuration"]}" is valid.`);
+        break;
+
+    case "history":
+        if (configuration.event_log === null)
+        {
+            logger.error(`The configuration has no "event_log" to read.`,
+                         {exit_code: NO_EVENT_LOG});
+            process.exit(NO_EVENT_LOG);
+        }
+        await printHistory(configuration,
+                           {since: args["since"],
+                            until: args["until"],
+                            group: args["group"],
+                            host:  args["host"],
+                            types: args["type"]},
+                           args["summary"])
+            .catch(exitOnError);
+        break;
+
+    default:
+        run(args["dry-run"] ? new RecordingOutput() : createOutput(configuration.output),
+            configuration,
+            {configuration_path: args["configuration"],
+             ha_token_file:      args["ha-token-file"],
+             watch:              args["watch-configuration"]},
+            args["dry-run"])
+            .catch(exitOnError);
+    }
+}
+
+main(process.argv);
@@ -1,11 +1,15 @@
 "use strict"
 
-const fs      = require("fs").promises;
-const process = require("process");
+const EventEmitter  = require("events");
+const child_process = require("child_process");
+const fs            = require("fs").promises;
+const http          = require("http");
+const util          = require("util");
 
-const bent     = require("bent");
-const {Client} = require("tplink-smarthome-api");
-const yargs    = require("yargs/yargs");
+const bent      = require("bent");
+const mqtt      = require("mqtt");
+const {Client}  = require("tplink-smarthome-api");
+const WebSocket = require("ws");
 
 
 /**
@@ -23,652 +27,5387 @@ const NullLogger = {
 
 
 /**
- * @typedef {string} SwitchState
- *
- * The state of a given switch. Must be one of "on", "off", or "disconnected".
- *
- * *Note:* The state "disconnected" should only be used when referring to the
- *         state of an individual switch and shopuld not be used when referring
- *         to the state of a group of switches.
+ * The log levels, from the most to the least severe.
+ * @type {string[]}
+ */
+const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+
+/**
+ * The formats log messages can be written in, see {@link Logger}.
+ * @type {string[]}
  */
+const LOG_FORMATS = ["text", "json"];
 
 
 /**
- * This does all the work for watching Kasa switches and updating their
- * associated Home Assistant binary sensors.
+ * Writes log messages to the standard error output, each with a level and
+ * structured fields such as the `host`, `group` or `state` it concerns.
+ *
+ * In the "text" format every message is preceeded by the current date and
+ * time in ISO format and its level, and followed by its fields as `key=value`
+ * pairs. In the "json" format every message is a single line JSON object with
+ * the `time`, `level`, `message` and fields as its keys, for log collectors
+ * such as Loki or Elasticsearch.
  */
-class KasaWatcher
+class Logger
 {
     /**
-     * Create a KasaWatcher.
-     *
-     * While this creates a new KasaWatcher you will need to call
-     * {@link KasaWatcher#addSwitchGroup addSwitchGroup()} one or more times for
-     * this to do anything useful. As multiple groups can be added there is
-     * little reason to have more than one KasaWatch instance.
+     * Create a Logger.
      *
-     * @param {string} a_home_assistant_url
-     *     The URL to Home Assistant.
-     * @param {string} a_home_assistant_token
-     *     The Home Assistant long-lived access token.
-     * @param {number} a_kasa_timeout_ms
-     *     The timeout to use when polling the Kasa devices, in miliseconds.
-     * @param {bool} a_quiet
-     *     Whether to reduce logging output, `true` for reduced output and
-     *     `false` for regular verbose output.
+     * @param {string} [a_level="info"]   The least severe level to log.
+     * @param {string} [a_format="text"]  The format to write messages in.
      */
-    constructor(a_home_assistant_url,
-                a_home_assistant_token,
-                a_kasa_timeout_ms,
-                a_quiet)
+    constructor(a_level="info", a_format="text")
     {
-        let kasa_options = {defaultSendOptions: {timeout: a_kasa_timeout_ms}};
-        if (a_quiet)
-        {
-            kasa_options.logger = NullLogger;
-        }
-
-        this._kasa_client    = new Client(kasa_options);
-        this._home_assistant = bent(`${a_home_assistant_url}/api/states/`,
-                                    "POST",
-                                    {Authorization: `Bearer ${a_home_assistant_token}`},
-                                    [200, 201]);
-
-        /**
-         * The collection mapping binary sensor names to objects containing the
-         * array of switches and the current state.
-         * @member {Object}
-         */
-        this._binary_sensors = {};
-
-        /**
-         * Whether or not a host is connected. A mapping from hostname to
-         * boolean values.
-         * @member {Object}
-         */
-        this._host_connected = {};
+        this.configure(a_level, a_format);
     }
 
     /**
-     * Add a group of Kasa switches that will updat a single Home Assistant
-     * binary sensor when one of them changes state.
-     *
-     * All switches will be immediately polled for their current state. Whatever
-     * state the majority of the switches have will be used to set or update the
-     * Home Assitant binary sensor immediately. In the case of a tie the
-     * provided `a_default_initial_state` will be used.
+     * Change which messages are logged and how.
      *
-     * @param {string} a_binary_sensor_name
-     *     The name of the Home Assistant binary sensor that will be updated
-     *     whenever one of the switches state changes.
-     * @param {string[]} a_hosts
-     *     The host names or IP addresses of the Kasa switches to watch.
-     * @param {string} a_default_initial_state
-     *     This is used as a tie breaker if equal number of switches have
-     *     opposite initial states. Must be "on" or "off".
+     * @param {string} a_level   The least severe level to log.
+     * @param {string} a_format  The format to write messages in.
      *
-     * @throws Will trhow if unable to connect to one or more of the Kasa
-     *         switches or Home Assistant.
+     * @throws {RangeError} If the level or format is unknown.
      */
-    async addSwitchGroup(a_binary_sensor_name,
-                         a_hosts,
-                         a_default_initial_state)
+    configure(a_level, a_format)
     {
-        if (this._binary_sensors[a_binary_sensor_name] !== undefined)
+        if (!LOG_LEVELS.includes(a_level))
         {
-            throw new RangeError();
+            throw new RangeError(`Unknown log level '${a_level}'.`);
         }
-
-        const new_light_switches = await Promise.all(a_hosts.map(
-            async (host) => {
-                return await this._kasa_client.getDevice({host: host})
-            }));
-
-        let initial_states = {"on":  0,
-                              "off": 0};
-        await Promise.all(new_light_switches.map(
-            async (light_switch) => {
-                const switch_state = await this._requestSwitchState(light_switch);
-                initial_states[switch_state] += 1;
-            }));
-        const other_state = this._getOppositeState(a_default_initial_state);
-        const new_state = (initial_states[a_default_initial_state] >= initial_states[other_state]
-                           ? a_default_initial_state : other_state);
-
-        for (const host of a_hosts)
+        if (!LOG_FORMATS.includes(a_format))
         {
-            this._host_connected[host] = true;
+            throw new RangeError(`Unknown log format '${a_format}'.`);
         }
-        this._binary_sensors[a_binary_sensor_name] = {light_switches: new_light_switches,
-                                                      state:          new_state};
 
-        await this._updateSensorState(a_binary_sensor_name, new_state);
+        this._level  = a_level;
+        this._format = a_format;
     }
 
     /**
-     * Check all switch groups and update their associated binary sensors.
+     * Determine whether messages of a level are logged.
      *
-     * In parallel the state of every switch of every group is polled. If at
-     * least one switch of the group has changed state the binary sensor's state
-     * will be updated.
+     * @param {string} a_level  The level.
      *
-     * *Note:* Unlike {@link KasaWatcher#addSwitchGroup addSwitchGroup()} this
-     *         does not throw if unable to contact any switches. However it does
-     *         log when connectivity is lost and recovered. If {@link KasaWatch}
-     *         is not constructed in quiet mode every failed request will print
-     *         out debug log information.
+     * @returns {bool}  `true` if they are.
      */
-    async checkAllAndUpdate()
+    isEnabled(a_level)
     {
-        await Promise.all(Object.keys(this._binary_sensors).map(
-            (binary_sensor) => { return this._updateSensor(binary_sensor); }));
+        return LOG_LEVELS.indexOf(a_level) <= LOG_LEVELS.indexOf(this._level);
     }
 
     /**
-     * Boolean not for switch state strings.
-     *
-     * @param {string} a_light_switch_state
-     *     The original switch state for which the opposite is desired.
-     *
-     * @returns (string)  The state opposite of `a_light_switch_state`.
+     * Log a message about a failure that needs attention.
      *
-     * @private
+     * @param {string} a_message      The message.
+     * @param {Object} [a_fields={}]  The message's structured fields.
      */
-    _getOppositeState(a_light_switch_state)
+    error(a_message, a_fields={})
     {
-        return a_light_switch_state == "off" ? "on" : "off";
+        this._write("error", a_message, a_fields);
     }
 
     /**
-     * Log a message to the standard error output.
+     * Log a message about a problem kasa-watch works around, such as a device
+     * that can't be reached.
      *
-     * Every message is preceeded by the current date and time in ISO format.
-     *
-     * @param {string} a_message  The message to log.
+     * @param {string} a_message      The message.
+     * @param {Object} [a_fields={}]  The message's structured fields.
      */
-    _log(a_message)
+    warn(a_message, a_fields={})
     {
-        const now = new Date();
-        console.error(`${now.toISOString()}: ${a_message}`);
+        this._write("warn", a_message, a_fields);
     }
 
     /**
-     * Check the state of the associated switches and update the binary sensor
-     * if needed.
-     *
-     * This checks all of the switches states in parallel and updates the binary
-     * sensor's state when the first switch whose state has changed is
-     * encountered.
-     *
-     * @param {string} a_sensor_name
-     *     The name of the binary sensor to update, if needed.
+     * Log a message about normal operation.
      *
-     * @private
+     * @param {string} a_message      The message.
+     * @param {Object} [a_fields={}]  The message's structured fields.
      */
-    async _updateSensor(a_sensor_name)
+    info(a_message, a_fields={})
     {
-        let   binary_sensor  = this._binary_sensors[a_sensor_name];
-        const light_switches = binary_sensor.light_switches;
-        const change_state   = this._getOppositeState(binary_sensor.state);
-
-        await Promise.all(light_switches.map(
-            async (light_switch) => {
-                const new_state = await this._tryRequestSwitchState(light_switch);
-                if (new_state == change_state)
-                {
-                    await this._updateSensorState(a_sensor_name, new_state)
-                        .catch(console.error);
-                }
-            }));
+        this._write("info", a_message, a_fields);
     }
 
     /**
-     * Get the current state of a Kasa switch.
-     *
-     * @returns {string}  The switch's current state: "on" or "off".
-     *
-     * @throws Will throw if unable to connect to the Kasa switch.
+     * Log a message that helps to follow what kasa-watch is doing, such as
+     * every state change.
      *
-     * @private
+     * @param {string} a_message      The message.
+     * @param {Object} [a_fields={}]  The message's structured fields.
      */
-    async _requestSwitchState(a_light_switch)
+    debug(a_message, a_fields={})
     {
-        const info = await a_light_switch.getSysInfo();
-        return info.relay_state ? "on" : "off";
+        this._write("debug", a_message, a_fields);
     }
 
     /**
-     * Get the current state of a Kasa switch.
-     *
-     * This is a no-throw version of
-     * {@link KasaWatch#_requestSwitchState _requestSwitchState()}.
-     *
-     * @returns {string} The switches current state: "on", "off", or
-     * "disconnected" if unable to connect to the switch.
+     * Log a message about every request, which is far too many to log
+     * normally.
      *
-     * @private
+     * @param {string} a_message      The message.
+     * @param {Object} [a_fields={}]  The message's structured fields.
      */
-    async _tryRequestSwitchState(a_light_switch)
+    trace(a_message, a_fields={})
     {
-        const host                 = a_light_switch.host;
-        const previously_connected = this._host_connected[host];
-        try
-        {
-            const current_state = await this._requestSwitchState(a_light_switch);
-            this._host_connected[a_light_switch.host] = true;
-            if (!previously_connected)
-            {
-                this._log(`Reconnected to '${host}'.`);
-            }
-            return current_state;
-        }
-        catch
-        {
-            this._host_connected[a_light_switch.host] = false;
-            if (previously_connected)
-            {
-                this._log(`Could not connect to '${a_light_switch.host}'.`);
-            }
-            return "disconnected";
-        }
+        this._write("trace", a_message, a_fields);
     }
 
     /**
-     * Set or update the state of the Home Assistant binary sensor.
+     * Write a message if its level is enabled. Fields that are `undefined` are
+     * left out.
      *
-     * *Note:* If the `a_new_state` is the same as the last state set for the
-     *         binary sensor nothing will be done.
-     *
-     * @param {string} a_sensor_name
-     *     The name of the Home Assistnat binary sensor to set or update.
-     * @param {string} a_new_state
-     *     The new state to set for the binary sensor.
+     * @param {string} a_level    The message's level.
+     * @param {string} a_message  The message.
+     * @param {Object} a_fields   The message's structured fields.
      *
-     * @throws This will throw if unable to connect to Home Assistant.
+     * @private
      */
-    async _updateSensorState(a_sensor_name, a_new_state)
+    _write(a_level, a_message, a_fields)
     {
-        if (a_new_state == this._binary_sensors[a_sensor_name].state)
+        if (!this.isEnabled(a_level))
+        {
+            return;
+        }
+
+        const now    = new Date();
+        const fields = Object.entries(a_fields).filter(
+            ([key, value]) => { return value !== undefined; });
+        if (this._format == "json")
         {
+            console.error(JSON.stringify({time:    now.toISOString(),
+                                          level:   a_level,
+                                          message: a_message,
+                                          ...Object.fromEntries(fields)}));
             return;
         }
 
-        this._binary_sensors[a_sensor_name].state = a_new_state;
-        await this._home_assistant(`binary_sensor.${a_sensor_name}`,
-                                   {state: a_new_state});
+        const formatted_fields = fields.map(
+            ([key, value]) => {
+                if (typeof value != "string")
+                {
+                    return ` ${key}=${JSON.stringify(value)}`;
+                }
+                return ` ${key}=${/[\s"=]/.test(value) ? JSON.stringify(value) : value}`;
+            });
+        console.error(`${now.toISOString()} ${a_level.toUpperCase().padEnd(5)} ` +
+                      `${a_message}${formatted_fields.join("")}`);
     }
 };
 
 
 /**
- * @typedef {Object} SwitchGroup
- *
- * An object that represents a group of Kasa switches that should be treated as
- * a single unit.
- *
- * @property {SwitchState} default_state
- *     The default state to use if there are an equal number of switches in
- *     opposing states at startup.
- * @property {string[]} hosts
- *     The hostnames or IP addresses of the swtiches in the group.
+ * The logger used by everything in kasa-watch, configure it with
+ * {@link Logger#configure configure()}.
+ * @type {Logger}
  */
+const logger = new Logger();
+
 
 /**
- * @typedef {Object} SwitchGroups
+ * Get the structured log fields describing an error.
+ *
+ * @param {Error} a_error  The error.
  *
- * An object that maps each Home Assistant binary sensor name to a
- * {@link SwitchGroup} of Kasa switches.
+ * @returns {Object}
+ *     The `error` message and, for system errors such as `ECONNREFUSED`, the
+ *     `error_code`.
  */
+function getErrorFields(a_error)
+{
+    return {error: a_error.message, error_code: a_error.code};
+}
 
 
 /**
- * Actually run kasa-watch.
+ * A logger object for the tplink-smarthome-api Client that forwards its
+ * messages to {@link logger}.
  *
- * This function sets up the watcher and handles the polling interval.
+ * The Client logs every request that fails, which kasa-watch reports itself,
+ * so its errors and warnings are logged at the debug level and the rest at the
+ * trace level.
+ */
+const KasaLogger = {
+    debug(...a_messages) { forwardKasaMessage("trace", a_messages); },
+    info(...a_messages)  { forwardKasaMessage("trace", a_messages); },
+    warn(...a_messages)  { forwardKasaMessage("debug", a_messages); },
+    error(...a_messages) { forwardKasaMessage("debug", a_messages); }
+};
+
+/**
+ * Log a message from the tplink-smarthome-api Client.
  *
- * @param {string} a_home_assistant_url
- *     The URL to Home Assistant.
- * @param {string} a_home_assistant_token
- *     The Home Assistant long-lived access token.
- * @param {number} a_kasa_timeout_ms
- *     The timeout to use when polling the Kasa devices, in miliseconds.
- * @param {SwitchGroups} a_switch_groups
- *     The groups of Kasa switches to poll and their associated Home Assistant
- *     binary sensor names.
- * @param {number} a_interval_length_ms
- *     The interval at which to poll the state of the Kasa devices, in
- *     miliseconds.
- * @param {bool} a_quiet
- *     Whether to reduce logging output, `true` for reduced output and `false`
- *     for regular verbose output.
+ * @param {string} a_level     The level to log the message at.
+ * @param {Array}  a_messages  The format string and its arguments, as for
+ *                             `util.format()`. An error among them also
+ *                             provides the fields.
  */
-async function run(a_home_assistant_url,
-                   a_home_assistant_token,
-                   a_kasa_timeout_ms,
-                   a_switch_groups,
-                   a_interval_length_ms,
-                   a_quiet)
+function forwardKasaMessage(a_level, a_messages)
 {
-    try
+    if (!logger.isEnabled(a_level))
     {
-        let watcher = new KasaWatcher(a_home_assistant_url,
-                                      a_home_assistant_token,
-                                      a_kasa_timeout_ms,
-                                      a_quiet);
-
-        for (const binary_sensor in a_switch_groups)
-        {
-            const switch_group = a_switch_groups[binary_sensor];
-            await watcher.addSwitchGroup(binary_sensor,
-                                         switch_group.hosts,
-                                         switch_group.default_state);
-        }
-
-        setInterval(
-            async() => {
-                watcher.checkAllAndUpdate();
-            },
-            a_interval_length_ms);
-    }
-    catch (error)
-    {
-        console.error(error);
+        return;
     }
+
+    const error = a_messages.find((message) => { return message instanceof Error; });
+    logger[a_level](util.format(...a_messages.map(
+                        (message) => {
+                            return message instanceof Error ? message.message : message;
+                        })),
+                    {source: "tplink-smarthome-api",
+                     ...(error !== undefined ? getErrorFields(error) : {})});
 }
 
+
 /**
- * Read the contents of a file directly.
- *
- * @param {string} a_file_path  The path, on disk, to the file to be read.
- * @param {string} a_encoding   The encoding to use when reading the file.
- *
- * @returns {string|Buffer}
- *     The contents of the file as a string if appropriate for the encoding
- *     used otherwise as a Buffer.
+ * The error thrown when a host entry names a child outlet that the device does
+ * not have.
  */
-async function readFile(a_file_path, a_encoding="utf8")
+class UnknownChildError extends Error
 {
-    let file = null;
-    try
-    {
-        file = await fs.open(a_file_path, 'r')
-        return await file.readFile({encoding: a_encoding});
-    }
-    catch (error)
+    /**
+     * Create an UnknownChildError.
+     *
+     * @param {Object} a_entry  The parsed host entry, see {@link parseHostEntry}.
+     */
+    constructor(a_entry)
     {
-        return false;
+        const child = (a_entry.alias !== undefined
+                       ? `alias "${a_entry.alias}"` : `ID "${a_entry.child_id}"`);
+        super(`The Kasa device ${describeHostEntry(a_entry)} has no child ` +
+              `outlet with ${child}.`);
+        this.name = "UnknownChildError";
     }
-    finally
+};
+
+
+/**
+ * The error thrown when a host entry identifies a device by its MAC address,
+ * device ID, or alias and no such device answered discovery.
+ */
+class DeviceNotFoundError extends Error
+{
+    /**
+     * Create a DeviceNotFoundError.
+     *
+     * @param {Object} a_entry  The parsed host entry, see {@link parseHostEntry}.
+     */
+    constructor(a_entry)
     {
-        if (file)
-        {
-            await file.close()
-        }
+        super(`Could not discover the Kasa device ${describeHostEntry(a_entry)}.`);
+        this.name = "DeviceNotFoundError";
     }
-}
+};
+
+
+/**
+ * @typedef {string|Object} HostEntry
+ *
+ * A Kasa switch in a group. Either a string containing the IP address, domain
+ * name or MAC address of the device, optionally followed by `#` and the alias
+ * of a child outlet, or an object with the following properties:
+ *
+ * @property {string} [host]
+ *     The IP address or domain name of the device.
+ * @property {string} [mac]
+ *     The MAC address of the device, it will be found using discovery.
+ * @property {string} [device_id]
+ *     The device ID of the device, it will be found using discovery.
+ * @property {string} [device_alias]
+ *     The alias of the device, it will be found using discovery.
+ * @property {string} [child_id]
+ *     The ID of the child outlet on a multi-outlet device.
+ * @property {string} [alias]
+ *     The alias of the child outlet on a multi-outlet device. May not be used
+ *     with `child_id`.
+ *
+ * Exactly one of `host`, `mac`, `device_id`, or `device_alias` must be given.
+ */
+
+
+/**
+ * The properties of a {@link HostEntry} object that identify the device.
+ */
+const DEVICE_IDENTIFIERS = ["host", "mac", "device_id", "device_alias"];
+
+
+/**
+ * Matches a MAC address, with or without separators.
+ */
+const MAC_ADDRESS_PATTERN = /^[0-9a-f]{2}([:-]?[0-9a-f]{2}){5}$/i;
+
 
 /**
- * The main function which handles starting kasa-watch.
+ * Parse a {@link HostEntry} into its parts.
  *
- * This handles the command-line arguments as well as validating the
- * configuration file.
+ * @param {HostEntry} a_entry  The host entry to parse.
  *
- * @param {string[]} argv  The command line aguments.
+ * @returns {?Object}
+ *     An object with one of the `host`, `mac`, `device_id`, or `device_alias`
+ *     properties and optionally `child_id` or `alias`, or `null` if the entry
+ *     is invalid.
  */
-async function main(argv)
+function parseHostEntry(a_entry)
 {
-    const INVALID_CLI_ARGS           =  1;
-    const CANNOT_READ_TOKEN_FILE     =  2;
-    const CANNOT_READ_CONFIG_FILE    =  3;
-    const CANNOT_PARSE_CONFIG_FILE   =  4;
-    const CONFIGRUATION_INVALID      =  5
-    const MISSING_HA_URL             =  6;
-    const INVALID_HA_URL             =  7;
-    const MISSING_POLL_INTERVAL      =  8;
-    const INVALID_POLL_INTERVAL      =  9;
-    const NON_NUMERIC_POLL_INTERVAL  = 10;
-    const NOT_POSITIVE_POLL_INTERVAL = 11;
-    const MISSING_BINARY_SENSORS     = 12;
-    const EMPTY_BINARY_SENSORS       = 13;
-    const INVALID_BINARY_SENSORS     = 14;
-    const NON_NUMERIC_KASA_TIMEOUT   = 15;
-    const NOT_POSITIVE_KASA_TIMEOUT  = 16;
-
-    const parsed_options = yargs(argv)
-          .options({
-              "verbose": {
-                  type:        "boolean",
-                  default:     false,
-                  alias:       "v",
-                  description: "Print more information when running."
-              },
-              "ha-token-file": {
-                  demandOption: true,
-                  type:         "string",
-                  description:
-                  ("The path to the file containing the Home Assistant (HA) " +
-                   "long-lived access token.")
-              },
-              "configuration": {
-                  alias:        "config",
-                  demandOption: true,
-                  type:         "string",
-                  description:
-                  ("The path the JSON configuration file.")
-              }
-          })
-          .epilog("A simple client that will watch the specified TP-Link Kasa " +
-                  "devices and update the associated Home Assistant binary "    +
-                  "sensor when one of the device's state changes."              +
-                  ``                                                                      + `\n` +
-                  ``                                                                      + `\n` +
-                  `Error Codes:`                                                          + `\n` +
-                  `  Invalid command line arguments:        ${INVALID_CLI_ARGS}`          + `\n` +
-                  `  Cannot read the HA token file:         ${CANNOT_READ_TOKEN_FILE}`    + `\n` +
-                  `  Cannot read the configuration file:    ${CANNOT_READ_CONFIG_FILE}`   + `\n` +
-                  `  Cannot parse the configuration file:   ${CANNOT_PARSE_CONFIG_FILE}`  + `\n` +
-                  `  Configuration file invalid:            ${CONFIGRUATION_INVALID}`     + `\n` +
-                  `  Configuration missing HA URL:          ${MISSING_HA_URL}`            + `\n` +
-                  `  Invalid HA URL:                        ${INVALID_HA_URL}`            + `\n` +
-                  `  Configuration missing poll interval:   ${MISSING_POLL_INTERVAL}`     + `\n` +
-                  `  Invalid poll interval:                 ${INVALID_POLL_INTERVAL}`     + `\n` +
-                  `  Non-numeric poll interval:            ${NON_NUMERIC_POLL_INTERVAL}`  + `\n` +
-                  `  Poll interval is not positive:        ${NOT_POSITIVE_POLL_INTERVAL}` + `\n` +
-                  `  Configuration missing binary sensors: ${MISSING_BINARY_SENSORS}`     + `\n` +
-                  `  Binary sensors object empty:          ${EMPTY_BINARY_SENSORS}`       + `\n` +
-                  `  Invalid binary sensors:               ${INVALID_BINARY_SENSORS}`     + `\n` +
-                  `  Non-numeric Kasa timeout:             ${NON_NUMERIC_KASA_TIMEOUT}`   + `\n` +
-                  `  Kasa timeout is not positive:         ${NOT_POSITIVE_KASA_TIMEOUT}`  + `\n`
-                 );
-    const args = parsed_options.argv;
-
-    const raw_ha_token = await readFile(args["ha-token-file"]);
-    if (!raw_ha_token)
-    {
-        console.error(`Could not read the Home Assistant token file ` +
-                      `"${args["ha-token-file"]}".`);
-        process.exit(CANNOT_READ_TOKEN_FILE);
-    }
-    const ha_token = raw_ha_token.trim();
-
-    const raw_configuration = await readFile(args["configuration"]);
-    if (!raw_configuration)
-    {
-        console.error(`Could not read the JSON configuration file ` +
-                      `"${args["configuration"]}".`);
-        process.exit(CANNOT_READ_CONFIG_FILE);
-    }
-    const configuration = (() => {
-        try
+    if (typeof(a_entry) == "string")
+    {
+        const separator = a_entry.indexOf("#");
+        const device    = separator < 0 ? a_entry : a_entry.slice(0, separator);
+        if (!device)
         {
-            return JSON.parse(raw_configuration);
+            return null;
         }
-        catch (error)
+
+        let entry = (MAC_ADDRESS_PATTERN.test(device) && device.includes(":")
+                     ? {mac: device} : {host: device});
+        if (separator >= 0)
         {
-            console.error(`Could not parse the JSON configuration file ` +
-                          `"${args["configuration"]}".`);
-            console.error(error.message);
-            process.exit(CANNOT_PARSE_CONFIG_FILE);
+            entry.alias = a_entry.slice(separator + 1);
+            if (!entry.alias)
+            {
+                return null;
+            }
         }
-    })();
+        return entry;
+    }
 
-    if (Object.keys(configuration).length == 0)
+    if (!a_entry || typeof(a_entry) != "object" || Array.isArray(a_entry))
     {
-        console.error(`Configuration must be an object with the keys ` +
-                      `"home_assistant_url", "poll_interval_ms", and ` +
-                      `"binary_sensors".`);
-        process.exit(CONFIGRUATION_INVALID);
+        return null;
     }
 
-    if (configuration["home_assistant_url"] === undefined)
+    const identifiers = DEVICE_IDENTIFIERS.filter(
+        (key) => { return a_entry[key] !== undefined; });
+    if (identifiers.length != 1)
     {
-        console.error(`Configuration is missing the "home_assistant_url" entry.`);
-        process.exit(MISSING_HA_URL);
+        return null;
     }
-    else if (!configuration["home_assistant_url"])
+
+    let entry = {};
+    for (const key of [...identifiers, "child_id", "alias"])
     {
-        console.error(`The configuration value for "home_assistant_url" is ` +
-                      `required must be a non-empty string.`);
-        process.exit(INVALID_HA_URL);
+        if (a_entry[key] === undefined)
+        {
+            continue;
+        }
+        if (!a_entry[key] || typeof(a_entry[key]) != "string")
+        {
+            return null;
+        }
+        entry[key] = a_entry[key];
     }
 
-    if (configuration["poll_interval_ms"] === undefined)
+    if ((entry.mac !== undefined && !MAC_ADDRESS_PATTERN.test(entry.mac)) ||
+        (entry.child_id !== undefined && entry.alias !== undefined))
     {
-        console.error(`Configuration is missing the "poll_interval_ms" entry.`);
-        process.exit(MISSING_POLL_INTERVAL);
+        return null;
     }
-    else if (!configuration["poll_interval_ms"])
+    return entry;
+}
+
+
+/**
+ * Describe the device a parsed {@link HostEntry} identifies, for messages.
+ *
+ * @param {Object} a_entry  The parsed host entry, see {@link parseHostEntry}.
+ *
+ * @returns {string}  For example `'192.168.1.20'` or `with MAC "…"`.
+ */
+function describeHostEntry(a_entry)
+{
+    if (a_entry.host !== undefined)
     {
-        console.error(`The configuration value for "poll_interval_ms" is ` +
-                      `required and must be a positive number.`);
-        process.exit(INVALID_POLL_INTERVAL);
+        return `'${a_entry.host}'`;
     }
-    else if (typeof(configuration["poll_interval_ms"]) != "number" &&
-             !(configuration["poll_interval_ms"] instanceof Number))
+    else if (a_entry.mac !== undefined)
     {
-        console.error(`The configuration value for "poll_interval_ms" must ` +
-                      `be a positive number.`);
-        process.exit(NON_NUMERIC_POLL_INTERVAL);
+        return `with MAC "${a_entry.mac}"`;
     }
-    else if (configuration["poll_interval_ms"] <= 0)
+    else if (a_entry.device_id !== undefined)
     {
-        console.error(`The configuration value for "poll_interval_ms" is ` +
-                      `less than or equal to zero, but must be a positive number.`);
-        process.exit(NOT_POSITIVE_POLL_INTERVAL);
+        return `with device ID "${a_entry.device_id}"`;
     }
+    return `with alias "${a_entry.device_alias}"`;
+}
+
+
+/**
+ * Get the value that identifies the device of a parsed {@link HostEntry}.
+ *
+ * @param {Object} a_entry  The parsed host entry, see {@link parseHostEntry}.
+ *
+ * @returns {string}  The host, MAC address, device ID, or device alias.
+ */
+function getHostEntryDevice(a_entry)
+{
+    return DEVICE_IDENTIFIERS.map((key) => { return a_entry[key]; })
+                             .find((value) => { return value !== undefined; });
+}
+
+
+/**
+ * Determine whether a discovered device is the one a parsed
+ * {@link HostEntry} identifies.
+ *
+ * @param {Object} a_device  The tplink-smarthome-api device.
+ * @param {Object} a_entry   The parsed host entry, see {@link parseHostEntry}.
+ *
+ * @returns {bool}  `true` if the device matches.
+ */
+function deviceMatchesHostEntry(a_device, a_entry)
+{
+    const normalize_mac = (mac) => { return mac.replace(/[:-]/g, "").toLowerCase(); };
 
-    if (configuration["binary_sensors"] === undefined)
+    if (a_entry.mac !== undefined)
     {
-        console.error(`Configuration is missing the "binary_sensors" entry.`);
-        process.exit(MISSING_BINARY_SENSORS);
+        return normalize_mac(a_device.mac || "") == normalize_mac(a_entry.mac);
     }
-    else if (!configuration["binary_sensors"])
+    else if (a_entry.device_id !== undefined)
     {
-        console.error(`The configuration value for "binary_sensors" is ` +
-                      `required must be an Object.`);
-        process.exit(EMPTY_BINARY_SENSORS);
+        return a_device.deviceId == a_entry.device_id;
     }
-    else if (Object.keys(configuration["binary_sensors"]).length == 0)
+    else if (a_entry.device_alias !== undefined)
     {
-        console.error(`The configuration value for "binary_sensors" is empty. `+
-                      `It must contain at least one key.`);
-        process.exit(EMPTY_BINARY_SENSORS);
+        return a_device.sysInfo.alias == a_entry.device_alias;
     }
+    return a_device.host == a_entry.host;
+}
 
-    let binary_sensor_config_valid = true;
-    for (const name in configuration["binary_sensors"])
-    {
-        const sensor_configuration = configuration["binary_sensors"][name];
 
-        if (sensor_configuration["default_state"] === undefined)
-        {
-            console.error(`Binary sensor configuration for "${name}" is ` +
-                          `missing the "default_state" entry.`);
-            binary_sensor_config_valid = false;
-            continue;
-        }
+/**
+ * The ways the states of a group's switches can be combined into the state of
+ * its binary sensor.
+ *
+ * - "toggle": Any switch changing state flips the group's state. At startup
+ *   the majority state is used.
+ * - "any_on": The group is "on" if any switch is on.
+ * - "all_on": The group is "on" only if every switch is on.
+ * - "majority": The group has the state of the majority of its switches, a tie
+ *   keeps the current state.
+ *
+ * Disconnected switches are not counted.
+ */
+const GROUP_MODES = ["toggle", "any_on", "all_on", "majority"];
 
-        const default_state = sensor_configuration["default_state"];
-        if ("on"  != default_state && "off" != default_state)
-        {
-            console.error(`Binary sensor configuration for "${name}" has an ` +
-                          `invalid value for the "default_state" entry. It `  +
-                          `must be one of "on" or "off"`);
-            binary_sensor_config_valid = false;
-            continue;
-        }
 
-        if (sensor_configuration["hosts"] === undefined)
-        {
-            console.error(`Binary sensor configuration for "${name}" is ` +
-                          `missing the "hosts" entry.`);
-            binary_sensor_config_valid = false;
-            continue;
+/**
+ * Where the brightness and color temperature of a group can be published.
+ *
+ * - "sensor": To the `sensor.<name>_brightness` and `sensor.<name>_color_temp`
+ *   Home Assistant sensors.
+ * - "attributes": As the `brightness` and `color_temp` attributes of the
+ *   group's binary sensor.
+ */
+const BRIGHTNESS_OUTPUTS = ["sensor", "attributes"];
+
+
+/**
+ * The types of record in an {@link EventLog}.
+ *
+ * - "switch": A switch changed state, see {@link KasaWatcher#event:switchState}.
+ * - "group": A group changed state, see {@link KasaWatcher#event:groupChange}.
+ * - "connectivity": A host stopped or started answering.
+ * - "output": A state was, or could not be, sent to Home Assistant, or an
+ *   event could not be fired.
+ */
+const EVENT_TYPES = ["switch", "group", "connectivity", "output"];
+
+
+/**
+ * The energy meter readings published for each power sensor, along with the
+ * suffix of the Home Assistant sensor and the attributes it is given.
+ */
+const ENERGY_QUANTITIES = {
+    power:   {suffix:              "power",
+              unit_of_measurement: "W",
+              device_class:        "power",
+              state_class:         "measurement"},
+    voltage: {suffix:              "voltage",
+              unit_of_measurement: "V",
+              device_class:        "voltage",
+              state_class:         "measurement"},
+    current: {suffix:              "current",
+              unit_of_measurement: "A",
+              device_class:        "current",
+              state_class:         "measurement"},
+    total:   {suffix:              "energy",
+              unit_of_measurement: "kWh",
+              device_class:        "energy",
+              state_class:         "total_increasing"}
+};
+
+
+/**
+ * How long, in milliseconds, to wait for devices to answer a discovery
+ * broadcast.
+ */
+const DEFAULT_DISCOVERY_TIMEOUT_MS = 3e3;
+
+
+/**
+ * The minimum time, in milliseconds, between attempts to find a device that
+ * stopped answering at its last known address.
+ */
+const REDISCOVERY_INTERVAL_MS = 60e3;
+
+
+/**
+ * How long, in milliseconds, to wait before first retrying to reach a device
+ * or Home Assistant.
+ */
+const RETRY_INITIAL_DELAY_MS = 1e3;
+
+
+/**
+ * The longest time, in milliseconds, to wait between retries.
+ */
+const RETRY_MAX_DELAY_MS = 60e3;
+
+
+/**
+ * How long, in milliseconds, to ignore stale states from switches that were
+ * written to by a group with `sync_switches` enabled.
+ */
+const DEFAULT_SYNC_TIMEOUT_MS = 5e3;
+
+/**
+ * The upper bounds of the poll duration histogram's buckets, in seconds.
+ */
+const POLL_DURATION_BUCKETS_S = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * How long after the last completed poll the status server's `/healthz` keeps
+ * reporting kasa-watch as healthy, by default, in milliseconds.
+ */
+const DEFAULT_STALE_AFTER_MS = 60e3;
+
+/**
+ * How often, by default, to check that Home Assistant has the states that were
+ * sent to it, in milliseconds.
+ */
+const DEFAULT_RECONCILE_INTERVAL_MS = 60e3;
+
+/**
+ * How many of the Home Assistant contexts that states were last set in are
+ * remembered for each entity, to recognize the resulting state changes.
+ */
+const MAX_CONTEXT_IDS = 8;
+
+/**
+ * The body a {@link WebhookOutput} sends by default, see
+ * {@link renderTemplate}.
+ */
+const DEFAULT_WEBHOOK_BODY = {entity_id:  "{{entity_id}}",
+                              state:      "{{state}}",
+                              attributes: "{{attributes}}"};
+
+/**
+ * The arguments a {@link CommandOutput} runs its command with by default, see
+ * {@link renderTemplate}.
+ */
+const DEFAULT_COMMAND_ARGS = ["{{entity_id}}", "{{state}}"];
+
+/**
+ * How long a {@link CommandOutput}'s command may run, by default, before it is
+ * killed, in milliseconds.
+ */
+const DEFAULT_COMMAND_TIMEOUT_MS = 10e3;
+
+/**
+ * The name switch groups use in their `sinks` for the watcher's own output,
+ * which is all they send to if they don't list any sinks.
+ */
+const DEFAULT_SINK = "default";
+
+
+/**
+ * @typedef {string} SwitchState
+ *
+ * The state of a given switch. Must be one of "on", "off", or "disconnected".
+ *
+ * *Note:* The state "disconnected" should only be used when referring to the
+ *         state of an individual switch and shopuld not be used when referring
+ *         to the state of a group of switches.
+ */
+
+
+/**
+ * The attributes that describe a Home Assistant entity rather than its state.
+ * The {@link MqttOutput} sends these in the discovery config instead of the
+ * attributes topic.
+ */
+const ENTITY_CONFIG_ATTRIBUTES = ["friendly_name",
+                                  "device_class",
+                                  "icon",
+                                  "state_class",
+                                  "unit_of_measurement"];
+
+
+/**
+ * @interface Output
+ *
+ * Where {@link KasaWatcher} sends the states of the Home Assistant entities it
+ * manages.
+ */
+
+/**
+ * Prepare the output for use, for example by connecting to a server.
+ *
+ * @function
+ * @name Output#connect
+ * @async
+ *
+ * @throws Will throw if the output cannot be used.
+ */
+
+/**
+ * Set the state of a Home Assistant entity.
+ *
+ * @function
+ * @name Output#setState
+ * @async
+ *
+ * @param {string} a_entity_id
+ *     The Home Assistant entity ID, e.g. `binary_sensor.study_lights`.
+ * @param {string|number} a_state
+ *     The new state of the entity.
+ * @param {Object} a_attributes
+ *     The attributes of the entity, possibly empty.
+ *
+ * @returns {?string}
+ *     The ID of the Home Assistant context the state was set in, if known.
+ *
+ * @throws Will throw if unable to deliver the state.
+ */
+
+/**
+ * Get the state Home Assistant has for an entity.
+ *
+ * This is optional, outputs without it are not reconciled.
+ *
+ * @function
+ * @name Output#getState
+ * @async
+ *
+ * @param {string} a_entity_id
+ *     The Home Assistant entity ID, e.g. `binary_sensor.study_lights`.
+ *
+ * @returns {?string}  The entity's state, or `null` if it doesn't exist.
+ *
+ * @throws Will throw if unable to read the state.
+ */
+
+/**
+ * Fire a Home Assistant event.
+ *
+ * This is optional, outputs without it don't send events.
+ *
+ * @function
+ * @name Output#fireEvent
+ * @async
+ *
+ * @param {string} a_event_type
+ *     The type of event, e.g. `kasa_watch_oscillation`.
+ * @param {Object} a_event_data
+ *     The data of the event.
+ *
+ * @throws Will throw if unable to deliver the event.
+ */
+
+
+/**
+ * An {@link Output} that sets entity states using the Home Assistant REST API.
+ *
+ * Entities created this way have no unique ID and don't survive a restart of
+ * Home Assistant until their state is next set.
+ *
+ * @implements {Output}
+ */
+class HomeAssistantRestOutput
+{
+    /**
+     * Create a HomeAssistantRestOutput.
+     *
+     * @param {string} a_home_assistant_url
+     *     The URL to Home Assistant.
+     * @param {string} a_home_assistant_token
+     *     The Home Assistant long-lived access token.
+     */
+    constructor(a_home_assistant_url, a_home_assistant_token)
+    {
+        this._home_assistant = bent(`${a_home_assistant_url}/api/states/`,
+                                    "POST",
+                                    {Authorization: `Bearer ${a_home_assistant_token}`},
+                                    [200, 201]);
+        this._home_assistant_get = bent(`${a_home_assistant_url}/api/states/`,
+                                        "GET",
+                                        {Authorization: `Bearer ${a_home_assistant_token}`},
+                                        [200, 404]);
+        this._home_assistant_events = bent(`${a_home_assistant_url}/api/events/`,
+                                           "POST",
+                                           {Authorization: `Bearer ${a_home_assistant_token}`},
+                                           [200]);
+    }
+
+    /**
+     * Nothing needs to be done, each request stands on its own.
+     */
+    async connect()
+    {
+    }
+
+    /**
+     * Set the state of a Home Assistant entity.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     *
+     * @returns {?string}  The ID of the context the state was set in.
+     *
+     * @throws This will throw if unable to connect to Home Assistant.
+     */
+    async setState(a_entity_id, a_state, a_attributes)
+    {
+        const response = await this._home_assistant(a_entity_id,
+                                                    {state:      a_state,
+                                                     attributes: a_attributes});
+        const state = await response.json();
+        return state.context !== undefined ? state.context.id : null;
+    }
+
+    /**
+     * Get the state Home Assistant has for an entity.
+     *
+     * @param {string} a_entity_id  The Home Assistant entity ID.
+     *
+     * @returns {?string}  The entity's state, or `null` if it doesn't exist.
+     *
+     * @throws This will throw if unable to connect to Home Assistant.
+     */
+    async getState(a_entity_id)
+    {
+        const response = await this._home_assistant_get(a_entity_id);
+        if (response.statusCode == 404)
+        {
+            return null;
+        }
+        return (await response.json()).state;
+    }
+
+    /**
+     * Fire a Home Assistant event.
+     *
+     * @param {string} a_event_type  The type of event.
+     * @param {Object} a_event_data  The data of the event.
+     *
+     * @throws This will throw if unable to connect to Home Assistant.
+     */
+    async fireEvent(a_event_type, a_event_data)
+    {
+        await this._home_assistant_events(a_event_type, a_event_data);
+    }
+};
+
+
+/**
+ * An {@link Output} that publishes entity states to an MQTT broker using
+ * Home Assistant's MQTT discovery.
+ *
+ * Each entity gets retained state and attributes topics and a retained
+ * discovery config with a unique ID, so the entities survive restarts of both
+ * Home Assistant and kasa-watch. An availability topic is set to "online" when
+ * connected and to "offline" by the broker, using the Last Will, when the
+ * connection is lost.
+ *
+ * @implements {Output}
+ */
+class MqttOutput
+{
+    /**
+     * Create an MqttOutput.
+     *
+     * @param {string} a_url
+     *     The URL of the MQTT broker, e.g. `mqtt://192.168.1.12:1883`.
+     * @param {Object} [a_options={}]
+     * @param {string} [a_options.username]
+     *     The user name to connect to the broker with.
+     * @param {string} [a_options.password]
+     *     The password to connect to the broker with.
+     * @param {string} [a_options.base_topic="kasa-watch"]
+     *     The prefix of the state, attributes and availability topics.
+     * @param {string} [a_options.discovery_prefix="homeassistant"]
+     *     Home Assistant's MQTT discovery prefix.
+     */
+    constructor(a_url, a_options={})
+    {
+        this._url              = a_url;
+        this._username         = a_options.username;
+        this._password         = a_options.password;
+        this._base_topic       = a_options.base_topic || "kasa-watch";
+        this._discovery_prefix = a_options.discovery_prefix || "homeassistant";
+        this._client           = null;
+        this._outage_logged    = false;
+
+        /**
+         * The last discovery config published for each entity ID, as a JSON
+         * string.
+         * @member {Object}
+         */
+        this._discovery_configs = {};
+    }
+
+    /**
+     * The topic that reports whether kasa-watch is connected to the broker.
+     * @type {string}
+     */
+    get availabilityTopic()
+    {
+        return `${this._base_topic}/status`;
+    }
+
+    /**
+     * Connect to the MQTT broker and mark kasa-watch as available.
+     *
+     * This returns once connected or after the first failed attempt. Either
+     * way the client keeps reconnecting on its own whenever the connection is
+     * lost, and marks kasa-watch as available again when it does. The first
+     * error, or lost connection, of each outage is logged.
+     */
+    async connect()
+    {
+        this._client = mqtt.connect(this._url,
+                                    {username: this._username,
+                                     password: this._password,
+                                     will:     {topic:   this.availabilityTopic,
+                                                payload: "offline",
+                                                qos:     1,
+                                                retain:  true}});
+
+        this._client.on("connect", () => {
+            if (this._outage_logged)
+            {
+                logger.info(`Reconnected to the MQTT broker '${this._url}'.`, {url: this._url});
+                this._outage_logged = false;
+            }
+            this._client.publish(this.availabilityTopic, "online",
+                                 {qos: 1, retain: true});
+        });
+
+        this._client.on("error", (error) => { this._logOutage(error); });
+        this._client.on("offline", () => { this._logOutage(null); });
+
+        await new Promise((resolve) => {
+            this._client.once("connect", resolve);
+            this._client.once("error",   resolve);
+        });
+    }
+
+    /**
+     * Log that the broker can't be reached, unless that has already been
+     * logged since the client was last connected.
+     *
+     * @param {?Error} a_error  Why, or `null` if the connection was just lost.
+     *
+     * @private
+     */
+    _logOutage(a_error)
+    {
+        if (this._outage_logged)
+        {
+            return;
+        }
+
+        logger.warn(`Not connected to the MQTT broker '${this._url}', will keep trying` +
+                    (a_error ? `: ${a_error.message}` : `.`),
+                    {url: this._url, ...(a_error ? getErrorFields(a_error) : {})});
+        this._outage_logged = true;
+    }
+
+    /**
+     * Publish the state and attributes of an entity, along with its discovery
+     * config if that has changed.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     *
+     * @throws This will throw if not connected to or unable to publish to
+     *         the broker.
+     */
+    async setState(a_entity_id, a_state, a_attributes)
+    {
+        if (!this._client.connected)
+        {
+            throw new Error(`Not connected to the MQTT broker '${this._url}'.`);
+        }
+
+        const [domain, object_id] = a_entity_id.split(".");
+        const entity_topic        = `${this._base_topic}/${domain}/${object_id}`;
+
+        let config     = {};
+        let attributes = {};
+        for (const key in a_attributes)
+        {
+            if (ENTITY_CONFIG_ATTRIBUTES.includes(key))
+            {
+                config[key] = a_attributes[key];
+            }
+            else
+            {
+                attributes[key] = a_attributes[key];
+            }
+        }
+
+        const discovery_config = JSON.stringify(
+            this._getDiscoveryConfig(domain, object_id, entity_topic, config));
+        if (this._discovery_configs[a_entity_id] != discovery_config)
+        {
+            await this._publish(`${this._discovery_prefix}/${domain}/kasa_watch/${object_id}/config`,
+                                discovery_config);
+            this._discovery_configs[a_entity_id] = discovery_config;
+        }
+
+        await Promise.all([this._publish(`${entity_topic}/attributes`,
+                                         JSON.stringify(attributes)),
+                           this._publish(`${entity_topic}/state`,
+                                         String(a_state))]);
+    }
+
+    /**
+     * Build the Home Assistant MQTT discovery config for an entity.
+     *
+     * @param {string} a_domain        The entity's domain, e.g. `sensor`.
+     * @param {string} a_object_id     The entity's object ID.
+     * @param {string} a_entity_topic  The prefix of the entity's topics.
+     * @param {Object} a_config        Extra config such as `device_class`, a
+     *                                 `friendly_name` becomes the `name`.
+     *
+     * @returns {Object}  The discovery config.
+     *
+     * @private
+     */
+    _getDiscoveryConfig(a_domain, a_object_id, a_entity_topic, a_config)
+    {
+        const {friendly_name, ...extra_config} = a_config;
+        let config = {name:                  friendly_name || a_object_id,
+                      object_id:             a_object_id,
+                      unique_id:             `kasa_watch_${a_domain}_${a_object_id}`,
+                      state_topic:           `${a_entity_topic}/state`,
+                      json_attributes_topic: `${a_entity_topic}/attributes`,
+                      availability_topic:    this.availabilityTopic,
+                      device:                {identifiers: ["kasa_watch"],
+                                              name:        "kasa-watch"},
+                      ...extra_config};
+        if (a_domain == "binary_sensor")
+        {
+            config.payload_on  = "on";
+            config.payload_off = "off";
+        }
+        return config;
+    }
+
+    /**
+     * Publish an event as a JSON message to the `event/<type>` topic below
+     * the base topic. Unlike states events aren't retained.
+     *
+     * @param {string} a_event_type  The type of event.
+     * @param {Object} a_event_data  The data of the event.
+     *
+     * @throws This will throw if not connected to or unable to publish to
+     *         the broker.
+     */
+    async fireEvent(a_event_type, a_event_data)
+    {
+        if (!this._client.connected)
+        {
+            throw new Error(`Not connected to the MQTT broker '${this._url}'.`);
+        }
+
+        await this._publish(`${this._base_topic}/event/${a_event_type}`,
+                            JSON.stringify(a_event_data),
+                            false);
+    }
+
+    /**
+     * Publish a message.
+     *
+     * @param {string} a_topic          The topic to publish to.
+     * @param {string} a_payload        The message.
+     * @param {bool}   [a_retain=true]  Whether the broker should retain it.
+     *
+     * @throws This will throw if unable to publish to the broker.
+     *
+     * @private
+     */
+    _publish(a_topic, a_payload, a_retain=true)
+    {
+        return new Promise((resolve, reject) => {
+            this._client.publish(a_topic, a_payload, {qos: 1, retain: a_retain},
+                                 (error) => { error ? reject(error) : resolve(); });
+        });
+    }
+};
+
+
+/**
+ * An {@link Output} that only records and logs the states and events it is
+ * given, for trying a configuration without changing Home Assistant.
+ *
+ * @implements {Output}
+ */
+class RecordingOutput
+{
+    /**
+     * Create a RecordingOutput.
+     *
+     * @param {?string} [a_sink=null]
+     *     The name of the sink it stands in for, which is added to its log
+     *     messages, or `null` if it stands in for the watcher's own output.
+     */
+    constructor(a_sink=null)
+    {
+        this._sink_fields = a_sink !== null ? {sink: a_sink} : {};
+
+        /**
+         * The last state and attributes of each entity, by entity ID.
+         * @member {Object.<string, Object>}
+         */
+        this.states = {};
+
+        /**
+         * Every event fired, oldest first, each with its `event_type` and
+         * `event_data`.
+         * @member {Object[]}
+         */
+        this.events = [];
+    }
+
+    /**
+     * Nothing needs to be done, there's nothing to connect to.
+     */
+    async connect()
+    {
+    }
+
+    /**
+     * Record and log the state of an entity.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     *
+     * @returns {null}  There's no context.
+     */
+    async setState(a_entity_id, a_state, a_attributes)
+    {
+        this.states[a_entity_id] = {state: a_state, attributes: a_attributes};
+        logger.info(`Would set '${a_entity_id}' to "${a_state}".`,
+                    {...this._sink_fields,
+                     entity_id:  a_entity_id,
+                     state:      a_state,
+                     attributes: a_attributes});
+        return null;
+    }
+
+    /**
+     * Get the recorded state of an entity.
+     *
+     * @param {string} a_entity_id  The Home Assistant entity ID.
+     *
+     * @returns {?string}  The entity's state, or `null` if it was never set.
+     */
+    async getState(a_entity_id)
+    {
+        const entity = this.states[a_entity_id];
+        return entity !== undefined ? String(entity.state) : null;
+    }
+
+    /**
+     * Record and log an event.
+     *
+     * @param {string} a_event_type  The type of event.
+     * @param {Object} a_event_data  The data of the event.
+     */
+    async fireEvent(a_event_type, a_event_data)
+    {
+        this.events.push({event_type: a_event_type, event_data: a_event_data});
+        logger.info(`Would fire the '${a_event_type}' event.`,
+                    {...this._sink_fields,
+                     event_type: a_event_type,
+                     event_data: a_event_data});
+    }
+};
+
+
+/**
+ * Fill in the placeholders of a template, such as the body of a
+ * {@link WebhookOutput}.
+ *
+ * A placeholder is a name in double braces, e.g. `{{state}}`. A string that is
+ * just a placeholder is replaced by the value itself, which may be any JSON
+ * value, so `"{{attributes}}"` becomes an object. Placeholders within a longer
+ * string are replaced by the value as text, with objects written as JSON.
+ * Arrays and the values of objects are filled in recursively. Unknown
+ * placeholders are left as they are.
+ *
+ * @param {*}      a_template  The template, any JSON value.
+ * @param {Object} a_values    The value of each placeholder, by name.
+ *
+ * @returns {*}  The filled in template.
+ */
+function renderTemplate(a_template, a_values)
+{
+    if (typeof(a_template) == "string")
+    {
+        const whole = /^\{\{\s*(\w+)\s*\}\}$/.exec(a_template);
+        if (whole !== null && a_values[whole[1]] !== undefined)
+        {
+            return a_values[whole[1]];
+        }
+        return a_template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+            const value = a_values[name];
+            if (value === undefined)
+            {
+                return placeholder;
+            }
+            return typeof(value) == "object" ? JSON.stringify(value) : String(value);
+        });
+    }
+    else if (Array.isArray(a_template))
+    {
+        return a_template.map((item) => { return renderTemplate(item, a_values); });
+    }
+    else if (a_template !== null && typeof(a_template) == "object")
+    {
+        let rendered = {};
+        for (const key in a_template)
+        {
+            rendered[key] = renderTemplate(a_template[key], a_values);
+        }
+        return rendered;
+    }
+    return a_template;
+}
+
+
+/**
+ * Get the values an output fills its templates in with when setting the state
+ * of an entity, see {@link renderTemplate}.
+ *
+ * @param {string}        a_entity_id   The Home Assistant entity ID.
+ * @param {string|number} a_state       The new state of the entity.
+ * @param {Object}        a_attributes  The attributes of the entity.
+ *
+ * @returns {Object}
+ *     The `entity_id`, `state`, `attributes` and the current `time`, as an ISO
+ *     8601 string.
+ */
+function getTemplateValues(a_entity_id, a_state, a_attributes)
+{
+    return {entity_id:  a_entity_id,
+            state:      a_state,
+            attributes: a_attributes,
+            time:       new Date().toISOString()};
+}
+
+
+/**
+ * An {@link Output} that sends each entity state to an HTTP webhook, such as a
+ * Node-RED flow, as a JSON body made from a template.
+ *
+ * Events are not sent.
+ *
+ * @implements {Output}
+ */
+class WebhookOutput
+{
+    /**
+     * Create a WebhookOutput.
+     *
+     * @param {string} a_url
+     *     The URL of the webhook.
+     * @param {Object} [a_options={}]
+     *     The `method`, "POST" by default, extra `headers` to send, and the
+     *     `body` template, see {@link renderTemplate}. The body defaults to
+     *     {@link DEFAULT_WEBHOOK_BODY}.
+     */
+    constructor(a_url, a_options={})
+    {
+        this._url     = a_url;
+        this._body    = a_options.body !== undefined ? a_options.body : DEFAULT_WEBHOOK_BODY;
+        this._request = bent(a_options.method || "POST",
+                             {"Content-Type": "application/json",
+                              ...a_options.headers},
+                             [200, 201, 202, 204]);
+    }
+
+    /**
+     * Nothing needs to be done, each request stands on its own.
+     */
+    async connect()
+    {
+    }
+
+    /**
+     * Send the state of an entity to the webhook.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     *
+     * @returns {null}  There's no context.
+     *
+     * @throws This will throw if the webhook can't be reached or doesn't
+     *         accept the request.
+     */
+    async setState(a_entity_id, a_state, a_attributes)
+    {
+        const body = renderTemplate(this._body,
+                                    getTemplateValues(a_entity_id, a_state, a_attributes));
+        await this._request(this._url, JSON.stringify(body));
+        return null;
+    }
+};
+
+
+/**
+ * An {@link Output} that runs a local command for each entity state, with
+ * arguments made from a template.
+ *
+ * The command is run directly, not through a shell. Events are not sent.
+ *
+ * @implements {Output}
+ */
+class CommandOutput
+{
+    /**
+     * Create a CommandOutput.
+     *
+     * @param {string} a_command
+     *     The path of the command, or its name if it is on the `PATH`.
+     * @param {Object} [a_options={}]
+     *     The `args` template, see {@link renderTemplate}, which defaults to
+     *     {@link DEFAULT_COMMAND_ARGS}, and `timeout_ms`, how long the command
+     *     may run before it is killed, which defaults to
+     *     {@link DEFAULT_COMMAND_TIMEOUT_MS}.
+     */
+    constructor(a_command, a_options={})
+    {
+        this._command    = a_command;
+        this._args       = a_options.args || DEFAULT_COMMAND_ARGS;
+        this._timeout_ms = a_options.timeout_ms || DEFAULT_COMMAND_TIMEOUT_MS;
+    }
+
+    /**
+     * Nothing needs to be done, each command stands on its own.
+     */
+    async connect()
+    {
+    }
+
+    /**
+     * Run the command for the state of an entity.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     *
+     * @returns {null}  There's no context.
+     *
+     * @throws This will throw if the command can't be run, fails, or takes
+     *         longer than its timeout.
+     */
+    async setState(a_entity_id, a_state, a_attributes)
+    {
+        const args = renderTemplate(this._args,
+                                    getTemplateValues(a_entity_id, a_state, a_attributes));
+        await util.promisify(child_process.execFile)(
+            this._command,
+            args.map(
+                (arg) => { return typeof(arg) == "object" ? JSON.stringify(arg) : String(arg); }),
+            {timeout: this._timeout_ms});
+        return null;
+    }
+};
+
+
+/**
+ * A connection to the Home Assistant WebSocket API that reports every change
+ * of an entity's state.
+ *
+ * The connection is made again, and the subscription renewed, whenever it is
+ * lost, waiting twice as long after each failure up to
+ * {@link RETRY_MAX_DELAY_MS}, until {@link HomeAssistantWebSocket#stop stop()}
+ * is called.
+ */
+class HomeAssistantWebSocket
+{
+    /**
+     * Create a HomeAssistantWebSocket.
+     *
+     * @param {string} a_home_assistant_url
+     *     The URL to Home Assistant, the WebSocket URL is derived from it.
+     * @param {string} a_home_assistant_token
+     *     The Home Assistant long-lived access token.
+     */
+    constructor(a_home_assistant_url, a_home_assistant_token)
+    {
+        this._url              = (a_home_assistant_url.replace(/^http/, "ws")
+                                                      .replace(/\/$/, "") +
+                                  "/api/websocket");
+        this._token            = a_home_assistant_token;
+        this._socket           = null;
+        this._next_id          = 1;
+        this._subscription_id  = null;
+        this._retry_delay_ms   = null;
+        this._retry_timer      = null;
+        this._last_error       = null;
+        this._stopped          = true;
+        this._on_state_changed = null;
+        this._on_subscribed    = null;
+    }
+
+    /**
+     * Connect and subscribe to state changes.
+     *
+     * @param {function} a_on_state_changed
+     *     Called with the data of every `state_changed` event, containing the
+     *     `entity_id`, `old_state` and `new_state`.
+     * @param {function} a_on_subscribed
+     *     Called each time the subscription is made, including after
+     *     reconnecting.
+     */
+    start(a_on_state_changed, a_on_subscribed)
+    {
+        this._on_state_changed = a_on_state_changed;
+        this._on_subscribed    = a_on_subscribed;
+        this._stopped          = false;
+        this._connect();
+    }
+
+    /**
+     * Close the connection and stop reconnecting. It can be started again.
+     */
+    stop()
+    {
+        this._stopped = true;
+        clearTimeout(this._retry_timer);
+        this._retry_timer    = null;
+        this._retry_delay_ms = null;
+        if (this._socket !== null)
+        {
+            this._socket.close();
+            this._socket = null;
+        }
+    }
+
+    /**
+     * Open a new connection, which is authenticated and subscribed once Home
+     * Assistant asks for authentication.
+     *
+     * @private
+     */
+    _connect()
+    {
+        const socket = new WebSocket(this._url);
+        this._socket     = socket;
+        this._last_error = null;
+
+        socket.on("message", (data) => {
+            try
+            {
+                this._handleMessage(socket, JSON.parse(data));
+            }
+            catch (error)
+            {
+                logger.warn(`Unexpected message from the Home Assistant WebSocket ` +
+                            `API: ${error.message}`,
+                            getErrorFields(error));
+            }
+        });
+        socket.on("error", (error) => {
+            this._last_error = error;
+        });
+        socket.on("close", () => {
+            if (this._stopped || socket !== this._socket)
+            {
+                return;
+            }
+
+            this._subscription_id = null;
+            if (this._retry_delay_ms === null)
+            {
+                logger.warn(`Not connected to the Home Assistant WebSocket API, will ` +
+                            `keep trying` +
+                            (this._last_error ? `: ${this._last_error.message}` : `.`),
+                            this._last_error ? getErrorFields(this._last_error) : {});
+                this._retry_delay_ms = RETRY_INITIAL_DELAY_MS;
+            }
+            else
+            {
+                this._retry_delay_ms = Math.min(this._retry_delay_ms * 2,
+                                                RETRY_MAX_DELAY_MS);
+            }
+            this._retry_timer = setTimeout(() => { this._connect(); }, this._retry_delay_ms);
+            this._retry_timer.unref();
+        });
+    }
+
+    /**
+     * Handle a message received from Home Assistant.
+     *
+     * @param {WebSocket} a_socket   The connection it was received on.
+     * @param {Object}    a_message  The parsed message.
+     *
+     * @private
+     */
+    _handleMessage(a_socket, a_message)
+    {
+        switch (a_message.type)
+        {
+        case "auth_required":
+            a_socket.send(JSON.stringify({type:         "auth",
+                                          access_token: this._token}));
+            break;
+
+        case "auth_ok":
+            this._subscription_id = this._next_id++;
+            a_socket.send(JSON.stringify({id:         this._subscription_id,
+                                          type:       "subscribe_events",
+                                          event_type: "state_changed"}));
+            break;
+
+        case "auth_invalid":
+            logger.error(`Home Assistant rejected the WebSocket API token: ` +
+                         `${a_message.message}`);
+            a_socket.close();
+            break;
+
+        case "result":
+            if (a_message.id != this._subscription_id)
+            {
+                break;
+            }
+            if (!a_message.success)
+            {
+                logger.error(`Could not subscribe to Home Assistant state changes: ` +
+                             `${a_message.error ? a_message.error.message : "unknown error"}`,
+                             {error_code: a_message.error ? a_message.error.code : undefined});
+                a_socket.close();
+                break;
+            }
+
+            logger.info(`Subscribed to Home Assistant state changes.`);
+            this._retry_delay_ms = null;
+            this._on_subscribed();
+            break;
+
+        case "event":
+            if (a_message.id == this._subscription_id &&
+                a_message.event.event_type == "state_changed")
+            {
+                this._on_state_changed(a_message.event.data);
+            }
+            break;
+        }
+    }
+};
+
+
+/**
+ * A histogram of observed values, counted into buckets as Prometheus does.
+ */
+class Histogram
+{
+    /**
+     * Create a Histogram.
+     *
+     * @param {number[]} a_buckets  The ascending upper bounds of the buckets.
+     */
+    constructor(a_buckets)
+    {
+        this.buckets = a_buckets;
+        this.counts  = a_buckets.map(() => { return 0; });
+        this.sum     = 0;
+        this.count   = 0;
+    }
+
+    /**
+     * Count a value into every bucket whose upper bound it doesn't exceed.
+     *
+     * @param {number} a_value  The observed value.
+     */
+    observe(a_value)
+    {
+        for (const i in this.buckets)
+        {
+            if (a_value <= this.buckets[i])
+            {
+                this.counts[i] += 1;
+            }
+        }
+        this.sum   += a_value;
+        this.count += 1;
+    }
+};
+
+
+/**
+ * This does all the work for watching Kasa switches and updating their
+ * associated Home Assistant binary sensors.
+ *
+ * @fires KasaWatcher#switchState
+ * @fires KasaWatcher#groupChange
+ * @fires KasaWatcher#hostDisconnected
+ * @fires KasaWatcher#hostReconnected
+ * @fires KasaWatcher#stateSent
+ * @fires KasaWatcher#sinkError
+ */
+class KasaWatcher extends EventEmitter
+{
+    /**
+     * Create a KasaWatcher.
+     *
+     * While this creates a new KasaWatcher you will need to call
+     * {@link KasaWatcher#addSwitchGroup addSwitchGroup()} one or more times for
+     * this to do anything useful. As multiple groups can be added there is
+     * little reason to have more than one KasaWatch instance. Nothing is polled
+     * until {@link KasaWatcher#start start()} is called.
+     *
+     * @param {?Output} a_output
+     *     Where to send the states of the Home Assistant entities, it must
+     *     already be connected. If `null` the states are only reported using
+     *     events.
+     * @param {number} a_kasa_timeout_ms
+     *     The timeout to use when polling the Kasa devices, in miliseconds.
+     * @param {bool} a_quiet
+     *     Whether to drop the tplink-smarthome-api Client's own log messages,
+     *     `true` to drop them and `false` to forward them to {@link logger}
+     *     at the debug and trace levels.
+     * @param {DiscoveryOptions} [a_discovery_options={}]
+     *     How to find devices given by MAC address, device ID, or alias.
+     */
+    constructor(a_output,
+                a_kasa_timeout_ms,
+                a_quiet,
+                a_discovery_options={})
+    {
+        super();
+
+        this._kasa_options = {defaultSendOptions: {timeout: a_kasa_timeout_ms},
+                              logger:             a_quiet ? NullLogger : KasaLogger};
+
+        this._kasa_client       = new Client(this._kasa_options);
+        this._output            = a_output;
+        this._discovery_options = null;
+        this._discovery         = null;
+        this._poll_interval_ms  = null;
+        this._poll_timer        = null;
+        this._reconcile_timer   = null;
+        this._polls             = new Set();
+        this.setDiscoveryOptions(a_discovery_options);
+
+        /**
+         * The collection mapping binary sensor names to objects containing the
+         * array of switches and the current state.
+         * @member {Object}
+         */
+        this._binary_sensors = {};
+
+        /**
+         * Whether or not a host is connected. A mapping from hostname to
+         * boolean values.
+         * @member {Object}
+         */
+        this._host_connected = {};
+
+        /**
+         * How long to wait before polling each disconnected host again. A
+         * mapping from hostname to objects containing the current `delay_ms`
+         * and the time, `retry_at`, before which the host isn't polled.
+         * @member {Object}
+         */
+        this._host_backoff = {};
+
+        /**
+         * The requests being made to each host, so that they are made one at
+         * a time. A mapping from hostname to a promise that resolves when the
+         * last request to the host has finished.
+         * @member {Map}
+         */
+        this._host_requests = new Map();
+
+        /**
+         * The {@link LightLevels} last read from each dimmer or bulb. A
+         * mapping from device objects to levels.
+         * @member {Map}
+         */
+        this._switch_light_levels = new Map();
+
+        /**
+         * The last state polled from each switch. A mapping from device
+         * objects to {@link SwitchState}s.
+         * @member {Map}
+         */
+        this._switch_states = new Map();
+
+        /**
+         * The recent state transitions of each switch in a group with
+         * gestures. A mapping from device objects to objects containing the
+         * last state, the times of the transitions in the current burst, and
+         * the timer that ends the burst.
+         * @member {Map}
+         */
+        this._switch_histories = new Map();
+
+        /**
+         * The collection mapping power sensor names to objects containing the
+         * device, the minimum changes and the last published readings.
+         * @member {Object}
+         */
+        this._power_sensors = {};
+
+        /**
+         * The devices that were found using discovery. A mapping from device
+         * objects to objects containing the parsed host entry and when the
+         * device was last looked for.
+         * @member {Map}
+         */
+        this._discovered_devices = new Map();
+
+        /**
+         * The Home Assistant entities whose states have been set. A mapping
+         * from entity IDs to objects containing the desired state and
+         * attributes and whether they have been delivered.
+         * @member {Object}
+         */
+        this._entities = {};
+
+        /**
+         * The extra outputs that groups can send their entities to. A mapping
+         * from sink names to objects containing the output and its own
+         * mapping from entity IDs to entities, like `_entities`.
+         * @member {Object}
+         */
+        this._sinks = {};
+
+        /**
+         * What has happened since the watcher was created, for
+         * {@link KasaWatcher#getStatus getStatus()}.
+         * @member {Object}
+         */
+        this._statistics = {polls_in_progress: 0,
+                            poll_failures:     {},
+                            state_changes:     {},
+                            output_errors:     0,
+                            last_output:       null};
+    }
+
+    /**
+     * Add a group of Kasa switches that will updat a single Home Assistant
+     * binary sensor when one of them changes state.
+     *
+     * All switches will be immediately polled for their current state. The
+     * group's mode is then used to decide the initial state, from the switches
+     * that could be reached, which will be used to set or update the Home
+     * Assitant binary sensor immediately. In the "toggle" mode whatever state
+     * the majority of the switches have is used. In the case of a tie, or if
+     * no switches could be reached, the provided `a_default_initial_state` will
+     * be used. A saved or current state given in the options is kept instead,
+     * as long as the switches still have the states they had then.
+     *
+     * Switches that can't be reached are retried, with backoff, until they can
+     * be added to the group. Until at least one switch answers the binary
+     * sensor is set to "unavailable". If Home Assistant can't be reached the
+     * update is also retried with backoff.
+     *
+     * @param {string} a_binary_sensor_name
+     *     The name of the Home Assistant binary sensor that will be updated
+     *     whenever one of the switches state changes.
+     * @param {HostEntry[]} a_hosts
+     *     The Kasa switches to watch, see {@link parseHostEntry}.
+     * @param {string} a_default_initial_state
+     *     This is used as a tie breaker if equal number of switches have
+     *     opposite initial states. Must be "on" or "off".
+     * @param {SwitchGroupOptions} [a_options={}]
+     *     Optional behaviour for this group.
+     *
+     * @throws {UnknownChildError} Will throw if a host entry names a child
+     *         outlet that the device does not have.
+     */
+    async addSwitchGroup(a_binary_sensor_name,
+                         a_hosts,
+                         a_default_initial_state,
+                         a_options={})
+    {
+        if (this._binary_sensors[a_binary_sensor_name] !== undefined)
+        {
+            throw new RangeError();
+        }
+
+        const mode = a_options.mode !== undefined ? a_options.mode : "toggle";
+        if (!GROUP_MODES.includes(mode))
+        {
+            throw new RangeError(`Unknown group mode '${mode}'.`);
+        }
+
+        const sinks        = a_options.sinks || [DEFAULT_SINK];
+        const unknown_sink = sinks.find(
+            (sink) => { return sink != DEFAULT_SINK && this._sinks[sink] === undefined; });
+        if (unknown_sink !== undefined)
+        {
+            throw new RangeError(`Unknown sink '${unknown_sink}'.`);
+        }
+
+        const new_light_switches = await Promise.all(a_hosts.map(
+            async (host) => {
+                const light_switch = await this._tryGetSwitch(host);
+                if (light_switch === null)
+                {
+                    logger.warn(`Could not connect to the Kasa device ` +
+                                `${describeHostEntry(parseHostEntry(host))}, ` +
+                                `will keep trying.`,
+                                {group: a_binary_sensor_name, ...parseHostEntry(host)});
+                }
+                return light_switch;
+            }));
+        const reachable_switches = new_light_switches.filter(
+            (light_switch) => { return light_switch !== null; });
+
+        const initial_states = await Promise.all(reachable_switches.map(
+            (light_switch) => { return this._tryRequestSwitchState(light_switch); }));
+
+        // A group that was never available has no saved state to start from.
+        const saved_state = [a_options.current_state, a_options.saved_state].find(
+            (state) => { return state && state.state; });
+        let binary_sensor = {
+            light_switches:     reachable_switches,
+            pending_hosts:      a_hosts.filter(
+                (host, i) => { return new_light_switches[i] === null; }),
+            state:              (saved_state !== undefined
+                                 ? saved_state.state : a_default_initial_state),
+            available:          initial_states.some(
+                (state) => { return state != "disconnected"; }),
+            mode:               mode,
+            publish_brightness: a_options.publish_brightness,
+            light_levels:       {},
+            sync_switches:      Boolean(a_options.sync_switches),
+            sync_timeout_ms:    (a_options.sync_timeout_ms !== undefined
+                                 ? a_options.sync_timeout_ms
+                                 : DEFAULT_SYNC_TIMEOUT_MS),
+            sync_pending:       new Map(),
+            hold_off_ms:        a_options.hold_off_ms || 0,
+            oscillation:        (a_options.oscillation
+                                 ? Object.assign({freeze_ms:  a_options.oscillation.window_ms,
+                                                  fire_event: false},
+                                                 a_options.oscillation)
+                                 : null),
+            last_change_at:     null,
+            change_times:       [],
+            frozen_until:       null,
+            overruled_states:   new Map(),
+            gestures:           a_options.gestures || {},
+            poll_interval_ms:   a_options.poll_interval_ms || null,
+            next_poll_at:       0,
+            polling:            false,
+            last_poll:          null,
+            poll_durations:     new Histogram(POLL_DURATION_BUCKETS_S),
+            attributes:         a_options.attributes || {},
+            triggered_by:       null,
+            switch_entries:     new Map(reachable_switches.map(
+                (light_switch) => {
+                    return [light_switch, a_hosts[new_light_switches.indexOf(light_switch)]];
+                })),
+            connectivity:       (a_options.publish_connectivity
+                                 ? {debounce_ms: a_options.connectivity_debounce_ms || 0,
+                                    timers:      new Map()}
+                                 : null),
+            sinks:              sinks.map(
+                (sink) => { return sink == DEFAULT_SINK ? null : sink; })
+        };
+        // Switches that weren't in the group when the state was saved don't
+        // count against it, unless the mode derives the state from them.
+        const matches_saved_state = (
+            saved_state !== undefined && binary_sensor.available &&
+            reachable_switches.every(
+                (light_switch, i) => {
+                    const saved_switch_state =
+                          saved_state.switches[this._getSwitchName(light_switch)];
+                    return (initial_states[i] == "disconnected" ||
+                            saved_switch_state === undefined ||
+                            saved_switch_state == initial_states[i]);
+                }) &&
+            (mode == "toggle" ||
+             this._getInitialGroupState(binary_sensor, initial_states) == saved_state.state));
+        if (!matches_saved_state)
+        {
+            binary_sensor.state = this._getInitialGroupState(binary_sensor, initial_states);
+        }
+        this._binary_sensors[a_binary_sensor_name] = binary_sensor;
+
+        for (const i in a_hosts)
+        {
+            if (new_light_switches[i] === null)
+            {
+                this._retryWithBackoff(
+                    () => { return this._retryAddSwitch(a_binary_sensor_name,
+                                                        binary_sensor,
+                                                        a_hosts[i]); });
+            }
+        }
+
+        if (binary_sensor.available)
+        {
+            this.emit("groupChange", {group:              a_binary_sensor_name,
+                                      state:              binary_sensor.state,
+                                      previous_state:     "unavailable",
+                                      triggered_by_host:  null,
+                                      triggered_by_alias: null});
+        }
+        await this._publishSensorState(a_binary_sensor_name,
+                                       (matches_saved_state &&
+                                        saved_state !== a_options.current_state));
+        await this._updateLightLevels(a_binary_sensor_name);
+        if (binary_sensor.connectivity !== null)
+        {
+            await Promise.all(a_hosts.map(
+                (host, i) => {
+                    const light_switch = new_light_switches[i];
+                    return this._setConnectivityState(
+                        a_binary_sensor_name, host,
+                        (light_switch !== null &&
+                         this._host_connected[light_switch.host] === true));
+                }));
+        }
+        this._schedulePolls();
+    }
+
+    /**
+     * Add a Kasa device with an energy meter, such as the HS110 or KP115,
+     * whose readings will update Home Assistant sensors.
+     *
+     * The device is immediately polled and its readings used to set or update
+     * the `sensor.<name>_power`, `sensor.<name>_voltage`,
+     * `sensor.<name>_current`, and `sensor.<name>_energy` Home Assistant
+     * sensors.
+     *
+     * @param {string} a_sensor_name
+     *     The name used as the prefix of the Home Assistant sensors.
+     * @param {HostEntry} a_host
+     *     The Kasa device to watch, see {@link parseHostEntry}.
+     * @param {EnergyReadings} [a_min_change={}]
+     *     How much each reading has to change before its sensor is updated.
+     *     Readings that are not given are updated on any change.
+     *
+     * If the device can't be reached it is retried, with backoff, until it
+     * can be added. Readings that can't be sent to Home Assistant are sent
+     * the next time the device is polled.
+     *
+     * @throws Will throw if the device has no energy meter.
+     * @throws {UnknownChildError} Will throw if the host entry names a child
+     *         outlet that the device does not have.
+     */
+    async addPowerSensor(a_sensor_name, a_host, a_min_change={})
+    {
+        if (this._power_sensors[a_sensor_name] !== undefined)
+        {
+            throw new RangeError();
+        }
+
+        let min_change = {};
+        for (const quantity in ENERGY_QUANTITIES)
+        {
+            min_change[quantity] = (a_min_change[quantity] !== undefined
+                                    ? a_min_change[quantity] : 0);
+        }
+
+        const device = await this._tryGetSwitch(a_host);
+        this._power_sensors[a_sensor_name] = {
+            device:         null,
+            min_change:     min_change,
+            readings:       {},
+            next_poll_at:   0,
+            polling:        false,
+            last_poll:      null,
+            poll_durations: new Histogram(POLL_DURATION_BUCKETS_S)};
+        if (device === null)
+        {
+            logger.warn(`Could not connect to the Kasa device ` +
+                        `${describeHostEntry(parseHostEntry(a_host))}, ` +
+                        `will keep trying.`,
+                        {sensor: a_sensor_name, ...parseHostEntry(a_host)});
+            const power_sensor = this._power_sensors[a_sensor_name];
+            this._retryWithBackoff(
+                () => { return this._retryAddPowerSensorDevice(a_sensor_name,
+                                                               power_sensor,
+                                                               a_host); });
+            return;
+        }
+
+        this._setPowerSensorDevice(a_sensor_name, device);
+        await this._updatePowerSensor(a_sensor_name);
+        this._schedulePolls();
+    }
+
+    /**
+     * Set the state of a group from outside, as though its switches had
+     * changed.
+     *
+     * When the switches are set too they are all set to the new state.
+     * Otherwise each switch is ignored until its state changes, so that the
+     * switches don't immediately change the group back.
+     *
+     * @param {string}      a_binary_sensor_name  The name of the binary sensor.
+     * @param {SwitchState} a_state               The new state, "on" or "off".
+     * @param {bool}        a_set_switches        Whether to set the switches.
+     *
+     * @throws {RangeError} If there is no group for the binary sensor.
+     */
+    async setGroupState(a_binary_sensor_name, a_state, a_set_switches)
+    {
+        let binary_sensor = this._binary_sensors[a_binary_sensor_name];
+        if (binary_sensor === undefined)
+        {
+            throw new RangeError();
+        }
+
+        if (a_set_switches)
+        {
+            await Promise.all([this._updateSensorState(a_binary_sensor_name, a_state),
+                               this._syncSwitches(binary_sensor, null, a_state)]);
+            return;
+        }
+
+        const light_switches = [...binary_sensor.light_switches];
+        const switch_states  = await Promise.all(light_switches.map(
+            (light_switch) => { return this._tryRequestSwitchState(light_switch); }));
+        binary_sensor.overruled_states.clear();
+        for (const i in light_switches)
+        {
+            if (switch_states[i] != "disconnected" && switch_states[i] != a_state)
+            {
+                binary_sensor.overruled_states.set(light_switches[i], switch_states[i]);
+            }
+        }
+        await this._updateSensorState(a_binary_sensor_name, a_state);
+    }
+
+    /**
+     * Act on a change of an entity's state in Home Assistant.
+     *
+     * Changes that kasa-watch made itself, and changes to entities it doesn't
+     * manage, are ignored. A binary sensor set to "on" or "off" is treated as
+     * a command, see {@link KasaWatcher#setGroupState setGroupState()}. Any
+     * other change, including the entity being removed, is undone.
+     *
+     * @param {string}  a_entity_id   The Home Assistant entity ID.
+     * @param {?string} a_state       The new state, `null` if it was removed.
+     * @param {?string} a_context_id  The ID of the context of the change.
+     * @param {bool}    a_set_switches
+     *     Whether a command should also set the switches of the group.
+     */
+    async handleExternalState(a_entity_id, a_state, a_context_id, a_set_switches)
+    {
+        const entity = this._entities[a_entity_id];
+        if (entity === undefined || entity.sending || !entity.delivered ||
+            entity.context_ids.includes(a_context_id) ||
+            a_state == String(entity.state))
+        {
+            return;
+        }
+
+        const name          = a_entity_id.replace(/^binary_sensor\./, "");
+        const binary_sensor = this._binary_sensors[name];
+        if (a_entity_id.startsWith("binary_sensor.") && binary_sensor !== undefined &&
+            binary_sensor.available && (a_state == "on" || a_state == "off"))
+        {
+            logger.info(`'${a_entity_id}' was set to "${a_state}" in Home Assistant.`,
+                        {entity_id: a_entity_id, state: a_state});
+            await this.setGroupState(name, a_state, a_set_switches);
+            return;
+        }
+
+        logger.warn(`'${a_entity_id}' was ` +
+                    `${a_state === null ? "removed" : `set to "${a_state}"`} ` +
+                    `in Home Assistant, setting it to "${entity.state}".`,
+                    {entity_id: a_entity_id, state: entity.state});
+        entity.delivered = false;
+        await this._deliverEntityState(a_entity_id);
+    }
+
+    /**
+     * Stop watching a group of switches.
+     *
+     * The group's Home Assistant entities are left as they are, but are no
+     * longer updated or reconciled. Gestures still being made on its switches
+     * are forgotten.
+     *
+     * @param {string} a_binary_sensor_name  The name of the binary sensor.
+     *
+     * @throws {RangeError} If there is no group for the binary sensor.
+     */
+    removeSwitchGroup(a_binary_sensor_name)
+    {
+        const binary_sensor = this._binary_sensors[a_binary_sensor_name];
+        if (binary_sensor === undefined)
+        {
+            throw new RangeError();
+        }
+
+        for (const light_switch of binary_sensor.light_switches)
+        {
+            this._switch_light_levels.delete(light_switch);
+            this._switch_states.delete(light_switch);
+
+            const history = this._switch_histories.get(light_switch);
+            if (history !== undefined)
+            {
+                clearTimeout(history.timer);
+                this._switch_histories.delete(light_switch);
+            }
+        }
+        delete this._binary_sensors[a_binary_sensor_name];
+
+        let entity_ids = [`binary_sensor.${a_binary_sensor_name}`,
+                          `sensor.${a_binary_sensor_name}_brightness`,
+                          `sensor.${a_binary_sensor_name}_color_temp`];
+        if (binary_sensor.connectivity !== null)
+        {
+            for (const timer of binary_sensor.connectivity.timers.values())
+            {
+                clearTimeout(timer);
+            }
+            for (const host of [...binary_sensor.switch_entries.values(),
+                                ...binary_sensor.pending_hosts])
+            {
+                entity_ids.push(this._getConnectivityEntityId(a_binary_sensor_name, host));
+            }
+        }
+        this._forgetEntities(entity_ids);
+    }
+
+    /**
+     * Stop reading the energy meter of a Kasa device.
+     *
+     * The Home Assistant sensors are left as they are, but are no longer
+     * updated or reconciled.
+     *
+     * @param {string} a_sensor_name  The prefix of the Home Assistant sensors.
+     *
+     * @throws {RangeError} If there is no such power sensor.
+     */
+    removePowerSensor(a_sensor_name)
+    {
+        if (this._power_sensors[a_sensor_name] === undefined)
+        {
+            throw new RangeError();
+        }
+
+        delete this._power_sensors[a_sensor_name];
+        this._forgetEntities(Object.values(ENERGY_QUANTITIES).map(
+            (quantity) => { return `sensor.${a_sensor_name}_${quantity.suffix}`; }));
+    }
+
+    /**
+     * Change the timeout used when polling the Kasa devices, including the
+     * ones already being watched.
+     *
+     * @param {number} a_kasa_timeout_ms  The new timeout, in miliseconds.
+     */
+    setKasaTimeout(a_kasa_timeout_ms)
+    {
+        this._kasa_options.defaultSendOptions.timeout = a_kasa_timeout_ms;
+        this._kasa_client.defaultSendOptions.timeout  = a_kasa_timeout_ms;
+
+        const devices = [
+            ...Object.values(this._binary_sensors).flatMap(
+                (binary_sensor) => { return binary_sensor.light_switches; }),
+            ...Object.values(this._power_sensors).map(
+                (power_sensor) => { return power_sensor.device; })];
+        for (const device of devices)
+        {
+            if (device !== null)
+            {
+                device.defaultSendOptions.timeout = a_kasa_timeout_ms;
+            }
+        }
+    }
+
+    /**
+     * Change how devices given by MAC address, device ID, or alias are found.
+     *
+     * @param {DiscoveryOptions} a_discovery_options  The new options.
+     */
+    setDiscoveryOptions(a_discovery_options)
+    {
+        this._discovery_options = {broadcast:  a_discovery_options.broadcast,
+                                   timeout_ms: (a_discovery_options.timeout_ms !== undefined
+                                                ? a_discovery_options.timeout_ms
+                                                : DEFAULT_DISCOVERY_TIMEOUT_MS)};
+    }
+
+    /**
+     * Change where the states of the Home Assistant entities are sent.
+     *
+     * Every entity's current state is sent to the new output, which must
+     * already be connected. The old output is not disconnected.
+     *
+     * @param {?Output} a_output
+     *     The new output, or `null` to only report states using events.
+     */
+    async setOutput(a_output)
+    {
+        this._output = a_output;
+        await Promise.all(Object.keys(this._entities).map(
+            (entity_id) => {
+                this._entities[entity_id].delivered = false;
+                return this._deliverEntityState(entity_id);
+            }));
+    }
+
+    /**
+     * Add a named output that switch groups can send their entities and
+     * events to, instead of or as well as the watcher's own output, using
+     * their `sinks` option.
+     *
+     * Each sink delivers states, and retries them, on its own so that one
+     * that fails or is slow doesn't hold up the others. Sinks are not
+     * reconciled.
+     *
+     * @param {string} a_name    The name of the sink.
+     * @param {Output} a_output  The output, which must already be connected.
+     *
+     * @throws {RangeError} If there is already a sink with the name, or it is
+     *                      {@link DEFAULT_SINK}.
+     */
+    addSink(a_name, a_output)
+    {
+        if (a_name == DEFAULT_SINK || this._sinks[a_name] !== undefined)
+        {
+            throw new RangeError();
+        }
+        this._sinks[a_name] = {output: a_output, entities: {}};
+    }
+
+    /**
+     * Make sure Home Assistant has the states that were last delivered to it.
+     *
+     * The state of every entity that was delivered is read back from Home
+     * Assistant. Any that are missing, for example after Home Assistant was
+     * restarted, or that have a different state are sent again. Nothing is
+     * done if the output can't read states back.
+     */
+    async reconcile()
+    {
+        if (this._output === null || typeof(this._output.getState) != "function")
+        {
+            return;
+        }
+
+        await Promise.all(Object.keys(this._entities).map(
+            async (entity_id) => {
+                const entity = this._entities[entity_id];
+                if (!entity.delivered || entity.sending)
+                {
+                    return;
+                }
+
+                let actual_state = null;
+                try
+                {
+                    actual_state = await this._output.getState(entity_id);
+                }
+                catch
+                {
+                    return;
+                }
+
+                if (this._entities[entity_id] !== entity)
+                {
+                    return;
+                }
+                if (actual_state === null || actual_state != String(entity.state))
+                {
+                    logger.warn(`'${entity_id}' is ` +
+                                `${actual_state === null ? "missing" : `"${actual_state}"`} ` +
+                                `in Home Assistant, setting it to "${entity.state}".`,
+                                {entity_id: entity_id, state: entity.state});
+                    entity.delivered = false;
+                    await this._deliverEntityState(entity_id);
+                }
+            }));
+    }
+
+    /**
+     * Start polling the Kasa devices and reconciling the Home Assistant
+     * entities.
+     *
+     * Each switch group, and each power sensor, is polled on its own schedule:
+     * a group with its own `poll_interval_ms` uses that, everything else uses
+     * the given interval. A group isn't polled again until its previous poll
+     * has finished, and disconnected hosts are polled less often, see
+     * {@link KasaWatcher#_setHostConnected _setHostConnected()}.
+     *
+     * @param {number} a_poll_interval_ms
+     *     The interval at which to poll the Kasa devices, in miliseconds.
+     * @param {number} [a_reconcile_interval_ms=60000]
+     *     The interval at which to check that Home Assistant has the states
+     *     that were sent to it, in miliseconds.
+     *
+     * @throws {Error} If the watcher has already been started.
+     */
+    start(a_poll_interval_ms, a_reconcile_interval_ms=DEFAULT_RECONCILE_INTERVAL_MS)
+    {
+        if (this._poll_interval_ms !== null)
+        {
+            throw new Error("The KasaWatcher has already been started.");
+        }
+
+        this._poll_interval_ms = a_poll_interval_ms;
+        this._schedulePolls();
+        this._reconcile_timer = setInterval(
+            () => {
+                this.reconcile().catch(
+                    (error) => { logger.error(error.message, getErrorFields(error)); });
+            },
+            a_reconcile_interval_ms);
+    }
+
+    /**
+     * Stop polling and reconciling, waiting for the polls that are running to
+     * finish.
+     *
+     * Devices that couldn't be reached and states that couldn't be delivered
+     * are still retried in the background, but those retries don't keep
+     * Node.js running. Gestures that were still being made are forgotten,
+     * unless they are kept for a restart, such as while the configuration is
+     * reloaded. The watcher can be started again.
+     *
+     * @param {bool} [a_forget_gestures=true]
+     *     Whether to forget the gestures being made. Those of groups that are
+     *     removed are forgotten regardless, see
+     *     {@link KasaWatcher#removeSwitchGroup removeSwitchGroup()}.
+     */
+    async stop(a_forget_gestures=true)
+    {
+        clearTimeout(this._poll_timer);
+        clearInterval(this._reconcile_timer);
+        this._poll_interval_ms = null;
+        this._poll_timer       = null;
+        this._reconcile_timer  = null;
+
+        await Promise.all(this._polls);
+        if (!a_forget_gestures)
+        {
+            return;
+        }
+
+        for (const history of this._switch_histories.values())
+        {
+            clearTimeout(history.timer);
+            history.timer       = null;
+            history.transitions = [];
+        }
+    }
+
+    /**
+     * Check all switch groups and power sensors and update their associated
+     * Home Assistant sensors.
+     *
+     * In parallel the state of every switch of every group is polled. Each
+     * group's mode decides whether the binary sensor's state will be updated,
+     * in the "toggle" mode this happens if at least one switch of the group has
+     * changed state.
+     *
+     * *Note:* Like {@link KasaWatcher#addSwitchGroup addSwitchGroup()} this
+     *         does not throw if unable to contact any switches. However it does
+     *         log when connectivity is lost and recovered. If {@link KasaWatch}
+     *         is not constructed in quiet mode every failed request will print
+     *         out debug log information.
+     */
+    async checkAllAndUpdate()
+    {
+        await Promise.all([
+            ...Object.keys(this._binary_sensors).map(
+                (name) => {
+                    return this._timePoll(this._binary_sensors[name],
+                                          () => { return this._updateSensor(name); });
+                }),
+            ...Object.keys(this._power_sensors).map(
+                (name) => {
+                    return this._timePoll(this._power_sensors[name],
+                                          () => { return this._updatePowerSensor(name); });
+                })]);
+    }
+
+    /**
+     * Get the current state of the watcher and what has happened since it was
+     * created.
+     *
+     * @returns {WatcherStatus}  The status.
+     */
+    getStatus()
+    {
+        let binary_sensors = {};
+        let power_sensors  = {};
+        let poll_durations = {binary_sensors: {}, power_sensors: {}};
+        for (const name in this._binary_sensors)
+        {
+            const binary_sensor = this._binary_sensors[name];
+            binary_sensors[name] = {
+                state:     binary_sensor.available ? binary_sensor.state : "unavailable",
+                mode:      binary_sensor.mode,
+                switches:  binary_sensor.light_switches.map(
+                    (light_switch) => {
+                        return {name:  this._getSwitchName(light_switch),
+                                host:  light_switch.host,
+                                state: this._getSwitchState(light_switch)};
+                    }),
+                last_poll: binary_sensor.last_poll};
+            poll_durations.binary_sensors[name] = binary_sensor.poll_durations;
+        }
+        for (const name in this._power_sensors)
+        {
+            const power_sensor = this._power_sensors[name];
+            power_sensors[name]                = {last_poll: power_sensor.last_poll};
+            poll_durations.power_sensors[name] = power_sensor.poll_durations;
+        }
+
+        // The poll that is most behind, or none if something was never polled.
+        const last_polls = [...Object.values(binary_sensors),
+                            ...Object.values(power_sensors)].map(
+            (sensor) => { return sensor.last_poll; });
+        const last_poll  = (last_polls.length > 0 && !last_polls.includes(null)
+                            ? last_polls.reduce(
+                                (oldest, poll) => {
+                                    return poll.finished_at < oldest.finished_at ? poll : oldest;
+                                })
+                            : null);
+
+        return {binary_sensors:    binary_sensors,
+                power_sensors:     power_sensors,
+                hosts:             {...this._host_connected},
+                polls_in_progress: this._statistics.polls_in_progress,
+                last_poll:         last_poll,
+                last_output:       this._statistics.last_output,
+                poll_durations:    poll_durations,
+                poll_failures:     {...this._statistics.poll_failures},
+                state_changes:     {...this._statistics.state_changes},
+                output_errors:     this._statistics.output_errors};
+    }
+
+    /**
+     * Get the state of every switch group and the last state polled from each
+     * of its switches, to be saved and given back to
+     * {@link KasaWatcher#addSwitchGroup addSwitchGroup()} after a restart.
+     *
+     * @returns {Object.<string, SavedGroupState>}
+     *     The states by group name. The `state` of groups that are unavailable
+     *     is `null`.
+     */
+    getGroupStates()
+    {
+        let group_states = {};
+        for (const name in this._binary_sensors)
+        {
+            const binary_sensor = this._binary_sensors[name];
+            let switches = {};
+            for (const light_switch of binary_sensor.light_switches)
+            {
+                const state = this._switch_states.get(light_switch);
+                if (state !== undefined)
+                {
+                    switches[this._getSwitchName(light_switch)] = state;
+                }
+            }
+            group_states[name] = {state:    binary_sensor.available ? binary_sensor.state : null,
+                                  switches: switches};
+        }
+        return group_states;
+    }
+
+    /**
+     * Run a poll of a switch group or power sensor, recording when it
+     * finished and how long it took for the status.
+     *
+     * @param {Object}              a_target  The `_binary_sensors` or `_power_sensors` entry.
+     * @param {function(): Promise} a_poll    Polls it.
+     *
+     * @private
+     */
+    async _timePoll(a_target, a_poll)
+    {
+        const started_at = Date.now();
+        this._statistics.polls_in_progress += 1;
+        try
+        {
+            await a_poll();
+        }
+        finally
+        {
+            this._statistics.polls_in_progress -= 1;
+        }
+
+        const finished_at = Date.now();
+        a_target.last_poll = {started_at:  started_at,
+                              finished_at: finished_at,
+                              duration_ms: finished_at - started_at};
+        a_target.poll_durations.observe((finished_at - started_at) / 1e3);
+    }
+
+    /**
+     * Start the polls that are due and set a timer for the next one.
+     *
+     * This is called whenever a poll finishes, or a group or power sensor is
+     * added, while the watcher is started. Nothing is done otherwise.
+     *
+     * @private
+     */
+    _schedulePolls()
+    {
+        if (this._poll_interval_ms === null)
+        {
+            return;
+        }
+
+        clearTimeout(this._poll_timer);
+        const now = Date.now();
+        let next_poll_at = now + this._poll_interval_ms;
+        const targets = [
+            ...Object.keys(this._binary_sensors).map(
+                (name) => {
+                    const binary_sensor = this._binary_sensors[name];
+                    return {target:      binary_sensor,
+                            interval_ms: binary_sensor.poll_interval_ms || this._poll_interval_ms,
+                            poll:        () => { return this._updateSensor(name); }};
+                }),
+            ...Object.keys(this._power_sensors).map(
+                (name) => {
+                    return {target:      this._power_sensors[name],
+                            interval_ms: this._poll_interval_ms,
+                            poll:        () => { return this._updatePowerSensor(name); }};
+                })];
+        for (const {target, interval_ms, poll} of targets)
+        {
+            if (target.polling)
+            {
+                continue;
+            }
+            if (target.next_poll_at <= now)
+            {
+                this._startPoll(target, interval_ms, poll);
+                continue;
+            }
+            next_poll_at = Math.min(next_poll_at, target.next_poll_at);
+        }
+
+        this._poll_timer = setTimeout(() => { this._schedulePolls(); }, next_poll_at - now);
+    }
+
+    /**
+     * Poll a switch group or power sensor, scheduling its next poll once this
+     * one has finished.
+     *
+     * @param {Object}              a_target       The `_binary_sensors` or `_power_sensors` entry.
+     * @param {number}              a_interval_ms  How often it is polled, in milliseconds.
+     * @param {function(): Promise} a_poll         Polls it.
+     *
+     * @private
+     */
+    _startPoll(a_target, a_interval_ms, a_poll)
+    {
+        const started_at = Date.now();
+        a_target.polling = true;
+        const poll = this._timePoll(a_target, a_poll)
+              .catch((error) => { logger.error(error.message, getErrorFields(error)); })
+              .finally(() => {
+                  a_target.polling      = false;
+                  a_target.next_poll_at = started_at + a_interval_ms;
+                  this._polls.delete(poll);
+                  this._schedulePolls();
+              });
+        this._polls.add(poll);
+    }
+
+    /**
+     * Decide the initial state of a group from the states of its switches.
+     *
+     * This uses the group's mode, except that the "toggle" mode uses the
+     * majority state. Ties, or no switches answering, keep the group's
+     * current state which is initially its default state.
+     *
+     * @param {Object} a_binary_sensor
+     *     The binary sensor entry, from `_binary_sensors`, of the group.
+     * @param {SwitchState[]} a_switch_states
+     *     The states of the switches in the group.
+     *
+     * @returns {string}  The group's initial state: "on" or "off".
+     *
+     * @private
+     */
+    _getInitialGroupState(a_binary_sensor, a_switch_states)
+    {
+        return this._getGroupState(a_binary_sensor.mode == "toggle" ? "majority" : a_binary_sensor.mode,
+                                   a_switch_states,
+                                   a_binary_sensor.state);
+    }
+
+    /**
+     * Get the device object for a host entry without throwing if the device
+     * can't be reached.
+     *
+     * @param {HostEntry} a_host  The host entry, see {@link parseHostEntry}.
+     *
+     * @returns {?Object}
+     *     The tplink-smarthome-api device, or `null` if unable to connect to
+     *     or discover the Kasa device.
+     *
+     * @throws {UnknownChildError} Will throw if the device has no matching
+     *         child outlet.
+     *
+     * @private
+     */
+    async _tryGetSwitch(a_host)
+    {
+        try
+        {
+            const light_switch = await this._getSwitch(a_host);
+            this._setHostConnected(light_switch.host, true);
+            return light_switch;
+        }
+        catch (error)
+        {
+            if (error instanceof UnknownChildError)
+            {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Try to add a switch that couldn't be reached to its group.
+     *
+     * @param {string}    a_sensor_name    The name of the group's binary sensor.
+     * @param {Object}    a_binary_sensor  The group, which may since have been
+     *                                     removed.
+     * @param {HostEntry} a_host           The switch's host entry.
+     *
+     * @returns {bool}  `true` once there's no need to try again.
+     *
+     * @private
+     */
+    async _retryAddSwitch(a_sensor_name, a_binary_sensor, a_host)
+    {
+        try
+        {
+            if (this._binary_sensors[a_sensor_name] !== a_binary_sensor)
+            {
+                return true;
+            }
+
+            const light_switch = await this._tryGetSwitch(a_host);
+            if (light_switch === null)
+            {
+                return false;
+            }
+
+            a_binary_sensor.light_switches.push(light_switch);
+            a_binary_sensor.switch_entries.set(light_switch, a_host);
+            a_binary_sensor.pending_hosts = a_binary_sensor.pending_hosts.filter(
+                (host) => { return host !== a_host; });
+            if (a_binary_sensor.connectivity !== null)
+            {
+                await this._setConnectivityState(a_sensor_name, a_host, true);
+            }
+            return true;
+        }
+        catch (error)
+        {
+            logger.error(error.message, getErrorFields(error));
+            return true;
+        }
+    }
+
+    /**
+     * Try to find the device of a power sensor that couldn't be reached.
+     *
+     * @param {string}    a_sensor_name   The name of the power sensor.
+     * @param {Object}    a_power_sensor  The power sensor, which may since have
+     *                                    been removed.
+     * @param {HostEntry} a_host          The device's host entry.
+     *
+     * @returns {bool}  `true` once there's no need to try again.
+     *
+     * @private
+     */
+    async _retryAddPowerSensorDevice(a_sensor_name, a_power_sensor, a_host)
+    {
+        try
+        {
+            if (this._power_sensors[a_sensor_name] !== a_power_sensor)
+            {
+                return true;
+            }
+
+            const device = await this._tryGetSwitch(a_host);
+            if (device === null)
+            {
+                return false;
+            }
+            if (this._power_sensors[a_sensor_name] !== a_power_sensor)
+            {
+                return true;
+            }
+
+            this._setPowerSensorDevice(a_sensor_name, device);
+            return true;
+        }
+        catch (error)
+        {
+            logger.error(error.message, getErrorFields(error));
+            return true;
+        }
+    }
+
+    /**
+     * Set the device whose energy meter updates a power sensor.
+     *
+     * @param {string} a_sensor_name  The name of the power sensor.
+     * @param {Object} a_device       The tplink-smarthome-api device.
+     *
+     * @throws Will throw if the device has no energy meter.
+     *
+     * @private
+     */
+    _setPowerSensorDevice(a_sensor_name, a_device)
+    {
+        if (!a_device.supportsEmeter)
+        {
+            throw new Error(`The Kasa device '${this._getSwitchName(a_device)}' ` +
+                            `does not have an energy meter.`);
+        }
+        this._power_sensors[a_sensor_name].device = a_device;
+    }
+
+    /**
+     * Repeatedly call a function, waiting longer each time, until it succeeds.
+     *
+     * The first call is made after {@link RETRY_INITIAL_DELAY_MS} and the
+     * delay doubles after each failure up to {@link RETRY_MAX_DELAY_MS}.
+     *
+     * @param {function(): Promise<bool>} a_attempt
+     *     The function to call. It must not throw and should resolve to `true`
+     *     once there's no need to call it again.
+     *
+     * @private
+     */
+    _retryWithBackoff(a_attempt)
+    {
+        let delay_ms = RETRY_INITIAL_DELAY_MS;
+        const attempt = async () => {
+            if (!await a_attempt())
+            {
+                delay_ms = Math.min(delay_ms * 2, RETRY_MAX_DELAY_MS);
+                setTimeout(attempt, delay_ms).unref();
+            }
+        };
+        setTimeout(attempt, delay_ms).unref();
+    }
+
+    /**
+     * Boolean not for switch state strings.
+     *
+     * @param {string} a_light_switch_state
+     *     The original switch state for which the opposite is desired.
+     *
+     * @returns (string)  The state opposite of `a_light_switch_state`.
+     *
+     * @private
+     */
+    _getOppositeState(a_light_switch_state)
+    {
+        return a_light_switch_state == "off" ? "on" : "off";
+    }
+
+    /**
+     * Get the device object for a host entry.
+     *
+     * Devices given by MAC address, device ID, or alias are first found using
+     * discovery. For entries naming a child outlet the parent device is
+     * contacted to find the child, by ID or alias, and a device object
+     * controlling only that outlet is returned.
+     *
+     * @param {HostEntry} a_host  The host entry, see {@link parseHostEntry}.
+     *
+     * @returns {Object}  The tplink-smarthome-api device.
+     *
+     * @throws Will throw if unable to connect to the Kasa device.
+     * @throws {DeviceNotFoundError} Will throw if the device could not be
+     *         discovered.
+     * @throws {UnknownChildError} Will throw if the device has no matching
+     *         child outlet.
+     *
+     * @private
+     */
+    async _getSwitch(a_host)
+    {
+        const entry        = parseHostEntry(a_host);
+        const device       = await this._kasa_client.getDevice(
+            {host: await this._resolveHost(entry)});
+        const light_switch = this._getChildSwitch(device, entry);
+
+        if (entry.host === undefined)
+        {
+            this._discovered_devices.set(light_switch, {entry:        entry,
+                                                        relocated_at: Date.now()});
+        }
+        return light_switch;
+    }
+
+    /**
+     * Get the device object for the child outlet a host entry names.
+     *
+     * @param {Object} a_device  The tplink-smarthome-api device.
+     * @param {Object} a_entry   The parsed host entry, see {@link parseHostEntry}.
+     *
+     * @returns {Object}
+     *     A tplink-smarthome-api device controlling only the child outlet, or
+     *     `a_device` if the entry doesn't name a child outlet.
+     *
+     * @throws {UnknownChildError} Will throw if the device has no matching
+     *         child outlet.
+     *
+     * @private
+     */
+    _getChildSwitch(a_device, a_entry)
+    {
+        if (a_entry.child_id === undefined && a_entry.alias === undefined)
+        {
+            return a_device;
+        }
+
+        const children = (a_device.children !== undefined
+                          ? Array.from(a_device.children.values()) : []);
+        const child    = children.find(
+            (candidate) => {
+                if (a_entry.alias !== undefined)
+                {
+                    return candidate.alias == a_entry.alias;
+                }
+                return candidate.id == a_device.normalizeChildId(a_entry.child_id);
+            });
+        if (child === undefined)
+        {
+            throw new UnknownChildError(a_entry);
+        }
+
+        return this._kasa_client.getPlug({host:    a_device.host,
+                                          childId: child.id,
+                                          sysInfo: a_device.sysInfo});
+    }
+
+    /**
+     * Get the address of the device a host entry identifies.
+     *
+     * Entries that give a host are returned as is. For the rest the network is
+     * searched using the Kasa discovery broadcast.
+     *
+     * @param {Object} a_entry  The parsed host entry, see {@link parseHostEntry}.
+     *
+     * @returns {string}  The device's host name or IP address.
+     *
+     * @throws {DeviceNotFoundError} Will throw if no matching device answered
+     *         discovery.
+     *
+     * @private
+     */
+    async _resolveHost(a_entry)
+    {
+        if (a_entry.host !== undefined)
+        {
+            return a_entry.host;
+        }
+
+        const devices = await this.discoverDevices();
+        const device  = devices.find(
+            (candidate) => { return deviceMatchesHostEntry(candidate, a_entry); });
+        if (device === undefined)
+        {
+            throw new DeviceNotFoundError(a_entry);
+        }
+        return device.host;
+    }
+
+    /**
+     * Find the Kasa devices on the local network.
+     *
+     * A discovery broadcast is sent and the devices that answer within the
+     * discovery timeout are returned. Concurrent calls share a single
+     * discovery.
+     *
+     * @returns {Object[]}  The tplink-smarthome-api devices that answered.
+     */
+    discoverDevices()
+    {
+        if (this._discovery !== null)
+        {
+            return this._discovery;
+        }
+
+        this._discovery = new Promise((resolve) => {
+            const client = new Client(this._kasa_options);
+            const finish = () => {
+                client.stopDiscovery();
+                resolve(Array.from(client.devices.values()));
+            };
+
+            client.on("error", finish);
+            client.startDiscovery({broadcast:         this._discovery_options.broadcast,
+                                   discoveryInterval: this._discovery_options.timeout_ms,
+                                   breakoutChildren:  false});
+            setTimeout(finish, this._discovery_options.timeout_ms);
+        }).finally(() => { this._discovery = null; });
+        return this._discovery;
+    }
+
+    /**
+     * Look for a device, that was found using discovery, at a new address.
+     *
+     * This is called whenever a device can't be reached. If the device was
+     * given by MAC address, device ID, or alias and it hasn't been looked for
+     * recently then discovery is used to find it again. If it has moved the
+     * device object is pointed at its new address.
+     *
+     * @param {Object} a_device  The tplink-smarthome-api device.
+     *
+     * @private
+     */
+    async _relocateDevice(a_device)
+    {
+        let discovered = this._discovered_devices.get(a_device);
+        if (discovered === undefined ||
+            Date.now() - discovered.relocated_at < REDISCOVERY_INTERVAL_MS)
+        {
+            return;
+        }
+
+        discovered.relocated_at = Date.now();
+        try
+        {
+            const host = await this._resolveHost(discovered.entry);
+            if (host != a_device.host)
+            {
+                logger.info(`The Kasa device ${describeHostEntry(discovered.entry)} ` +
+                            `moved from '${a_device.host}' to '${host}'.`,
+                            {host: host, previous_host: a_device.host});
+                a_device.host = host;
+            }
+        }
+        catch (error)
+        {
+            if (!(error instanceof DeviceNotFoundError))
+            {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Get the name of the group a switch belongs to.
+     *
+     * @param {Object} a_light_switch  The switch.
+     *
+     * @returns {?string}  The name of the group's binary sensor, if any.
+     *
+     * @private
+     */
+    _getSwitchGroupName(a_light_switch)
+    {
+        for (const name in this._binary_sensors)
+        {
+            if (this._binary_sensors[name].light_switches.includes(a_light_switch))
+            {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a name for a switch suitable for logging.
+     *
+     * @param {Object} a_light_switch  The tplink-smarthome-api device.
+     *
+     * @returns {string}
+     *     The switch's host, followed by `#` and the outlet's alias for child
+     *     outlets.
+     *
+     * @private
+     */
+    _getSwitchName(a_light_switch)
+    {
+        if (a_light_switch.childId !== undefined)
+        {
+            return `${a_light_switch.host}#${a_light_switch.alias}`;
+        }
+        return a_light_switch.host;
+    }
+
+    /**
+     * Get a name, like {@link KasaWatcher#_getSwitchName _getSwitchName()}'s,
+     * for a switch that hasn't been reached yet.
+     *
+     * @param {HostEntry} a_host  The switch's host entry.
+     *
+     * @returns {string}
+     *     The entry's host, MAC address, device ID, or device alias, followed
+     *     by `#` and the outlet's alias or ID for child outlets.
+     *
+     * @private
+     */
+    _getHostEntryName(a_host)
+    {
+        const entry  = parseHostEntry(a_host);
+        const device = getHostEntryDevice(entry);
+        const child  = entry.alias !== undefined ? entry.alias : entry.child_id;
+        return child !== undefined ? `${device}#${child}` : device;
+    }
+
+    /**
+     * Get the last known state of a switch.
+     *
+     * @param {Object} a_light_switch  The tplink-smarthome-api device.
+     *
+     * @returns {string}
+     *     The switch's last polled state, or "disconnected" if its host
+     *     isn't connected.
+     *
+     * @private
+     */
+    _getSwitchState(a_light_switch)
+    {
+        return (this._host_connected[a_light_switch.host]
+                ? this._switch_states.get(a_light_switch) : "disconnected");
+    }
+
+    /**
+     * Decide the state of a group from the states of its switches.
+     *
+     * Only switches reporting "on" or "off" are counted, if none are then
+     * `a_current_state` is kept.
+     *
+     * @param {string} a_mode
+     *     The group's mode, one of {@link GROUP_MODES}.
+     * @param {SwitchState[]} a_switch_states
+     *     The states of the switches in the group.
+     * @param {string} a_current_state
+     *     The group's current state, used to break ties in the "majority" mode.
+     *
+     * @returns {string}  The group's new state: "on" or "off".
+     *
+     * @private
+     */
+    _getGroupState(a_mode, a_switch_states, a_current_state)
+    {
+        const on_count  = a_switch_states.filter((state) => { return state == "on"; }).length;
+        const off_count = a_switch_states.filter((state) => { return state == "off"; }).length;
+        if (on_count + off_count == 0)
+        {
+            return a_current_state;
+        }
+
+        switch (a_mode)
+        {
+        case "toggle":
+            return (a_switch_states.includes(this._getOppositeState(a_current_state))
+                    ? this._getOppositeState(a_current_state) : a_current_state);
+        case "any_on":
+            return on_count > 0 ? "on" : "off";
+        case "all_on":
+            return off_count == 0 ? "on" : "off";
+        case "majority":
+            if (on_count == off_count)
+            {
+                return a_current_state;
+            }
+            return on_count > off_count ? "on" : "off";
+        }
+        throw new RangeError(`Unknown group mode '${a_mode}'.`);
+    }
+
+    /**
+     * Check the state of the associated switches and update the binary sensor
+     * if needed.
+     *
+     * Until one of the switches has answered this decides the group's initial
+     * state, just like {@link KasaWatcher#addSwitchGroup addSwitchGroup()},
+     * from the first switches to answer.
+     *
+     * This checks all of the switches states in parallel. In the "toggle" mode
+     * the binary sensor's state is updated when the first switch whose state
+     * has changed is encountered. In the other modes every switch is polled and
+     * then {@link KasaWatcher#_getGroupState _getGroupState()} decides the new
+     * state. If the group has `sync_switches` enabled the other switches in the
+     * group will also be set to the new state.
+     *
+     * @param {string} a_sensor_name
+     *     The name of the binary sensor to update, if needed.
+     *
+     * @private
+     */
+    async _updateSensor(a_sensor_name)
+    {
+        let   binary_sensor  = this._binary_sensors[a_sensor_name];
+        const light_switches = binary_sensor.light_switches;
+        const change_state   = this._getOppositeState(binary_sensor.state);
+
+        if (!binary_sensor.available)
+        {
+            const switch_states = await Promise.all(light_switches.map(
+                (light_switch) => { return this._tryRequestSwitchState(light_switch); }));
+            if (switch_states.some((state) => { return state != "disconnected"; }))
+            {
+                binary_sensor.state     = this._getInitialGroupState(binary_sensor,
+                                                                     switch_states);
+                binary_sensor.available = true;
+                logger.debug(`'${a_sensor_name}' is available as "${binary_sensor.state}".`,
+                             {group: a_sensor_name, state: binary_sensor.state});
+                this.emit("groupChange", {group:              a_sensor_name,
+                                          state:              binary_sensor.state,
+                                          previous_state:     "unavailable",
+                                          triggered_by_host:  null,
+                                          triggered_by_alias: null});
+                await this._publishSensorState(a_sensor_name);
+            }
+        }
+        else if (binary_sensor.mode != "toggle")
+        {
+            let changed_switches = [];
+            const switch_states = await Promise.all(light_switches.map(
+                async (light_switch) => {
+                    const previous_state = this._switch_states.get(light_switch);
+                    const state          = await this._tryRequestSwitchState(light_switch);
+                    if (this._isSyncEcho(binary_sensor, light_switch, state))
+                    {
+                        return "disconnected";
+                    }
+
+                    this._recordSwitchState(a_sensor_name, light_switch, state);
+                    if (this._isOverruled(binary_sensor, light_switch, state))
+                    {
+                        return "disconnected";
+                    }
+                    if (state != previous_state)
+                    {
+                        changed_switches.push(light_switch);
+                    }
+                    return state;
+                }));
+
+            const new_state = this._getGroupState(binary_sensor.mode,
+                                                  switch_states,
+                                                  binary_sensor.state);
+            if (new_state != binary_sensor.state &&
+                this._allowStateChange(a_sensor_name, new_state))
+            {
+                const trigger = changed_switches.find(
+                    (light_switch) => {
+                        return this._switch_states.get(light_switch) == new_state;
+                    });
+                let updates = [this._updateSensorState(a_sensor_name,
+                                                       new_state,
+                                                       trigger || null)];
+                if (binary_sensor.sync_switches)
+                {
+                    updates.push(this._syncSwitches(binary_sensor, null, new_state));
+                }
+                await Promise.all(updates);
+            }
+        }
+        else
+        {
+            await Promise.all(light_switches.map(
+                async (light_switch) => {
+                    const new_state = await this._tryRequestSwitchState(light_switch);
+                    if (this._isSyncEcho(binary_sensor, light_switch, new_state))
+                    {
+                        return;
+                    }
+
+                    this._recordSwitchState(a_sensor_name, light_switch, new_state);
+                    if (this._isOverruled(binary_sensor, light_switch, new_state))
+                    {
+                        return;
+                    }
+
+                    if (new_state == change_state &&
+                        new_state != binary_sensor.state &&
+                        this._allowStateChange(a_sensor_name, new_state))
+                    {
+                        let updates = [this._updateSensorState(a_sensor_name,
+                                                               new_state,
+                                                               light_switch)];
+                        if (binary_sensor.sync_switches)
+                        {
+                            updates.push(this._syncSwitches(binary_sensor,
+                                                            light_switch,
+                                                            new_state));
+                        }
+                        await Promise.all(updates);
+                    }
+                }));
+        }
+
+        await this._updateLightLevels(a_sensor_name);
+        await this._updateSensorAttributes(a_sensor_name);
+    }
+
+    /**
+     * Decide whether a switch group may change state now, recording the
+     * change if it may.
+     *
+     * A change is refused during the group's `hold_off_ms` after its previous
+     * change, and while the group is frozen. A group is frozen by the change
+     * that makes it `oscillation.changes` changes within
+     * `oscillation.window_ms`, which is still allowed, so the group keeps the
+     * state it changed to. This is logged and, if `oscillation.fire_event` is
+     * set, a `kasa_watch_oscillation` event is fired. The group thaws after
+     * `oscillation.freeze_ms`.
+     *
+     * @param {string} a_sensor_name  The name of the binary sensor.
+     * @param {string} a_new_state    The state the group would change to.
+     *
+     * @returns {bool}  Whether the group's state may be changed.
+     *
+     * @private
+     */
+    _allowStateChange(a_sensor_name, a_new_state)
+    {
+        let   binary_sensor = this._binary_sensors[a_sensor_name];
+        const oscillation   = binary_sensor.oscillation;
+        const now           = Date.now();
+
+        if (binary_sensor.frozen_until !== null)
+        {
+            if (now < binary_sensor.frozen_until)
+            {
+                return false;
+            }
+
+            logger.info(`No longer ignoring changes to '${a_sensor_name}'.`,
+                        {group: a_sensor_name});
+            binary_sensor.frozen_until = null;
+        }
+
+        if (binary_sensor.last_change_at !== null &&
+            now - binary_sensor.last_change_at < binary_sensor.hold_off_ms)
+        {
+            return false;
+        }
+
+        if (oscillation !== null)
+        {
+            binary_sensor.change_times = binary_sensor.change_times.filter(
+                (time) => { return now - time < oscillation.window_ms; });
+            binary_sensor.change_times.push(now);
+            if (binary_sensor.change_times.length >= oscillation.changes)
+            {
+                logger.warn(`'${a_sensor_name}' changed `                     +
+                            `${oscillation.changes} times within `              +
+                            `${oscillation.window_ms}ms, ignoring its switches ` +
+                            `for ${oscillation.freeze_ms}ms.`,
+                            {group: a_sensor_name, state: a_new_state});
+                binary_sensor.frozen_until = now + oscillation.freeze_ms;
+                binary_sensor.change_times = [];
+                if (oscillation.fire_event)
+                {
+                    this._fireEvent("kasa_watch_oscillation",
+                                    {binary_sensor: a_sensor_name,
+                                     state:         a_new_state,
+                                     changes:       oscillation.changes,
+                                     window_ms:     oscillation.window_ms,
+                                     freeze_ms:     oscillation.freeze_ms},
+                                    a_sensor_name);
+                }
+            }
+        }
+
+        binary_sensor.last_change_at = now;
+        return true;
+    }
+
+    /**
+     * Set every other switch in a group to match the group's new state.
+     *
+     * Each switch that is written to is remembered, along with the state it
+     * was set to, until it reports that state or the group's
+     * `sync_timeout_ms` passes. See
+     * {@link KasaWatcher#_isSyncEcho _isSyncEcho()}. Like polls, the writes
+     * are made with {@link KasaWatcher#_requestFromHost _requestFromHost()},
+     * so switches that are backing off aren't written to.
+     *
+     * @param {Object} a_binary_sensor
+     *     The binary sensor entry, from `_binary_sensors`, of the group.
+     * @param {?Object} a_source_switch
+     *     The switch whose change caused the group's state to change, it will
+     *     not be written to. May be `null` to write to every switch.
+     * @param {string} a_new_state
+     *     The new state of the group, either "on" or "off".
+     *
+     * @private
+     */
+    async _syncSwitches(a_binary_sensor, a_source_switch, a_new_state)
+    {
+        const expires = Date.now() + a_binary_sensor.sync_timeout_ms;
+        const targets = a_binary_sensor.light_switches.filter(
+            (light_switch) => { return light_switch !== a_source_switch; });
+
+        for (const light_switch of targets)
+        {
+            a_binary_sensor.sync_pending.set(light_switch, {state:   a_new_state,
+                                                            expires: expires});
+            const history = this._switch_histories.get(light_switch);
+            if (history !== undefined)
+            {
+                history.state = a_new_state;
+            }
+        }
+
+        await Promise.all(targets.map(
+            async (light_switch) => {
+                try
+                {
+                    const written = await this._requestFromHost(
+                        light_switch.host,
+                        async () => {
+                            await light_switch.setPowerState(a_new_state == "on");
+                            return true;
+                        });
+                    if (written === null)
+                    {
+                        a_binary_sensor.sync_pending.delete(light_switch);
+                        logger.warn(`Could not set '${this._getSwitchName(light_switch)}' ` +
+                                    `to ${a_new_state}, it is backing off after failing ` +
+                                    `to answer.`,
+                                    {group: this._getSwitchGroupName(light_switch),
+                                     host:  light_switch.host,
+                                     state: a_new_state});
+                    }
+                }
+                catch (error)
+                {
+                    a_binary_sensor.sync_pending.delete(light_switch);
+                    logger.warn(`Could not set '${this._getSwitchName(light_switch)}' to ` +
+                                `${a_new_state}.`,
+                                {group: this._getSwitchGroupName(light_switch),
+                                 host:  light_switch.host,
+                                 state: a_new_state,
+                                 ...getErrorFields(error)});
+                }
+            }));
+    }
+
+    /**
+     * Determine whether a polled switch state should be ignored because it is
+     * the result of a pending sync write.
+     *
+     * After {@link KasaWatcher#_syncSwitches _syncSwitches()} writes to a
+     * switch, polls that were already in flight or that reach the switch
+     * before the write is applied will report the old state. Acting on those
+     * would flip the group back and forth, so they are ignored until the
+     * switch reports the state it was set to or the sync times out.
+     *
+     * @param {Object} a_binary_sensor
+     *     The binary sensor entry, from `_binary_sensors`, of the group.
+     * @param {Object} a_light_switch
+     *     The switch that was polled.
+     * @param {SwitchState} a_switch_state
+     *     The state the switch reported.
+     *
+     * @returns {bool}  `true` if the reported state should be ignored.
+     *
+     * @private
+     */
+    _isSyncEcho(a_binary_sensor, a_light_switch, a_switch_state)
+    {
+        const pending = a_binary_sensor.sync_pending.get(a_light_switch);
+        if (pending === undefined)
+        {
+            return false;
+        }
+
+        if (a_switch_state == pending.state || Date.now() >= pending.expires)
+        {
+            a_binary_sensor.sync_pending.delete(a_light_switch);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether a switch still has the state it had when Home Assistant
+     * overruled it, see {@link KasaWatcher#setGroupState setGroupState()}.
+     *
+     * Once the switch reports any other state it is followed again.
+     *
+     * @param {Object}      a_binary_sensor  The group the switch belongs to.
+     * @param {Object}      a_light_switch   The switch that was polled.
+     * @param {SwitchState} a_switch_state   The state it reported.
+     *
+     * @returns {bool}  `true` if the state should be ignored.
+     *
+     * @private
+     */
+    _isOverruled(a_binary_sensor, a_light_switch, a_switch_state)
+    {
+        const overruled_state = a_binary_sensor.overruled_states.get(a_light_switch);
+        if (overruled_state === undefined)
+        {
+            return false;
+        }
+
+        if (a_switch_state == overruled_state || a_switch_state == "disconnected")
+        {
+            return true;
+        }
+
+        a_binary_sensor.overruled_states.delete(a_light_switch);
+        return false;
+    }
+
+    /**
+     * Record the polled state of a switch in a group with gestures, looking
+     * for gestures once a burst of transitions ends.
+     *
+     * A burst starts with a transition and lasts as long as the longest
+     * `within_ms` of the group's gestures. It is then matched by
+     * {@link KasaWatcher#_matchGesture _matchGesture()}.
+     *
+     * @param {string}      a_sensor_name   The name of the group's binary sensor.
+     * @param {Object}      a_light_switch  The switch that was polled.
+     * @param {SwitchState} a_switch_state  The state it reported.
+     *
+     * @private
+     */
+    _recordSwitchState(a_sensor_name, a_light_switch, a_switch_state)
+    {
+        const gestures = this._binary_sensors[a_sensor_name].gestures;
+        if (Object.keys(gestures).length == 0 || a_switch_state == "disconnected")
+        {
+            return;
+        }
+
+        let history = this._switch_histories.get(a_light_switch);
+        if (history === undefined)
+        {
+            this._switch_histories.set(a_light_switch, {state:       a_switch_state,
+                                                        transitions: [],
+                                                        timer:       null});
+            return;
+        }
+        if (a_switch_state == history.state)
+        {
+            return;
+        }
+
+        history.state = a_switch_state;
+        history.transitions.push(Date.now());
+        if (history.timer === null)
+        {
+            const burst_ms = Math.max(...Object.values(gestures).map(
+                (gesture) => { return gesture.within_ms; }));
+            history.timer = setTimeout(
+                () => {
+                    const transitions = history.transitions;
+                    history.transitions = [];
+                    history.timer       = null;
+                    this._matchGesture(a_sensor_name, a_light_switch, transitions);
+                },
+                burst_ms);
+            history.timer.unref();
+        }
+    }
+
+    /**
+     * Fire a `kasa_watch_gesture` event if a burst of transitions of a switch
+     * matches one of its group's gestures.
+     *
+     * A gesture matches when the burst has exactly its number of `toggles`,
+     * all within its `within_ms`.
+     *
+     * @param {string}   a_sensor_name   The name of the group's binary sensor.
+     * @param {Object}   a_light_switch  The switch that was toggled.
+     * @param {number[]} a_transitions   The times of the transitions.
+     *
+     * @private
+     */
+    _matchGesture(a_sensor_name, a_light_switch, a_transitions)
+    {
+        const binary_sensor = this._binary_sensors[a_sensor_name];
+        if (binary_sensor === undefined)
+        {
+            return;
+        }
+
+        const duration_ms = a_transitions[a_transitions.length - 1] - a_transitions[0];
+        for (const name in binary_sensor.gestures)
+        {
+            const gesture = binary_sensor.gestures[name];
+            if (gesture.toggles == a_transitions.length &&
+                duration_ms <= gesture.within_ms)
+            {
+                logger.info(`Gesture '${name}' on '${this._getSwitchName(a_light_switch)}'.`,
+                            {group: a_sensor_name, host: a_light_switch.host, gesture: name});
+                this._fireEvent("kasa_watch_gesture",
+                                {host:    a_light_switch.host,
+                                 group:   a_sensor_name,
+                                 gesture: name},
+                                a_sensor_name);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Get the current state of a Kasa switch.
+     *
+     * For child outlets the state of that outlet is returned rather than the
+     * state of the whole device. Bulbs report their state under `light_state`
+     * rather than `relay_state`. The brightness of dimmers and bulbs, and the
+     * color temperature of bulbs, is recorded in `_switch_light_levels`.
+     *
+     * @returns {string}  The switch's current state: "on" or "off".
+     *
+     * @throws Will throw if unable to connect to the Kasa switch.
+     *
+     * @private
+     */
+    async _requestSwitchState(a_light_switch)
+    {
+        const info = await a_light_switch.getSysInfo();
+        if (a_light_switch.deviceType == "bulb")
+        {
+            const light_state = info.light_state;
+            const levels      = light_state.on_off ? light_state : light_state.dft_on_state;
+            this._switch_light_levels.set(
+                a_light_switch,
+                {brightness: levels !== undefined ? levels.brightness : undefined,
+                 color_temp: (levels !== undefined && info.is_variable_color_temp
+                              ? levels.color_temp : undefined)});
+            return light_state.on_off ? "on" : "off";
+        }
+
+        if (a_light_switch.supportsDimmer)
+        {
+            this._switch_light_levels.set(a_light_switch,
+                                          {brightness: info.brightness});
+        }
+        return a_light_switch.relayState ? "on" : "off";
+    }
+
+    /**
+     * Get the current state of a Kasa switch.
+     *
+     * This is a no-throw version of
+     * {@link KasaWatch#_requestSwitchState _requestSwitchState()}.
+     *
+     * @returns {string} The switches current state: "on", "off", or
+     * "disconnected" if unable to connect to the switch or its host is backing
+     * off.
+     *
+     * @private
+     */
+    async _tryRequestSwitchState(a_light_switch)
+    {
+        try
+        {
+            const current_state = await this._requestFromHost(
+                a_light_switch.host,
+                () => { return this._requestSwitchState(a_light_switch); });
+            if (current_state === null)
+            {
+                return "disconnected";
+            }
+
+            this._setHostConnected(a_light_switch.host, true);
+            const previous_state = this._switch_states.get(a_light_switch);
+            this._switch_states.set(a_light_switch, current_state);
+            if (previous_state !== undefined && previous_state != current_state)
+            {
+                logger.debug(`'${this._getSwitchName(a_light_switch)}' changed to ` +
+                             `"${current_state}".`,
+                             {group: this._getSwitchGroupName(a_light_switch),
+                              host:  a_light_switch.host,
+                              state: current_state});
+                this.emit("switchState", {group:  this._getSwitchGroupName(a_light_switch),
+                                          switch: this._getSwitchName(a_light_switch),
+                                          host:   a_light_switch.host,
+                                          state:  current_state});
+            }
+            return current_state;
+        }
+        catch
+        {
+            this._countPollFailure(a_light_switch.host);
+            this._setHostConnected(a_light_switch.host, false);
+            this._relocateDevice(a_light_switch).catch(
+                (error) => { logger.error(error.message, getErrorFields(error)); });
+            return "disconnected";
+        }
+    }
+
+    /**
+     * Count a poll of a Kasa device that failed or timed out.
+     *
+     * @param {string} a_host  The hostname or IP address of the device.
+     *
+     * @private
+     */
+    _countPollFailure(a_host)
+    {
+        const failures = this._statistics.poll_failures[a_host];
+        this._statistics.poll_failures[a_host] = (failures || 0) + 1;
+    }
+
+    /**
+     * Record whether a host is connected, logging when connectivity is lost
+     * and recovered.
+     *
+     * Each time a host can't be reached it is left alone for longer, starting
+     * at one second and doubling up to a minute, so that hosts that are off
+     * aren't polled every interval. The delay is reset once the host answers.
+     *
+     * @param {string} a_host       The host name or IP address of the device.
+     * @param {bool}   a_connected  Whether the last request to it succeeded.
+     *
+     * @private
+     */
+    _setHostConnected(a_host, a_connected)
+    {
+        const previously_connected = this._host_connected[a_host];
+        this._host_connected[a_host] = a_connected;
+        if (a_connected)
+        {
+            delete this._host_backoff[a_host];
+        }
+        else
+        {
+            const backoff  = this._host_backoff[a_host];
+            const delay_ms = (backoff !== undefined
+                              ? Math.min(backoff.delay_ms * 2, RETRY_MAX_DELAY_MS)
+                              : RETRY_INITIAL_DELAY_MS);
+            this._host_backoff[a_host] = {delay_ms: delay_ms,
+                                          retry_at: Date.now() + delay_ms};
+        }
+
+        if (a_connected && !previously_connected)
+        {
+            logger.info(`Reconnected to '${a_host}'.`, {host: a_host});
+            if (previously_connected === false)
+            {
+                this.emit("hostReconnected", {host: a_host});
+            }
+            this._updateConnectivity(a_host, true);
+        }
+        else if (!a_connected && previously_connected)
+        {
+            logger.warn(`Could not connect to '${a_host}'.`, {host: a_host});
+            this.emit("hostDisconnected", {host: a_host});
+            this._updateConnectivity(a_host, false);
+        }
+    }
+
+    /**
+     * Update the connectivity binary sensors of a host that was connected or
+     * disconnected, in every group that publishes them.
+     *
+     * A sensor is turned on as soon as its switch answers, but is only turned
+     * off once the switch has been unreachable for the group's
+     * `connectivity_debounce_ms`, so that a single missed poll isn't reported.
+     *
+     * @param {string} a_host       The host name or IP address of the device.
+     * @param {bool}   a_connected  Whether the host is now connected.
+     *
+     * @private
+     */
+    _updateConnectivity(a_host, a_connected)
+    {
+        for (const name in this._binary_sensors)
+        {
+            const binary_sensor = this._binary_sensors[name];
+            if (binary_sensor.connectivity === null)
+            {
+                continue;
+            }
+
+            const timers = binary_sensor.connectivity.timers;
+            for (const [light_switch, host] of binary_sensor.switch_entries)
+            {
+                if (light_switch.host != a_host)
+                {
+                    continue;
+                }
+
+                const entity_id = this._getConnectivityEntityId(name, host);
+                clearTimeout(timers.get(entity_id));
+                timers.delete(entity_id);
+                if (a_connected || binary_sensor.connectivity.debounce_ms == 0)
+                {
+                    this._setConnectivityState(name, host, a_connected);
+                    continue;
+                }
+
+                const timer = setTimeout(
+                    () => {
+                        timers.delete(entity_id);
+                        if (this._host_connected[light_switch.host] === false)
+                        {
+                            this._setConnectivityState(name, host, false);
+                        }
+                    },
+                    binary_sensor.connectivity.debounce_ms);
+                timer.unref();
+                timers.set(entity_id, timer);
+            }
+        }
+    }
+
+    /**
+     * Get the ID of the connectivity binary sensor of one of a group's
+     * switches.
+     *
+     * The ID is made from the device part of the host entry, so that it stays
+     * the same when a device found by MAC address moves, and is shared by the
+     * child outlets of a device.
+     *
+     * @param {string}    a_sensor_name  The name of the group's binary sensor.
+     * @param {HostEntry} a_host         The switch's host entry.
+     *
+     * @returns {string}  The entity ID.
+     *
+     * @private
+     */
+    _getConnectivityEntityId(a_sensor_name, a_host)
+    {
+        const device = getHostEntryDevice(parseHostEntry(a_host))
+            .toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+        return `binary_sensor.${a_sensor_name}_${device}_connected`;
+    }
+
+    /**
+     * Set the connectivity binary sensor of one of a group's switches, unless
+     * it already has the state.
+     *
+     * @param {string}    a_sensor_name  The name of the group's binary sensor.
+     * @param {HostEntry} a_host         The switch's host entry.
+     * @param {bool}      a_connected    Whether the switch can be reached.
+     *
+     * @private
+     */
+    async _setConnectivityState(a_sensor_name, a_host, a_connected)
+    {
+        const entity_id = this._getConnectivityEntityId(a_sensor_name, a_host);
+        const state     = a_connected ? "on" : "off";
+        const entity    = this._getGroupEntity(a_sensor_name, entity_id);
+        if (entity !== undefined && entity.state == state)
+        {
+            return;
+        }
+
+        logger.debug(`Switch '${this._getHostEntryName(a_host)}' of group ` +
+                     `'${a_sensor_name}' is ${a_connected ? "connected" : "disconnected"}.`,
+                     {group: a_sensor_name, entity_id: entity_id, state: state});
+        await this._setGroupEntityState(a_sensor_name, entity_id, state,
+                                        {device_class: "connectivity"});
+    }
+
+    /**
+     * Make a request to a host once the requests already being made to it
+     * have finished, unless the host is backing off after failing to answer.
+     *
+     * @param {string}              a_host     The host name or IP address of the device.
+     * @param {function(): Promise} a_request  Makes the request.
+     *
+     * @returns {*}  What the request resolved to, or `null` if the host is backing off.
+     *
+     * @throws Will throw if the request fails.
+     *
+     * @private
+     */
+    async _requestFromHost(a_host, a_request)
+    {
+        const previous_request = this._host_requests.get(a_host) || Promise.resolve();
+        const request          = previous_request.then(
+            async () => {
+                const backoff = this._host_backoff[a_host];
+                if (backoff !== undefined && Date.now() < backoff.retry_at)
+                {
+                    return null;
+                }
+
+                const started_at = Date.now();
+                try
+                {
+                    const result = await a_request();
+                    logger.trace(`Request to '${a_host}' succeeded.`,
+                                 {host: a_host, latency_ms: Date.now() - started_at});
+                    return result;
+                }
+                catch (error)
+                {
+                    logger.debug(`Request to '${a_host}' failed: ${error.message}`,
+                                 {host:       a_host,
+                                  latency_ms: Date.now() - started_at,
+                                  ...getErrorFields(error)});
+                    throw error;
+                }
+            });
+
+        const settled = request.catch(() => {});
+        this._host_requests.set(a_host, settled);
+        settled.then(() => {
+            if (this._host_requests.get(a_host) === settled)
+            {
+                this._host_requests.delete(a_host);
+            }
+        });
+
+        return await request;
+    }
+
+    /**
+     * Get the current energy readings of a Kasa device.
+     *
+     * The tplink-smarthome-api normalizes the readings of older and newer
+     * devices so the readings are always in watts, volts, amps and
+     * kilowatt-hours.
+     *
+     * @param {Object} a_device  The tplink-smarthome-api device.
+     *
+     * @returns {EnergyReadings}  The device's current readings.
+     *
+     * @throws Will throw if unable to connect to the Kasa device.
+     *
+     * @private
+     */
+    async _requestEnergyReadings(a_device)
+    {
+        const realtime = await a_device.emeter.getRealtime();
+        return {power:   realtime.power,
+                voltage: realtime.voltage,
+                current: realtime.current,
+                total:   realtime.total};
+    }
+
+    /**
+     * Get the current energy readings of a Kasa device.
+     *
+     * This is a no-throw version of
+     * {@link KasaWatch#_requestEnergyReadings _requestEnergyReadings()}.
+     *
+     * @param {Object} a_device  The tplink-smarthome-api device.
+     *
+     * @returns {?EnergyReadings}
+     *     The device's current readings, or `null` if unable to connect to the
+     *     device or its host is backing off.
+     *
+     * @private
+     */
+    async _tryRequestEnergyReadings(a_device)
+    {
+        try
+        {
+            const readings = await this._requestFromHost(
+                a_device.host,
+                () => { return this._requestEnergyReadings(a_device); });
+            if (readings === null)
+            {
+                return null;
+            }
+            this._setHostConnected(a_device.host, true);
+            return readings;
+        }
+        catch
+        {
+            this._countPollFailure(a_device.host);
+            this._setHostConnected(a_device.host, false);
+            this._relocateDevice(a_device).catch(
+                (error) => { logger.error(error.message, getErrorFields(error)); });
+            return null;
+        }
+    }
+
+    /**
+     * Poll a device's energy meter and update its Home Assistant sensors.
+     *
+     * Nothing is done if the device hasn't been reached yet.
+     *
+     * @param {string} a_sensor_name  The name of the power sensor.
+     *
+     * @private
+     */
+    async _updatePowerSensor(a_sensor_name)
+    {
+        const device = this._power_sensors[a_sensor_name].device;
+        if (device === null)
+        {
+            return;
+        }
+
+        const readings = await this._tryRequestEnergyReadings(device);
+        if (readings !== null)
+        {
+            await this._publishEnergyReadings(a_sensor_name, readings);
+        }
+    }
+
+    /**
+     * Update the Home Assistant sensors whose readings have changed by at least
+     * their minimum change.
+     *
+     * @param {string}         a_sensor_name  The name of the power sensor.
+     * @param {EnergyReadings} a_readings     The device's current readings.
+     *
+     * @private
+     */
+    async _publishEnergyReadings(a_sensor_name, a_readings)
+    {
+        let power_sensor = this._power_sensors[a_sensor_name];
+        await Promise.all(Object.keys(ENERGY_QUANTITIES).map(
+            async (quantity) => {
+                const new_value = a_readings[quantity];
+                const old_value = power_sensor.readings[quantity];
+                if (new_value === undefined || new_value === old_value)
+                {
+                    return;
+                }
+                if (old_value !== undefined &&
+                    Math.abs(new_value - old_value) < power_sensor.min_change[quantity])
+                {
+                    return;
+                }
+
+                const {suffix, ...attributes} = ENERGY_QUANTITIES[quantity];
+                await this._setEntityState(`sensor.${a_sensor_name}_${suffix}`,
+                                           new_value,
+                                           attributes);
+                power_sensor.readings[quantity] = new_value;
+            }));
+    }
+
+    /**
+     * Get the brightness and color temperature of a group.
+     *
+     * These are taken from the first switch in the group, in the order the
+     * hosts were given, that reported them.
+     *
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     *
+     * @returns {LightLevels}  The group's light levels.
+     *
+     * @private
+     */
+    _getLightLevels(a_sensor_name)
+    {
+        let group_levels = {};
+        for (const light_switch of this._binary_sensors[a_sensor_name].light_switches)
+        {
+            const levels = this._switch_light_levels.get(light_switch);
+            if (levels === undefined)
+            {
+                continue;
+            }
+
+            for (const key of ["brightness", "color_temp"])
+            {
+                if (group_levels[key] === undefined && levels[key])
+                {
+                    group_levels[key] = levels[key];
+                }
+            }
+        }
+        return group_levels;
+    }
+
+    /**
+     * Get the attributes to send to Home Assistant along with the binary
+     * sensor's state.
+     *
+     * These are the group's configured attributes followed by:
+     *
+     * - `triggered_by_host` and `triggered_by_alias` - The host and alias of
+     *   the switch that caused the last change, `null` if it wasn't caused by
+     *   a switch.
+     * - `switches` - The state of every switch in the group by name, including
+     *   "disconnected" for switches that can't be reached.
+     * - `reachable_switches` - How many of the switches can be reached.
+     * - `brightness` and `color_temp` - With `publish_brightness` set to
+     *   "attributes".
+     *
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     *
+     * @returns {Object}  The attributes.
+     *
+     * @private
+     */
+    _getSensorAttributes(a_sensor_name)
+    {
+        const binary_sensor = this._binary_sensors[a_sensor_name];
+        const triggered_by  = binary_sensor.triggered_by;
+
+        let switches = {};
+        for (const light_switch of binary_sensor.light_switches)
+        {
+            switches[this._getSwitchName(light_switch)] = this._getSwitchState(light_switch);
+        }
+        for (const host of binary_sensor.pending_hosts)
+        {
+            switches[this._getHostEntryName(host)] = "disconnected";
+        }
+
+        return {...binary_sensor.attributes,
+                triggered_by_host:  triggered_by !== null ? triggered_by.host : null,
+                triggered_by_alias: (triggered_by !== null && triggered_by.alias !== undefined
+                                     ? triggered_by.alias : null),
+                switches:           switches,
+                reachable_switches: Object.values(switches).filter(
+                    (state) => { return state != "disconnected"; }).length,
+                ...(binary_sensor.publish_brightness == "attributes"
+                    ? binary_sensor.light_levels : {})};
+    }
+
+    /**
+     * Re-send the binary sensor's state if its attributes have changed, for
+     * example because one of its switches changed state or stopped answering
+     * without changing the group's state.
+     *
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     *
+     * @private
+     */
+    async _updateSensorAttributes(a_sensor_name)
+    {
+        const entity = this._getGroupEntity(a_sensor_name, `binary_sensor.${a_sensor_name}`);
+        if (entity !== undefined &&
+            JSON.stringify(entity.attributes) !=
+            JSON.stringify(this._getSensorAttributes(a_sensor_name)))
+        {
+            await this._publishSensorState(a_sensor_name);
+        }
+    }
+
+    /**
+     * Publish the group's brightness and color temperature if they have
+     * changed.
+     *
+     * Depending on the group's `publish_brightness` option this either updates
+     * the `sensor.<name>_brightness` and `sensor.<name>_color_temp` sensors or
+     * re-sends the binary sensor's state with the levels as attributes. Nothing
+     * is done if `publish_brightness` isn't set.
+     *
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     *
+     * @private
+     */
+    async _updateLightLevels(a_sensor_name)
+    {
+        let   binary_sensor = this._binary_sensors[a_sensor_name];
+        const old_levels    = binary_sensor.light_levels;
+        const new_levels    = this._getLightLevels(a_sensor_name);
+        if (binary_sensor.publish_brightness === undefined ||
+            (new_levels.brightness == old_levels.brightness &&
+             new_levels.color_temp == old_levels.color_temp))
+        {
+            return;
+        }
+
+        binary_sensor.light_levels = new_levels;
+        if (binary_sensor.publish_brightness == "attributes")
+        {
+            await this._publishSensorState(a_sensor_name);
+            return;
+        }
+
+        let updates = [];
+        if (new_levels.brightness != old_levels.brightness &&
+            new_levels.brightness !== undefined)
+        {
+            updates.push(this._setGroupEntityState(
+                a_sensor_name,
+                `sensor.${a_sensor_name}_brightness`,
+                new_levels.brightness,
+                {unit_of_measurement: "%"}));
+        }
+        if (new_levels.color_temp != old_levels.color_temp &&
+            new_levels.color_temp !== undefined)
+        {
+            updates.push(this._setGroupEntityState(
+                a_sensor_name,
+                `sensor.${a_sensor_name}_color_temp`,
+                new_levels.color_temp,
+                {unit_of_measurement: "K"}));
+        }
+        await Promise.all(updates);
+    }
+
+    /**
+     * Set or update the state of the Home Assistant binary sensor.
+     *
+     * *Note:* If the `a_new_state` is the same as the last state set for the
+     *         binary sensor nothing will be done.
+     *
+     * @param {string} a_sensor_name
+     *     The name of the Home Assistnat binary sensor to set or update.
+     * @param {string} a_new_state
+     *     The new state to set for the binary sensor.
+     * @param {?Object} [a_triggered_by=null]
+     *     The switch whose change caused this, if any.
+     */
+    async _updateSensorState(a_sensor_name, a_new_state, a_triggered_by=null)
+    {
+        if (a_new_state == this._binary_sensors[a_sensor_name].state)
+        {
+            return;
+        }
+
+        const previous_state = this._binary_sensors[a_sensor_name].state;
+        this._binary_sensors[a_sensor_name].state        = a_new_state;
+        this._binary_sensors[a_sensor_name].triggered_by = a_triggered_by;
+        this._statistics.state_changes[a_sensor_name] =
+            (this._statistics.state_changes[a_sensor_name] || 0) + 1;
+        logger.debug(`'${a_sensor_name}' changed to "${a_new_state}".`,
+                     {group: a_sensor_name, state: a_new_state, previous_state: previous_state});
+        this.emit("groupChange", {group:              a_sensor_name,
+                                  state:              a_new_state,
+                                  previous_state:     previous_state,
+                                  triggered_by_host:  (a_triggered_by !== null
+                                                       ? a_triggered_by.host : null),
+                                  triggered_by_alias: (a_triggered_by !== null &&
+                                                       a_triggered_by.alias !== undefined
+                                                       ? a_triggered_by.alias : null)});
+        await this._publishSensorState(a_sensor_name);
+    }
+
+    /**
+     * Send the current state of the binary sensor to Home Assistant.
+     *
+     * Until at least one of the group's switches has answered the state is
+     * sent as "unavailable".
+     *
+     * @param {string} a_sensor_name
+     *     The name of the Home Assistnat binary sensor to set or update.
+     * @param {bool} [a_already_delivered=false]
+     *     Whether Home Assistant is known to already have the state, in which
+     *     case it is only recorded.
+     *
+     * @private
+     */
+    async _publishSensorState(a_sensor_name, a_already_delivered=false)
+    {
+        const binary_sensor = this._binary_sensors[a_sensor_name];
+        await this._setGroupEntityState(a_sensor_name,
+                                        `binary_sensor.${a_sensor_name}`,
+                                        (binary_sensor.available
+                                         ? binary_sensor.state : "unavailable"),
+                                        this._getSensorAttributes(a_sensor_name),
+                                        a_already_delivered);
+    }
+
+    /**
+     * Send the state of one of a group's entities to each of the group's
+     * sinks, which may include the watcher's own output.
+     *
+     * Only the watcher's output is waited for, each other sink delivers the
+     * state on its own.
+     *
+     * @param {string}        a_sensor_name  The name of the group's binary sensor.
+     * @param {string}        a_entity_id    The Home Assistant entity ID.
+     * @param {string|number} a_state        The new state of the entity.
+     * @param {Object}        a_attributes   The attributes of the entity.
+     * @param {bool}          [a_already_delivered=false]
+     *     Whether the outputs are known to already have the state, in which
+     *     case it is recorded as delivered without being sent.
+     *
+     * @private
+     */
+    async _setGroupEntityState(a_sensor_name,
+                               a_entity_id,
+                               a_state,
+                               a_attributes,
+                               a_already_delivered=false)
+    {
+        await Promise.all(this._binary_sensors[a_sensor_name].sinks.map(
+            (sink) => {
+                const delivered = this._setEntityState(a_entity_id,
+                                                       a_state,
+                                                       a_attributes,
+                                                       a_already_delivered,
+                                                       sink);
+                return sink === null ? delivered : null;
+            }));
+    }
+
+    /**
+     * Get the entity a group last sent a state for, from the first of its
+     * sinks.
+     *
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     * @param {string} a_entity_id    The Home Assistant entity ID.
+     *
+     * @returns {Object|undefined}  The entity, if a state was sent for it.
+     *
+     * @private
+     */
+    _getGroupEntity(a_sensor_name, a_entity_id)
+    {
+        const sinks = this._binary_sensors[a_sensor_name].sinks;
+        return sinks.length > 0 ? this._getEntities(sinks[0])[a_entity_id] : undefined;
+    }
+
+    /**
+     * Send the state of a Home Assistant entity, retrying until it is
+     * delivered.
+     *
+     * The state is recorded as the entity's desired state and sent
+     * immediately. If that fails it is retried with backoff, see
+     * {@link KasaWatcher#_deliverEntityState _deliverEntityState()}. Only the
+     * latest desired state is ever sent, so updates made while Home Assistant
+     * is unreachable are coalesced.
+     *
+     * @param {string}        a_entity_id   The Home Assistant entity ID.
+     * @param {string|number} a_state       The new state of the entity.
+     * @param {Object}        a_attributes  The attributes of the entity.
+     * @param {bool}          [a_already_delivered=false]
+     *     Whether Home Assistant is known to already have the state, in which
+     *     case it is recorded as delivered without being sent.
+     * @param {?string}       [a_sink=null]
+     *     The sink to send the state to, `null` for the watcher's own output.
+     *
+     * @private
+     */
+    async _setEntityState(a_entity_id,
+                          a_state,
+                          a_attributes,
+                          a_already_delivered=false,
+                          a_sink=null)
+    {
+        const entities = this._getEntities(a_sink);
+        let   entity   = entities[a_entity_id];
+        if (entity === undefined)
+        {
+            entity = {state:          a_state,
+                      attributes:     a_attributes,
+                      delivered:      false,
+                      sending:        false,
+                      resend:         false,
+                      retry_delay_ms: null,
+                      retry_timer:    null,
+                      context_ids:    []};
+            entities[a_entity_id] = entity;
+        }
+
+        entity.state      = a_state;
+        entity.attributes = a_attributes;
+        entity.delivered  = a_already_delivered;
+        if (!a_already_delivered)
+        {
+            await this._deliverEntityState(a_entity_id, a_sink);
+        }
+    }
+
+    /**
+     * Get the entities whose states are sent to an output.
+     *
+     * @param {?string} a_sink  The sink, `null` for the watcher's own output.
+     *
+     * @returns {Object}  A mapping from entity IDs to entities.
+     *
+     * @private
+     */
+    _getEntities(a_sink)
+    {
+        return a_sink === null ? this._entities : this._sinks[a_sink].entities;
+    }
+
+    /**
+     * Find the power sensor an entity is one of the readings of.
+     *
+     * @param {string} a_entity_id  The Home Assistant entity ID.
+     *
+     * @returns {?string}  The name of the power sensor, `null` if it isn't one.
+     *
+     * @private
+     */
+    _getPowerSensorName(a_entity_id)
+    {
+        const name = Object.keys(this._power_sensors).find(
+            (power_sensor) => {
+                return Object.values(ENERGY_QUANTITIES).some(
+                    (quantity) => {
+                        return a_entity_id == `sensor.${power_sensor}_${quantity.suffix}`;
+                    });
+            });
+        return name !== undefined ? name : null;
+    }
+
+    /**
+     * Send the desired state of a Home Assistant entity.
+     *
+     * If a send is already in progress the latest state is sent again once it
+     * finishes. If the send fails another attempt is scheduled, waiting twice
+     * as long after each failure up to {@link RETRY_MAX_DELAY_MS}. The first
+     * failure and the eventual success are logged.
+     *
+     * @param {string}  a_entity_id    The Home Assistant entity ID.
+     * @param {?string} [a_sink=null]  The sink to send the state to, `null`
+     *                                 for the watcher's own output.
+     *
+     * @private
+     */
+    async _deliverEntityState(a_entity_id, a_sink=null)
+    {
+        const entities = this._getEntities(a_sink);
+        const output   = a_sink === null ? this._output : this._sinks[a_sink].output;
+        const using    = a_sink === null ? "" : ` using the '${a_sink}' sink`;
+        let   entity   = entities[a_entity_id];
+        if (output === null)
+        {
+            entity.delivered = true;
+            return;
+        }
+        if (entity.sending)
+        {
+            entity.resend = true;
+            return;
+        }
+
+        if (entity.retry_timer !== null)
+        {
+            clearTimeout(entity.retry_timer);
+            entity.retry_timer = null;
+        }
+
+        entity.sending = true;
+        try
+        {
+            do
+            {
+                entity.resend = false;
+                const context_id = await output.setState(a_entity_id,
+                                                         entity.state,
+                                                         entity.attributes);
+                if (context_id)
+                {
+                    entity.context_ids = [...entity.context_ids.slice(-(MAX_CONTEXT_IDS - 1)),
+                                          context_id];
+                }
+            } while (entity.resend);
+
+            entity.delivered = true;
+            this.emit("stateSent", {sink:         a_sink,
+                                    entity_id:    a_entity_id,
+                                    state:        entity.state,
+                                    power_sensor: this._getPowerSensorName(a_entity_id)});
+            if (a_sink === null)
+            {
+                this._statistics.last_output = {entity_id: a_entity_id,
+                                                at:        Date.now(),
+                                                succeeded: true};
+            }
+            if (entity.retry_delay_ms !== null)
+            {
+                logger.info(`Updated '${a_entity_id}'${using}.`,
+                            {...(a_sink !== null ? {sink: a_sink} : {}),
+                             entity_id: a_entity_id,
+                             state:     entity.state});
+                entity.retry_delay_ms = null;
+            }
+        }
+        catch (error)
+        {
+            this.emit("sinkError", {sink: a_sink, entity_id: a_entity_id, error: error});
+            if (a_sink === null)
+            {
+                this._statistics.output_errors += 1;
+                this._statistics.last_output = {entity_id: a_entity_id,
+                                                at:        Date.now(),
+                                                succeeded: false,
+                                                error:     error.message};
+            }
+            if (entity.retry_delay_ms === null)
+            {
+                logger.warn(`Could not update '${a_entity_id}'${using}, will keep ` +
+                            `trying: ${error.message}`,
+                            {...(a_sink !== null ? {sink: a_sink} : {}),
+                             entity_id: a_entity_id,
+                             ...getErrorFields(error)});
+                entity.retry_delay_ms = RETRY_INITIAL_DELAY_MS;
+            }
+            else
+            {
+                entity.retry_delay_ms = Math.min(entity.retry_delay_ms * 2,
+                                                 RETRY_MAX_DELAY_MS);
+            }
+
+            entity.retry_timer = setTimeout(
+                () => {
+                    entity.retry_timer = null;
+                    if (entities[a_entity_id] === entity)
+                    {
+                        this._deliverEntityState(a_entity_id, a_sink);
+                    }
+                },
+                entity.retry_delay_ms);
+            entity.retry_timer.unref();
+        }
+        finally
+        {
+            entity.sending = false;
+        }
+    }
+
+    /**
+     * Fire a Home Assistant event, using the sinks of the group it is about,
+     * logging rather than throwing any failure.
+     *
+     * Nothing is sent to outputs that can't fire events.
+     *
+     * @param {string} a_event_type   The type of event.
+     * @param {Object} a_event_data   The data of the event.
+     * @param {string} a_sensor_name  The name of the group's binary sensor.
+     *
+     * @private
+     */
+    async _fireEvent(a_event_type, a_event_data, a_sensor_name)
+    {
+        const sinks = this._binary_sensors[a_sensor_name].sinks;
+        await Promise.all(sinks.map(
+            async (sink) => {
+                const output = sink === null ? this._output : this._sinks[sink].output;
+                if (output === null || typeof(output.fireEvent) != "function")
+                {
+                    return;
+                }
+
+                try
+                {
+                    await output.fireEvent(a_event_type, a_event_data);
+                }
+                catch (error)
+                {
+                    this.emit("sinkError", {sink:       sink,
+                                            event_type: a_event_type,
+                                            error:      error});
+                    logger.warn(`Could not fire the '${a_event_type}' event` +
+                                `${sink === null ? "" : ` using the '${sink}' sink`}: ` +
+                                `${error.message}`,
+                                {...(sink !== null ? {sink: sink} : {}),
+                                 event_type: a_event_type,
+                                 ...getErrorFields(error)});
+                }
+            }));
+    }
+
+    /**
+     * Stop delivering and reconciling the states of Home Assistant entities,
+     * using the watcher's output and every sink.
+     *
+     * @param {string[]} a_entity_ids  The Home Assistant entity IDs.
+     *
+     * @private
+     */
+    _forgetEntities(a_entity_ids)
+    {
+        for (const entities of [this._entities,
+                                ...Object.values(this._sinks).map(
+                                    (sink) => { return sink.entities; })])
+        {
+            for (const entity_id of a_entity_ids)
+            {
+                const entity = entities[entity_id];
+                if (entity === undefined)
+                {
+                    continue;
+                }
+
+                if (entity.retry_timer !== null)
+                {
+                    clearTimeout(entity.retry_timer);
+                }
+                delete entities[entity_id];
+            }
+        }
+    }
+};
+
+/**
+ * A switch was polled and its state differs from the last time it was polled.
+ *
+ * @event KasaWatcher#switchState
+ * @type {Object}
+ * @property {?string}     group   The name of the group the switch belongs to.
+ * @property {string}      switch  The switch's name, its alias if it has one.
+ * @property {string}      host    The switch's hostname or IP address.
+ * @property {SwitchState} state   The switch's new state.
+ */
+
+/**
+ * A group's state changed, or it became available.
+ *
+ * @event KasaWatcher#groupChange
+ * @type {Object}
+ * @property {string} group           The name of the group's binary sensor.
+ * @property {string} state           The group's new state.
+ * @property {string} previous_state
+ *     The group's previous state, `"unavailable"` if it had none.
+ * @property {?string} triggered_by_host
+ *     The host of the switch that caused the change, `null` if it wasn't
+ *     caused by a switch.
+ * @property {?string} triggered_by_alias
+ *     The alias of the switch that caused the change, if it has one.
+ */
+
+/**
+ * A Kasa device that had answered stopped answering.
+ *
+ * @event KasaWatcher#hostDisconnected
+ * @type {Object}
+ * @property {string} host  The device's hostname or IP address.
+ */
+
+/**
+ * A Kasa device that had stopped answering answered again.
+ *
+ * @event KasaWatcher#hostReconnected
+ * @type {Object}
+ * @property {string} host  The device's hostname or IP address.
+ */
+
+/**
+ * The state of an entity was sent using the watcher's {@link Output} or one of
+ * its sinks.
+ *
+ * @event KasaWatcher#stateSent
+ * @type {Object}
+ * @property {?string} sink       The sink it was sent to, `null` for the
+ *                                watcher's own output.
+ * @property {string}  entity_id  The entity whose state was sent.
+ * @property {string}  state      The state that was sent.
+ * @property {?string} power_sensor
+ *     The power sensor the entity is a reading of, `null` if it isn't one.
+ */
+
+/**
+ * A state could not be sent, or an event could not be fired, using the
+ * watcher's {@link Output} or one of its sinks.
+ *
+ * @event KasaWatcher#sinkError
+ * @type {Object}
+ * @property {?string} sink         The sink that failed, `null` for the
+ *                                  watcher's own output.
+ * @property {string} [entity_id]   The entity whose state could not be sent.
+ * @property {string} [event_type]  The event that could not be fired.
+ * @property {Error}  error         What went wrong.
+ */
+
+
+/**
+ * Keeps the states of a {@link KasaWatcher}'s switch groups in a JSON file so
+ * they survive restarts.
+ *
+ * The file is rewritten whenever a group or switch changes state. Each write
+ * goes to a temporary file which then replaces the state file, so a crash
+ * never leaves it half written.
+ */
+class StateFile
+{
+    /**
+     * Create a StateFile.
+     *
+     * @param {string} a_path  The path of the state file.
+     */
+    constructor(a_path)
+    {
+        this._path           = a_path;
+        this._binary_sensors = {};
+        this._writing        = false;
+        this._rewrite        = false;
+    }
+
+    /**
+     * Read the saved states from the file.
+     *
+     * A missing file is not an error, there are just no saved states. A file
+     * that can't be read or parsed is logged and ignored.
+     *
+     * @returns {Object.<string, SavedGroupState>}  The saved states by group name.
+     */
+    async load()
+    {
+        try
+        {
+            const saved = JSON.parse(await fs.readFile(this._path, "utf8"));
+            this._binary_sensors = saved.binary_sensors || {};
+        }
+        catch (error)
+        {
+            if (error.code != "ENOENT")
+            {
+                logger.warn(`Ignoring the state file "${this._path}": ${error.message}`,
+                            {path: this._path, ...getErrorFields(error)});
+            }
+            this._binary_sensors = {};
+        }
+        return this.getGroupStates();
+    }
+
+    /**
+     * Get the saved states.
+     *
+     * @returns {Object.<string, SavedGroupState>}  The saved states by group name.
+     */
+    getGroupStates()
+    {
+        return {...this._binary_sensors};
+    }
+
+    /**
+     * Save the watcher's group states whenever they change.
+     *
+     * @param {KasaWatcher} a_watcher  The watcher to follow.
+     */
+    follow(a_watcher)
+    {
+        const update = () => {
+            const group_states = a_watcher.getGroupStates();
+            for (const name in group_states)
+            {
+                const saved = this._binary_sensors[name];
+                if (group_states[name].state === null && saved !== undefined)
+                {
+                    group_states[name].state = saved.state;
+                }
+                if (saved !== undefined)
+                {
+                    group_states[name].switches = {...saved.switches,
+                                                   ...group_states[name].switches};
+                }
+            }
+            this._binary_sensors = group_states;
+            this._write();
+        };
+
+        a_watcher.on("groupChange", update);
+        a_watcher.on("switchState", update);
+    }
+
+    /**
+     * Write the states to the file, replacing it atomically. A write requested
+     * while one is in progress is done once it finishes.
+     *
+     * @private
+     */
+    async _write()
+    {
+        if (this._writing)
+        {
+            this._rewrite = true;
+            return;
         }
-        else if (!Array.isArray(sensor_configuration["hosts"]))
+
+        this._writing = true;
+        try
         {
-            console.error(`Binary sensor configuration for "${name}" has an ` +
-                          `invalid value for the "hosts" entry. It must be `  +
-                          `an array containing at least one host string.`);
-            binary_sensor_config_valid = false;
-            continue;
+            do
+            {
+                this._rewrite = false;
+                const temporary_path = `${this._path}.tmp`;
+                await fs.writeFile(temporary_path,
+                                   JSON.stringify({binary_sensors: this._binary_sensors},
+                                                  null, 4) + "\n");
+                await fs.rename(temporary_path, this._path);
+            } while (this._rewrite);
         }
-        else if (sensor_configuration["hosts"].length == 0)
+        catch (error)
         {
-            console.error(`Binary sensor configuration for "${name}" has an `  +
-                          `empty "hosts" entry. It must be an array at least ` +
-                          `one host string.`);
-            binary_sensor_config_valid = false;
-            continue;
+            logger.error(`Could not write the state file "${this._path}": ${error.message}`,
+                         {path: this._path, ...getErrorFields(error)});
+        }
+        finally
+        {
+            this._writing = false;
+        }
+    }
+};
+
+/**
+ * @typedef {Object} EventRecord
+ *
+ * One line of an {@link EventLog}. Besides `time` and `type` a record has the
+ * properties of the watcher event it was made from.
+ *
+ * @property {string} time
+ *     When it happened, as an ISO 8601 string.
+ * @property {string} type
+ *     What happened, one of {@link EVENT_TYPES}.
+ * @property {string} [group]
+ *     The group, for "switch" and "group" records.
+ * @property {string} [host]
+ *     The host, for "switch" and "connectivity" records.
+ * @property {bool} [connected]
+ *     Whether the host answered, for "connectivity" records.
+ * @property {bool} [succeeded]
+ *     Whether the state was sent, for "output" records.
+ */
+
+/**
+ * @typedef {Object} EventFilter
+ *
+ * Which records of an {@link EventLog} to read. Every property is optional.
+ *
+ * @property {number} [since]
+ *     The earliest time, in milliseconds since the epoch.
+ * @property {number} [until]
+ *     The latest time, in milliseconds since the epoch.
+ * @property {string} [group]
+ *     Only the records of this group, including the "output" records of its
+ *     binary sensor.
+ * @property {string} [host]
+ *     Only the records of this host.
+ * @property {string[]} [types]
+ *     Only records of these types, see {@link EVENT_TYPES}.
+ */
+
+/**
+ * @typedef {Object} OnTime
+ *
+ * How long a group was on, see {@link EventLog#getOnTimes}.
+ *
+ * @property {number} on_ms
+ *     How long the group was on, in milliseconds.
+ * @property {number} recorded_ms
+ *     How much of the time range the group has records for, in milliseconds.
+ * @property {number} turned_on
+ *     How many times the group turned on.
+ */
+
+
+/**
+ * An append-only log of what a {@link KasaWatcher} saw, kept as a file with
+ * one JSON {@link EventRecord} per line.
+ *
+ * Records are only ever appended, so the file can be read while kasa-watch
+ * writes to it, and rotated by moving it away.
+ */
+class EventLog
+{
+    /**
+     * Create an EventLog.
+     *
+     * @param {string} a_path  The path of the log file.
+     */
+    constructor(a_path)
+    {
+        this._path    = a_path;
+        this._pending = [];
+        this._writing = false;
+    }
+
+    /**
+     * Record every switch, group, connectivity and output change of a
+     * watcher.
+     *
+     * The readings of power sensors that were sent aren't recorded, since
+     * they can change with every poll and would bury the other records.
+     * Failures to send them are.
+     *
+     * @param {KasaWatcher} a_watcher  The watcher to follow.
+     */
+    follow(a_watcher)
+    {
+        a_watcher.on("switchState", (event) => { this.append("switch", event); });
+        a_watcher.on("groupChange", (event) => { this.append("group", event); });
+        a_watcher.on("hostDisconnected", (event) => {
+            this.append("connectivity", {host: event.host, connected: false});
+        });
+        a_watcher.on("hostReconnected", (event) => {
+            this.append("connectivity", {host: event.host, connected: true});
+        });
+        a_watcher.on("stateSent", (event) => {
+            const {power_sensor, ...fields} = event;
+            if (power_sensor === null)
+            {
+                this.append("output", {...fields, succeeded: true});
+            }
+        });
+        a_watcher.on("sinkError", (event) => {
+            const {error, ...fields} = event;
+            this.append("output", {...fields, succeeded: false, error: error.message});
+        });
+    }
+
+    /**
+     * Add a record to the end of the log.
+     *
+     * @param {string} a_type    The type of record, one of {@link EVENT_TYPES}.
+     * @param {Object} a_fields  What happened.
+     */
+    append(a_type, a_fields)
+    {
+        this._pending.push(JSON.stringify({time: new Date().toISOString(),
+                                           type: a_type,
+                                           ...a_fields}) + "\n");
+        this._write();
+    }
+
+    /**
+     * Read the records that match a filter, oldest first.
+     *
+     * A missing file has no records. Lines that aren't JSON, such as one cut
+     * short by a crash, are skipped.
+     *
+     * @param {EventFilter} [a_filter={}]  Which records to read.
+     *
+     * @returns {EventRecord[]}  The matching records.
+     *
+     * @throws Will throw if the file exists but can't be read.
+     */
+    async read(a_filter={})
+    {
+        let contents = "";
+        try
+        {
+            contents = await fs.readFile(this._path, "utf8");
+        }
+        catch (error)
+        {
+            if (error.code != "ENOENT")
+            {
+                throw error;
+            }
         }
 
-        const hosts = sensor_configuration["hosts"];
-        for (const i in hosts)
+        let records = [];
+        for (const line of contents.split("\n"))
         {
-            if (!hosts[i])
+            let record = null;
+            try
+            {
+                record = JSON.parse(line);
+            }
+            catch
             {
-                console.error(`Binary sensor configuration for "${name}" ` +
-                              `host entry ${i} is empty. It must be a `    +
-                              `non-empty string.`);
-                binary_sensor_config_valid = false;
                 continue;
             }
+            if (record && typeof(record) == "object" && this._matches(record, a_filter))
+            {
+                records.push(record);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Work out how long each group was on between two times, from its "group"
+     * records.
+     *
+     * A group is taken to have kept each state until its next record, so a
+     * group that was on when kasa-watch stopped counts as on until it started
+     * again. Time before a group's first record isn't counted.
+     *
+     * @param {EventFilter} [a_filter={}]
+     *     The time range and group. The range defaults to everything up to
+     *     now, `host` and `types` are ignored.
+     *
+     * @returns {Object.<string, OnTime>}  How long each group was on, by name.
+     */
+    async getOnTimes(a_filter={})
+    {
+        const since   = a_filter.since !== undefined ? a_filter.since : -Infinity;
+        const until   = a_filter.until !== undefined ? a_filter.until : Date.now();
+        const records = await this.read({until: until,
+                                         group: a_filter.group,
+                                         types: ["group"]});
+
+        let on_times = {};
+        let states   = {};
+        const close = (a_group, a_time) => {
+            const state = states[a_group];
+            const start = Math.max(state.at, since);
+            if (a_time > start)
+            {
+                on_times[a_group].recorded_ms += a_time - start;
+                if (state.state == "on")
+                {
+                    on_times[a_group].on_ms += a_time - start;
+                }
+            }
+        };
+
+        for (const record of records)
+        {
+            const time = Date.parse(record.time);
+            if (on_times[record.group] === undefined)
+            {
+                on_times[record.group] = {on_ms: 0, recorded_ms: 0, turned_on: 0};
+            }
+            else
+            {
+                close(record.group, time);
+            }
+            states[record.group] = {state: record.state, at: time};
+            if (record.state == "on" && record.previous_state != "on" && time >= since)
+            {
+                on_times[record.group].turned_on += 1;
+            }
+        }
+        for (const group in states)
+        {
+            close(group, until);
+        }
+        return on_times;
+    }
+
+    /**
+     * Determine whether a record matches a filter.
+     *
+     * @param {EventRecord} a_record  The record.
+     * @param {EventFilter} a_filter  The filter.
+     *
+     * @returns {bool}  `true` if the record matches.
+     *
+     * @private
+     */
+    _matches(a_record, a_filter)
+    {
+        const time = Date.parse(a_record.time);
+        return ((a_filter.since === undefined || time >= a_filter.since) &&
+                (a_filter.until === undefined || time <= a_filter.until) &&
+                (a_filter.group === undefined ||
+                 a_record.group == a_filter.group ||
+                 a_record.entity_id == `binary_sensor.${a_filter.group}`) &&
+                (a_filter.host === undefined || a_record.host == a_filter.host) &&
+                (a_filter.types === undefined || a_filter.types.includes(a_record.type)));
+    }
+
+    /**
+     * Append the pending records to the file. Records added while a write is
+     * in progress are written once it finishes.
+     *
+     * @private
+     */
+    async _write()
+    {
+        if (this._writing)
+        {
+            return;
+        }
+
+        this._writing = true;
+        try
+        {
+            while (this._pending.length > 0)
+            {
+                const lines = this._pending.join("");
+                this._pending = [];
+                await fs.appendFile(this._path, lines);
+            }
         }
+        catch (error)
+        {
+            logger.error(`Could not write to the event log "${this._path}": ${error.message}`,
+                         {path: this._path, ...getErrorFields(error)});
+        }
+        finally
+        {
+            this._writing = false;
+        }
+    }
+};
+
+
+
+/**
+ * @typedef {Object} WatcherStatus
+ *
+ * The current state of a {@link KasaWatcher} and what has happened since it
+ * was created.
+ *
+ * @property {Object} binary_sensors
+ *     A mapping from binary sensor names to objects with the sensor's `state`
+ *     and `mode`, its `switches` with the `name`, `host` and last polled
+ *     `state` of each, and its `last_poll`, see below, which is `null` until
+ *     it has completed one.
+ * @property {Object} power_sensors
+ *     A mapping from power sensor names to objects with the sensor's
+ *     `last_poll`.
+ * @property {Object} hosts
+ *     A mapping from hostnames to whether the host answered its last poll.
+ * @property {number} polls_in_progress
+ *     The number of polls that have started but not finished.
+ * @property {?Object} last_poll
+ *     When the oldest of the last completed polls of the switch groups and
+ *     power sensors started and finished, and its duration, in milliseconds.
+ *     `null` if any of them hasn't completed a poll.
+ * @property {?Object} last_output
+ *     The last entity state sent to Home Assistant, when, whether it succeeded
+ *     and, if not, the error.
+ * @property {Object} poll_durations
+ *     How long each poll took, in seconds, as a {@link Histogram} for each
+ *     switch group in `binary_sensors` and each power sensor in
+ *     `power_sensors`.
+ * @property {Object} poll_failures
+ *     A mapping from hostnames to how many polls of the host failed or timed
+ *     out.
+ * @property {Object} state_changes
+ *     A mapping from binary sensor names to how many times the sensor changed.
+ * @property {number} output_errors
+ *     How many times sending a state to Home Assistant failed.
+ */
+
+
+/**
+ * @typedef {Object} StatusServerOptions
+ *
+ * Where the status server listens and when it reports kasa-watch as unhealthy.
+ *
+ * @property {number} port
+ *     The TCP port to listen on.
+ * @property {string} [host]
+ *     The address to listen on, all addresses if not given.
+ * @property {number} [stale_after_ms=60000]
+ *     How long after the last completed poll of any switch group or power
+ *     sensor `/healthz` reports kasa-watch as unhealthy, in milliseconds.
+ */
+
+
+/**
+ * A small HTTP server that reports what a {@link KasaWatcher} is doing.
+ *
+ * It serves the following routes:
+ *
+ * - `/healthz`, whether kasa-watch is alive and polling. Responds with 200 if
+ *   every switch group and power sensor completed a poll recently and 503
+ *   otherwise.
+ * - `/status`, the {@link WatcherStatus} as JSON, without the statistics.
+ * - `/metrics`, the statistics in the Prometheus text format.
+ */
+class StatusServer
+{
+    /**
+     * Create a StatusServer.
+     *
+     * @param {KasaWatcher}         a_watcher  The watcher to report on.
+     * @param {StatusServerOptions} a_options  Where to listen.
+     */
+    constructor(a_watcher, a_options)
+    {
+        this._watcher        = a_watcher;
+        this._port           = a_options.port;
+        this._host           = a_options.host;
+        this._stale_after_ms = (a_options.stale_after_ms !== undefined
+                                ? a_options.stale_after_ms : DEFAULT_STALE_AFTER_MS);
+        this._server         = http.createServer(
+            (request, response) => { this._handleRequest(request, response); });
     }
-    if (!binary_sensor_config_valid)
+
+    /**
+     * Start listening.
+     *
+     * @returns {number}  The port it listens on, which is chosen by the
+     *                    operating system if the port given was 0.
+     *
+     * @throws Will throw if unable to listen, for example if the port is in
+     *         use.
+     */
+    async listen()
     {
-        process.exit(INVALID_BINARY_SENSORS);
+        await new Promise((resolve, reject) => {
+            this._server.once("error", reject);
+            this._server.listen(this._port, this._host, () => {
+                this._server.off("error", reject);
+                resolve();
+            });
+        });
+        return this._server.address().port;
     }
 
+    /**
+     * Stop listening, once the requests being answered are finished.
+     */
+    async close()
+    {
+        await new Promise((resolve) => { this._server.close(resolve); });
+    }
 
-    let kasa_timeout_ms = 10e3; // 10s, matching the tplink-smarthome-api default.
-    if (configuration["kasa_timeout_ms"] !== undefined)
+    /**
+     * Respond to a request.
+     *
+     * @param {http.IncomingMessage} a_request   The request.
+     * @param {http.ServerResponse}  a_response  The response.
+     *
+     * @private
+     */
+    _handleRequest(a_request, a_response)
     {
-        if (typeof(configuration["kasa_timeout_ms"]) != "number" &&
-            !(configuration["kasa_timeout_ms"] instanceof Number))
+        const path = a_request.url.split("?")[0];
+        if (a_request.method != "GET" && a_request.method != "HEAD")
         {
-            console.error(`The configuration value for "kasa_timeout_ms" must ` +
-                          `be a positive number.`);
-            process.exit(NON_NUMERIC_KASA_TIMEOUT);
+            this._respond(a_response, 405, "text/plain", "Method Not Allowed\n");
+            return;
         }
-        else if (configuration["kasa_timeout_ms"] <= 0)
+
+        const status  = this._watcher.getStatus();
+        const isStale = (a_sensor) => {
+            return (a_sensor.last_poll === null ||
+                    Date.now() - a_sensor.last_poll.finished_at >= this._stale_after_ms);
+        };
+        const stale   = {
+            binary_sensors: Object.keys(status.binary_sensors).filter(
+                (name) => { return isStale(status.binary_sensors[name]); }),
+            power_sensors:  Object.keys(status.power_sensors).filter(
+                (name) => { return isStale(status.power_sensors[name]); })};
+        const healthy = !isStale(status);
+        switch (path)
         {
-            console.error(`The configuration value for "kasa_timeout_ms" is ` +
-                          `less than or equal to zero, but must be a ` +
-                          `positive number.`);
-            process.exit(NOT_POSITIVE_KASA_TIMEOUT);
+        case "/healthz":
+            this._respond(a_response,
+                          healthy ? 200 : 503,
+                          "application/json",
+                          JSON.stringify({alive:               true,
+                                          last_poll_completed: healthy,
+                                          last_poll:           status.last_poll,
+                                          stale:               stale}));
+            break;
+
+        case "/status":
+            this._respond(a_response,
+                          200,
+                          "application/json",
+                          JSON.stringify({binary_sensors:    status.binary_sensors,
+                                          power_sensors:     status.power_sensors,
+                                          hosts:             status.hosts,
+                                          polls_in_progress: status.polls_in_progress,
+                                          last_poll:         status.last_poll,
+                                          last_output:       status.last_output}));
+            break;
+
+        case "/metrics":
+            this._respond(a_response,
+                          200,
+                          "text/plain; version=0.0.4",
+                          this._getMetrics(status));
+            break;
+
+        default:
+            this._respond(a_response, 404, "text/plain", "Not Found\n");
         }
+    }
+
+    /**
+     * Send a complete response.
+     *
+     * @param {http.ServerResponse} a_response      The response.
+     * @param {number}              a_status_code   The HTTP status code.
+     * @param {string}              a_content_type  The type of the body.
+     * @param {string}              a_body          The body.
+     *
+     * @private
+     */
+    _respond(a_response, a_status_code, a_content_type, a_body)
+    {
+        a_response.writeHead(a_status_code, {"Content-Type": a_content_type});
+        a_response.end(a_body);
+    }
+
+    /**
+     * Format the statistics of the watcher in the Prometheus text format.
+     *
+     * @param {WatcherStatus} a_status  The status of the watcher.
+     *
+     * @returns {string}  The metrics.
+     *
+     * @private
+     */
+    _getMetrics(a_status)
+    {
+        const label = (a_value) => {
+            return String(a_value).replace(/\\/g, "\\\\")
+                                  .replace(/"/g, "\\\"")
+                                  .replace(/\n/g, "\\n");
+        };
+        const family = (a_name, a_type, a_help, a_samples) => {
+            return [`# HELP ${a_name} ${a_help}`,
+                    `# TYPE ${a_name} ${a_type}`,
+                    ...a_samples].join("\n");
+        };
+
+        const histogram = (a_name, a_labels, a_histogram) => {
+            return [...a_histogram.buckets.map(
+                        (bucket, i) => {
+                            return `${a_name}_bucket{${a_labels},le="${bucket}"} ` +
+                                   `${a_histogram.counts[i]}`;
+                        }),
+                    `${a_name}_bucket{${a_labels},le="+Inf"} ${a_histogram.count}`,
+                    `${a_name}_sum{${a_labels}} ${a_histogram.sum}`,
+                    `${a_name}_count{${a_labels}} ${a_histogram.count}`];
+        };
 
-        kasa_timeout_ms = configuration["kasa_timeout_ms"];
+        const durations = a_status.poll_durations;
+        return [
+            family("kasa_watch_poll_duration_seconds", "histogram",
+                   "How long polling the devices of a switch group or power sensor took.",
+                   [...Object.keys(durations.binary_sensors).flatMap(
+                       (name) => {
+                           return histogram("kasa_watch_poll_duration_seconds",
+                                            `group="${label(name)}"`,
+                                            durations.binary_sensors[name]);
+                       }),
+                    ...Object.keys(durations.power_sensors).flatMap(
+                        (name) => {
+                            return histogram("kasa_watch_poll_duration_seconds",
+                                             `power_sensor="${label(name)}"`,
+                                             durations.power_sensors[name]);
+                        })]),
+            family("kasa_watch_poll_failures_total", "counter",
+                   "Polls of a Kasa device that failed or timed out.",
+                   Object.keys(a_status.poll_failures).map(
+                       (host) => {
+                           return `kasa_watch_poll_failures_total{host="${label(host)}"} ` +
+                                  `${a_status.poll_failures[host]}`;
+                       })),
+            family("kasa_watch_host_connected", "gauge",
+                   "Whether a Kasa device answered its last poll.",
+                   Object.keys(a_status.hosts).map(
+                       (host) => {
+                           return `kasa_watch_host_connected{host="${label(host)}"} ` +
+                                  `${a_status.hosts[host] ? 1 : 0}`;
+                       })),
+            family("kasa_watch_state_changes_total", "counter",
+                   "Changes of a binary sensor's state.",
+                   Object.keys(a_status.state_changes).map(
+                       (name) => {
+                           return `kasa_watch_state_changes_total{binary_sensor="${label(name)}"} ` +
+                                  `${a_status.state_changes[name]}`;
+                       })),
+            family("kasa_watch_output_errors_total", "counter",
+                   "Failures to send a state to Home Assistant.",
+                   [`kasa_watch_output_errors_total ${a_status.output_errors}`])
+        ].join("\n") + "\n";
     }
+};
 
 
-    run(configuration["home_assistant_url"],
-        ha_token,
-        kasa_timeout_ms,
-        configuration["binary_sensors"],
-        configuration["poll_interval_ms"],
-        !args["verbose"]);
-}
+/**
+ * @typedef {Object} DiscoveryOptions
+ *
+ * How to find Kasa devices given by MAC address, device ID, or alias.
+ *
+ * @property {string} [broadcast="255.255.255.255"]
+ *     The address to send the discovery broadcast to.
+ * @property {number} [timeout_ms=3000]
+ *     How long to wait for devices to answer, in milliseconds.
+ */
+
+
+/**
+ * @typedef {Object} LightLevels
+ *
+ * The levels reported by a dimmer or bulb, or the levels of a group. Either
+ * property may be missing if no device reported it.
+ *
+ * @property {number} [brightness]
+ *     The brightness, as a percentage from 1 to 100.
+ * @property {number} [color_temp]
+ *     The color temperature, in Kelvin. Only bulbs report this.
+ */
+
+
+/**
+ * @typedef {Object} EnergyReadings
+ *
+ * The readings from a Kasa device's energy meter, or the minimum change of each
+ * reading. Any property may be missing.
+ *
+ * @property {number} [power]    The power, in watts.
+ * @property {number} [voltage]  The voltage, in volts.
+ * @property {number} [current]  The current, in amps.
+ * @property {number} [total]    The total energy used, in kilowatt-hours.
+ */
+
+
+/**
+ * @typedef {Object} SwitchGroup
+ *
+ * An object that represents a group of Kasa switches that should be treated as
+ * a single unit.
+ *
+ * @property {SwitchState} default_state
+ *     The default state to use if there are an equal number of switches in
+ *     opposing states at startup.
+ * @property {HostEntry[]} hosts
+ *     The hostnames or IP addresses of the swtiches in the group, optionally
+ *     naming a child outlet.
+ * @property {string} [mode]
+ *     How the switch states are combined into the group's state, one of
+ *     {@link GROUP_MODES}.
+ * @property {bool} [sync_switches]
+ *     Whether to set all of the switches in the group to the group's state
+ *     whenever one of them changes.
+ * @property {string} [publish_brightness]
+ *     Where to publish the group's brightness and color temperature, one of
+ *     {@link BRIGHTNESS_OUTPUTS}.
+ * @property {number} [sync_timeout_ms]
+ *     How long to ignore stale states from switches that were just set by
+ *     `sync_switches`, in milliseconds.
+ * @property {number} [hold_off_ms]
+ *     How long after a change to ignore switch states that would change the
+ *     group back, in milliseconds.
+ * @property {OscillationOptions} [oscillation]
+ *     When to stop following the switches because the group keeps changing.
+ * @property {Object.<string, Gesture>} [gestures]
+ *     The gestures to look for on each switch, by name.
+ * @property {number} [poll_interval_ms]
+ *     How often to poll the group's switches, in milliseconds, instead of the
+ *     configuration's `poll_interval_ms`.
+ * @property {bool} [publish_connectivity]
+ *     Whether to publish whether each switch can be reached as a connectivity
+ *     binary sensor.
+ * @property {number} [connectivity_debounce_ms]
+ *     How long a switch has to be unreachable before its connectivity binary
+ *     sensor is turned off, in milliseconds.
+ * @property {string[]} [sinks]
+ *     The names of the configured sinks the group's entities and events are
+ *     sent to, where "default" is `home_assistant_url` or `mqtt`.
+ */
+
+/**
+ * @typedef {Object} SwitchGroupOptions
+ *
+ * The optional settings for a group of Kasa switches.
+ *
+ * @property {string} [mode="toggle"]
+ *     How the switch states are combined into the group's state, one of
+ *     {@link GROUP_MODES}.
+ * @property {bool} [sync_switches=false]
+ *     Whether to set all of the switches in the group to the group's state
+ *     whenever one of them changes.
+ * @property {string} [publish_brightness]
+ *     Where to publish the group's brightness and color temperature, one of
+ *     {@link BRIGHTNESS_OUTPUTS}. They are not published if this isn't set.
+ * @property {number} [sync_timeout_ms=5000]
+ *     How long to ignore polled states from switches that were set by
+ *     `sync_switches` but have not yet reported their new state, in
+ *     milliseconds.
+ * @property {number} [hold_off_ms=0]
+ *     How long after a change to ignore switch states that would change the
+ *     group back, in milliseconds.
+ * @property {OscillationOptions} [oscillation]
+ *     When to stop following the switches because the group keeps changing.
+ *     Oscillation isn't detected if this isn't set.
+ * @property {Object.<string, Gesture>} [gestures={}]
+ *     The gestures to look for on each switch, by name.
+ * @property {number} [poll_interval_ms]
+ *     How often to poll the group's switches, in milliseconds, once the
+ *     watcher is started. The interval given to
+ *     {@link KasaWatcher#start start()} is used if this isn't set.
+ * @property {Object} [attributes={}]
+ *     Extra attributes for the group's binary sensor, such as
+ *     `friendly_name`, `device_class` and `icon`.
+ * @property {bool} [publish_connectivity=false]
+ *     Whether to publish a `binary_sensor.<name>_<device>_connected` entity,
+ *     with the "connectivity" device class, for each switch in the group.
+ * @property {number} [connectivity_debounce_ms=0]
+ *     How long a switch has to be unreachable before its connectivity binary
+ *     sensor is turned off, in milliseconds. It is turned back on as soon as
+ *     the switch answers.
+ * @property {string[]} [sinks=["default"]]
+ *     The names of the sinks, added with {@link KasaWatcher#addSink addSink()},
+ *     that the group's entities and events are sent to. {@link DEFAULT_SINK}
+ *     is the watcher's own output.
+ * @property {SavedGroupState} [saved_state]
+ *     The group's state from before a restart. It is used if the switches
+ *     still have the states they had, in which case the state isn't sent
+ *     again, and otherwise it breaks ties instead of the default state.
+ * @property {SavedGroupState} [current_state]
+ *     The state of the group this one replaces, e.g. when the configuration
+ *     is reloaded, from {@link KasaWatcher#getGroupStates getGroupStates()}.
+ *     It is used instead of `saved_state`, but is always sent as the group's
+ *     attributes may have changed.
+ */
+
+/**
+ * @typedef {Object} SavedGroupState
+ *
+ * The state of a switch group, as saved by a {@link StateFile}.
+ *
+ * @property {SwitchState} state
+ *     The group's state.
+ * @property {Object.<string, SwitchState>} switches
+ *     The last known state of each switch in the group, by switch name.
+ */
+
+/**
+ * @typedef {Object} Gesture
+ *
+ * A quick series of toggles of one switch.
+ *
+ * @property {number} toggles
+ *     How many times the switch changes state, e.g. 2 for off, on, off.
+ * @property {number} within_ms
+ *     The time all of the changes must happen within, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} OscillationOptions
+ *
+ * When a switch group is considered to be oscillating, and what to do about it.
+ *
+ * @property {number} changes
+ *     The number of changes that make the group oscillating. The last of them
+ *     is still made.
+ * @property {number} window_ms
+ *     The time those changes must happen within, in milliseconds.
+ * @property {number} [freeze_ms=window_ms]
+ *     How long to keep the group's state and ignore its switches once it is
+ *     oscillating, in milliseconds.
+ * @property {bool} [fire_event=false]
+ *     Whether to fire a `kasa_watch_oscillation` Home Assistant event when the
+ *     group starts oscillating.
+ */
 
-main(process.argv);
+
+module.exports = {
+    KasaWatcher,
+    HomeAssistantRestOutput,
+    MqttOutput,
+    RecordingOutput,
+    WebhookOutput,
+    CommandOutput,
+    HomeAssistantWebSocket,
+    StatusServer,
+    StateFile,
+    EventLog,
+    UnknownChildError,
+    DeviceNotFoundError,
+    parseHostEntry,
+    describeHostEntry,
+    Logger,
+    logger,
+    getErrorFields,
+    LOG_LEVELS,
+    LOG_FORMATS,
+    GROUP_MODES,
+    BRIGHTNESS_OUTPUTS,
+    ENERGY_QUANTITIES,
+    EVENT_TYPES,
+    DEFAULT_DISCOVERY_TIMEOUT_MS,
+    DEFAULT_STALE_AFTER_MS,
+    DEFAULT_RECONCILE_INTERVAL_MS,
+    DEFAULT_SINK
+};
@@ -0,0 +1,665 @@
+#!/usr/bin/env node
+"use strict"
+
+const dgram        = require("dgram");
+const EventEmitter = require("events");
+const fs           = require("fs").promises;
+const net          = require("net");
+const readline     = require("readline");
+
+const yargs     = require("yargs/yargs");
+const {hideBin} = require("yargs/helpers");
+
+const {logger, getErrorFields} = require("./index.js");
+
+
+/**
+ * The TCP and UDP port Kasa devices listen on.
+ * @type {number}
+ */
+const KASA_PORT = 9999;
+
+/**
+ * The key the first byte of every Kasa message is XOR'd with.
+ * @type {number}
+ */
+const INITIAL_KEY = 171;
+
+
+/**
+ * Encrypt a message the way Kasa devices do: every byte is XOR'd with the
+ * previous encrypted byte, starting with {@link INITIAL_KEY}.
+ *
+ * @param {Buffer|string} a_message  The plain message.
+ *
+ * @returns {Buffer}  The encrypted message, without a length header.
+ */
+function encrypt(a_message)
+{
+    let buffer = Buffer.from(a_message);
+    let key    = INITIAL_KEY;
+    for (let i = 0; i < buffer.length; ++i)
+    {
+        buffer[i] ^= key;
+        key        = buffer[i];
+    }
+    return buffer;
+}
+
+/**
+ * Decrypt a message encrypted by {@link encrypt}.
+ *
+ * @param {Buffer} a_message  The encrypted message, without a length header.
+ *
+ * @returns {string}  The plain message.
+ */
+function decrypt(a_message)
+{
+    let buffer = Buffer.from(a_message);
+    let key    = INITIAL_KEY;
+    for (let i = 0; i < buffer.length; ++i)
+    {
+        const next_key = buffer[i];
+        buffer[i]     ^= key;
+        key            = next_key;
+    }
+    return buffer.toString();
+}
+
+
+/**
+ * @typedef {Object} FakeKasaDeviceOptions
+ *
+ * What a {@link FakeKasaDevice} pretends to be.
+ *
+ * @property {string} [host="127.0.0.1"]
+ *     The address to listen on. Every address in `127.0.0.0/8` can be used on
+ *     Linux, so each device can have its own address on the standard port.
+ * @property {number} [port=9999]
+ *     The TCP and UDP port to listen on. kasa-watch only talks to port 9999.
+ * @property {string} [alias]
+ *     The device's alias, defaults to "Fake <host>".
+ * @property {string} [mac]
+ *     The device's MAC address, made up from the host if not given.
+ * @property {string} [device_id]
+ *     The device's ID, made up from the MAC address if not given.
+ * @property {string} [model="HS200(US)"]
+ *     The device's model.
+ * @property {bool} [relay_state=false]
+ *     Whether the relay is initially on.
+ * @property {?EnergyReadings} [energy=null]
+ *     The readings of the device's energy meter, `null` if it has none.
+ * @property {FakeChildOutlet[]} [children=[]]
+ *     The outlets of a power strip, the relay state is ignored if there are
+ *     any.
+ */
+
+/**
+ * @typedef {Object} FakeChildOutlet
+ *
+ * An outlet of a fake power strip.
+ *
+ * @property {string} alias
+ *     The outlet's alias.
+ * @property {bool} [state=false]
+ *     Whether the outlet is initially on.
+ */
+
+
+/**
+ * A fake Kasa smart plug or switch that speaks the TP-Link protocol, for
+ * trying kasa-watch without real devices.
+ *
+ * The device answers `system.get_sysinfo`, `system.set_relay_state` and, when
+ * it has an energy meter, `emeter.get_realtime` over TCP and UDP, so it can
+ * also be discovered. Its state can be changed as if someone pressed it, it
+ * can answer slowly to cause timeouts, and it can be stopped and started
+ * again to drop off the network.
+ *
+ * @fires FakeKasaDevice#request
+ * @fires FakeKasaDevice#relayState
+ */
+class FakeKasaDevice extends EventEmitter
+{
+    /**
+     * Create a FakeKasaDevice, it doesn't listen until
+     * {@link FakeKasaDevice#start start()} is called.
+     *
+     * @param {FakeKasaDeviceOptions} [a_options={}]  What the device pretends to be.
+     */
+    constructor(a_options={})
+    {
+        super();
+
+        this.host = a_options.host || "127.0.0.1";
+        this.port = a_options.port !== undefined ? a_options.port : KASA_PORT;
+
+        const host_bytes = this.host.split(".").map(
+            (part) => { return Number(part).toString(16).padStart(2, "0").toUpperCase(); });
+        this._mac       = a_options.mac || ["50", "C7", ...host_bytes].slice(-6).join(":");
+        this._device_id = (a_options.device_id ||
+                           `800${this._mac.replace(/:/g, "")}`.padEnd(40, "0"));
+        this._alias       = a_options.alias || `Fake ${this.host}`;
+        this._model       = a_options.model || "HS200(US)";
+        this._relay_state = Boolean(a_options.relay_state);
+        this._energy      = a_options.energy || null;
+        this._children    = (a_options.children || []).map(
+            (child, i) => {
+                return {id:    `${this._device_id}${String(i).padStart(2, "0")}`,
+                        alias: child.alias,
+                        state: Boolean(child.state)};
+            });
+
+        this._response_delay_ms = 0;
+        this._tcp_server        = null;
+        this._udp_socket        = null;
+        this._sockets           = new Set();
+    }
+
+    /**
+     * Start listening for requests.
+     *
+     * @throws Will throw if the address or port can't be used.
+     */
+    async start()
+    {
+        if (this._tcp_server !== null)
+        {
+            return;
+        }
+
+        const tcp_server = net.createServer(
+            (socket) => { this._handleConnection(socket); });
+        await new Promise((resolve, reject) => {
+            tcp_server.once("error", reject);
+            tcp_server.listen(this.port, this.host, () => { resolve(); });
+        });
+
+        const udp_socket = dgram.createSocket("udp4");
+        udp_socket.on("message", (message, remote) => {
+            this._respond(message, (response) => {
+                udp_socket.send(encrypt(response), remote.port, remote.address);
+            });
+        });
+        try
+        {
+            await new Promise((resolve, reject) => {
+                udp_socket.once("error", reject);
+                udp_socket.bind(this.port, this.host, () => { resolve(); });
+            });
+        }
+        catch (error)
+        {
+            tcp_server.close();
+            throw error;
+        }
+
+        this._tcp_server = tcp_server;
+        this._udp_socket = udp_socket;
+    }
+
+    /**
+     * Stop listening and drop every open connection, as if the device lost
+     * power. Its state is kept for when it is started again.
+     */
+    async stop()
+    {
+        if (this._tcp_server === null)
+        {
+            return;
+        }
+
+        for (const socket of this._sockets)
+        {
+            socket.destroy();
+        }
+        this._sockets.clear();
+
+        const tcp_server = this._tcp_server;
+        const udp_socket = this._udp_socket;
+        this._tcp_server = null;
+        this._udp_socket = null;
+        await Promise.all([new Promise((resolve) => { tcp_server.close(() => { resolve(); }); }),
+                           new Promise((resolve) => { udp_socket.close(() => { resolve(); }); })]);
+    }
+
+    /**
+     * Determine whether the device is listening.
+     *
+     * @returns {bool}  `true` between {@link FakeKasaDevice#start start()} and
+     *                  {@link FakeKasaDevice#stop stop()}.
+     */
+    isRunning()
+    {
+        return this._tcp_server !== null;
+    }
+
+    /**
+     * Get the state of the relay or of one of the outlets.
+     *
+     * @param {string} [a_alias]  The alias of the outlet, for power strips.
+     *
+     * @returns {bool}  `true` if it is on.
+     *
+     * @throws {RangeError} If there is no outlet with the alias.
+     */
+    getRelayState(a_alias)
+    {
+        if (a_alias === undefined)
+        {
+            return this._relay_state;
+        }
+        return this._getChild(a_alias).state;
+    }
+
+    /**
+     * Turn the relay, or one of the outlets, on or off as if someone pressed
+     * the device's button.
+     *
+     * @param {bool}   a_state    `true` for on.
+     * @param {string} [a_alias]  The alias of the outlet, for power strips.
+     *
+     * @throws {RangeError} If there is no outlet with the alias.
+     */
+    setRelayState(a_state, a_alias)
+    {
+        if (a_alias === undefined)
+        {
+            this._relay_state = Boolean(a_state);
+            return;
+        }
+        this._getChild(a_alias).state = Boolean(a_state);
+    }
+
+    /**
+     * Change the readings of the energy meter, giving the device one if it
+     * had none.
+     *
+     * @param {EnergyReadings} a_readings  The new readings.
+     */
+    setEnergyReadings(a_readings)
+    {
+        this._energy = {...this._energy, ...a_readings};
+    }
+
+    /**
+     * Delay every answer, to make requests time out.
+     *
+     * @param {number} a_delay_ms
+     *     How long to wait before answering, in milliseconds. With `Infinity`
+     *     requests are never answered.
+     */
+    setResponseDelay(a_delay_ms)
+    {
+        this._response_delay_ms = a_delay_ms;
+    }
+
+    /**
+     * Get the outlet of a power strip with an alias.
+     *
+     * @param {string} a_alias  The outlet's alias.
+     *
+     * @returns {Object}  The outlet.
+     *
+     * @throws {RangeError} If there is no such outlet.
+     *
+     * @private
+     */
+    _getChild(a_alias)
+    {
+        const child = this._children.find((child) => { return child.alias == a_alias; });
+        if (child === undefined)
+        {
+            throw new RangeError(`'${this.host}' has no outlet with alias "${a_alias}".`);
+        }
+        return child;
+    }
+
+    /**
+     * Read the length prefixed requests on a TCP connection and answer each.
+     *
+     * @param {net.Socket} a_socket  The connection.
+     *
+     * @private
+     */
+    _handleConnection(a_socket)
+    {
+        this._sockets.add(a_socket);
+        a_socket.on("close", () => { this._sockets.delete(a_socket); });
+        a_socket.on("error", () => {});
+
+        let buffer = Buffer.alloc(0);
+        a_socket.on("data", (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32BE(0))
+            {
+                const length  = buffer.readUInt32BE(0);
+                const message = buffer.slice(4, 4 + length);
+                buffer = buffer.slice(4 + length);
+
+                this._respond(message, (response) => {
+                    if (a_socket.destroyed)
+                    {
+                        return;
+                    }
+
+                    const encrypted = encrypt(response);
+                    let   header    = Buffer.alloc(4);
+                    header.writeUInt32BE(encrypted.length, 0);
+                    a_socket.write(Buffer.concat([header, encrypted]));
+                });
+            }
+        });
+    }
+
+    /**
+     * Decrypt and answer a request, after the response delay.
+     *
+     * @param {Buffer}   a_message  The encrypted request.
+     * @param {function} a_send     Called with the plain response.
+     *
+     * @private
+     */
+    _respond(a_message, a_send)
+    {
+        let request = null;
+        try
+        {
+            request = JSON.parse(decrypt(a_message));
+        }
+        catch (error)
+        {
+            logger.warn(`'${this.host}' received a request that isn't JSON.`,
+                        {host: this.host, ...getErrorFields(error)});
+            return;
+        }
+
+        /**
+         * A request was received.
+         *
+         * @event FakeKasaDevice#request
+         * @type {Object}
+         * @property {Object} request  The decrypted request.
+         */
+        this.emit("request", {request: request});
+
+        const response = JSON.stringify(this._handleRequest(request));
+        if (this._response_delay_ms == 0)
+        {
+            a_send(response);
+        }
+        else if (Number.isFinite(this._response_delay_ms))
+        {
+            setTimeout(() => { a_send(response); }, this._response_delay_ms);
+        }
+    }
+
+    /**
+     * Carry out a request.
+     *
+     * Every method of every module in the request is answered, unknown ones
+     * with the error codes real devices use.
+     *
+     * @param {Object} a_request  The decrypted request.
+     *
+     * @returns {Object}  The response.
+     *
+     * @private
+     */
+    _handleRequest(a_request)
+    {
+        const child_ids = (a_request.context && a_request.context.child_ids) || null;
+
+        let response = {};
+        for (const module in a_request)
+        {
+            if (module == "context")
+            {
+                continue;
+            }
+
+            response[module] = {};
+            for (const method in a_request[module])
+            {
+                const parameters = a_request[module][method] || {};
+                switch (`${module}.${method}`)
+                {
+                case "system.get_sysinfo":
+                    response[module][method] = this._getSysInfo();
+                    break;
+
+                case "system.set_relay_state":
+                    this._setRelayStateFromRequest(Boolean(parameters.state), child_ids);
+                    response[module][method] = {err_code: 0};
+                    break;
+
+                case "emeter.get_realtime":
+                    response[module][method] = (
+                        this._energy === null
+                        ? {err_code: -1, err_msg: "module not support"}
+                        : {voltage_mv: Math.round((this._energy.voltage || 0) * 1e3),
+                           current_ma: Math.round((this._energy.current || 0) * 1e3),
+                           power_mw:   Math.round((this._energy.power   || 0) * 1e3),
+                           total_wh:   Math.round((this._energy.total   || 0) * 1e3),
+                           err_code:   0});
+                    break;
+
+                default:
+                    response[module][method] = (
+                        ["system", "emeter"].includes(module)
+                        ? {err_code: -2, err_msg: "member not support"}
+                        : {err_code: -1, err_msg: "module not support"});
+                }
+            }
+        }
+        return response;
+    }
+
+    /**
+     * Set the relay, or the outlets, as asked by a request.
+     *
+     * @param {bool}      a_state      `true` for on.
+     * @param {?string[]} a_child_ids  The IDs of the outlets to set, `null`
+     *                                 for the relay.
+     *
+     * @private
+     */
+    _setRelayStateFromRequest(a_state, a_child_ids)
+    {
+        const children = (a_child_ids === null ? [] : this._children.filter(
+            (child) => {
+                return a_child_ids.some((id) => { return child.id.endsWith(id); });
+            }));
+        if (a_child_ids === null)
+        {
+            this._relay_state = a_state;
+        }
+        for (const child of children)
+        {
+            child.state = a_state;
+        }
+
+        /**
+         * The relay, or some outlets, were set by a request.
+         *
+         * @event FakeKasaDevice#relayState
+         * @type {Object}
+         * @property {bool}     state    The new state, `true` for on.
+         * @property {string[]} aliases  The aliases of the outlets that were
+         *                               set, empty for the relay.
+         */
+        this.emit("relayState", {state:   a_state,
+                                 aliases: children.map((child) => { return child.alias; })});
+    }
+
+    /**
+     * Build the answer to `system.get_sysinfo`.
+     *
+     * @returns {Object}  The device's system information.
+     *
+     * @private
+     */
+    _getSysInfo()
+    {
+        let sys_info = {sw_ver:      "1.0.0 Build 000000 Rel.000000",
+                        hw_ver:      "1.0",
+                        type:        "IOT.SMARTPLUGSWITCH",
+                        model:       this._model,
+                        dev_name:    "kasa-watch fake device",
+                        mac:         this._mac,
+                        deviceId:    this._device_id,
+                        hwId:        "0".repeat(32),
+                        oemId:       "0".repeat(32),
+                        alias:       this._alias,
+                        relay_state: this._relay_state ? 1 : 0,
+                        on_time:     0,
+                        active_mode: "none",
+                        feature:     this._energy !== null ? "TIM:ENE" : "TIM",
+                        updating:    0,
+                        rssi:        -50,
+                        led_off:     0,
+                        err_code:    0};
+        if (this._children.length > 0)
+        {
+            sys_info.children = this._children.map(
+                (child) => {
+                    return {id:          child.id,
+                            alias:       child.alias,
+                            state:       child.state ? 1 : 0,
+                            on_time:     0,
+                            next_action: {type: -1}};
+                });
+            sys_info.child_num = this._children.length;
+        }
+        return sys_info;
+    }
+};
+
+
+/**
+ * Carry out a command read from the standard input of the simulator.
+ *
+ * The commands are `<host>[#<alias>] on|off`, `<host> stop|start`,
+ * `<host> delay <ms>` and `<host> power <watts>`.
+ *
+ * @param {Object.<string, FakeKasaDevice>} a_devices  The devices by host.
+ * @param {string}                          a_line     The command.
+ *
+ * @throws {RangeError} If the command or device is unknown.
+ */
+async function runCommand(a_devices, a_line)
+{
+    const [target, command, argument] = a_line.trim().split(/\s+/);
+    const [host, alias]               = target.split("#");
+    const device                      = a_devices[host];
+    if (device === undefined)
+    {
+        throw new RangeError(`There is no fake device '${host}'.`);
+    }
+
+    switch (command)
+    {
+    case "on":
+    case "off":
+        device.setRelayState(command == "on", alias);
+        break;
+    case "stop":
+        await device.stop();
+        break;
+    case "start":
+        await device.start();
+        break;
+    case "delay":
+        device.setResponseDelay(Number(argument));
+        break;
+    case "power":
+        device.setEnergyReadings({power: Number(argument)});
+        break;
+    default:
+        throw new RangeError(`Unknown command '${command}'.`);
+    }
+    logger.info(`'${target}' ${command}${argument !== undefined ? ` ${argument}` : ""}.`,
+                {host: host, command: command});
+}
+
+/**
+ * Run fake devices until interrupted, taking commands from the standard
+ * input.
+ *
+ * @param {string[]} argv  The command line arguments.
+ */
+async function main(argv)
+{
+    const args = yargs(hideBin(argv))
+          .command("$0 [host...]", "Run fake Kasa devices.", (a_yargs) => {
+              return a_yargs
+                  .positional("host", {
+                      type:        "string",
+                      description: "The address of a fake plug to run."
+                  })
+                  .options({
+                      "devices": {
+                          type:        "string",
+                          description: "The path to a JSON file with an array of device options."
+                      }
+                  })
+                  .epilog("Commands read from the standard input, one per line:\n"          +
+                          "  <host>[#<alias>] on|off  Press the device's button.\n"        +
+                          "  <host> stop|start        Take the device off the network and " +
+                          "back.\n"                                                        +
+                          "  <host> delay <ms>        Answer requests late.\n"             +
+                          "  <host> power <watts>     Change the energy meter's power "     +
+                          "reading.");
+          })
+          .strict()
+          .argv;
+
+    let options = (args["host"] || []).map((host) => { return {host: String(host)}; });
+    if (args["devices"] !== undefined)
+    {
+        options.push(...JSON.parse(await fs.readFile(args["devices"], "utf8")));
+    }
+
+    let devices = {};
+    for (const device_options of options)
+    {
+        const device = new FakeKasaDevice(device_options);
+        device.on("relayState", (change) => {
+            const targets = (change.aliases.length > 0
+                             ? change.aliases.map((alias) => { return `${device.host}#${alias}`; })
+                             : [device.host]);
+            for (const target of targets)
+            {
+                logger.info(`'${target}' was turned ${change.state ? "on" : "off"}.`,
+                            {host: device.host, state: change.state ? "on" : "off"});
+            }
+        });
+        await device.start();
+        devices[device.host] = device;
+        logger.info(`Fake device listening on ${device.host}:${device.port}.`,
+                    {host: device.host});
+    }
+
+    readline.createInterface({input: process.stdin}).on("line", (line) => {
+        if (line.trim())
+        {
+            runCommand(devices, line).catch((error) => { logger.error(error.message); });
+        }
+    });
+}
+
+
+module.exports = {
+    FakeKasaDevice,
+    encrypt,
+    decrypt,
+    KASA_PORT
+};
+
+if (require.main === module)
+{
+    main(process.argv).catch((error) => {
+        logger.error(error.message, getErrorFields(error));
+        process.exit(1);
+    });
+}
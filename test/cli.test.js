@@ -0,0 +1,584 @@
+"use strict"
+
+/**
+ * Tests of the exit codes of the command line interface, running `cli.js` with
+ * configuration files written to a temporary directory.
+ */
+
+const assert                   = require("assert").strict;
+const {execFile, spawn}        = require("child_process");
+const fs                       = require("fs");
+const http                     = require("http");
+const net                      = require("net");
+const os                       = require("os");
+const path                     = require("path");
+const {describe, test, before,
+       after, beforeEach,
+       afterEach}              = require("node:test");
+
+const {FakeKasaDevice} = require("../simulator.js");
+
+const {sleep, waitFor, getFreePort} = require("./helpers.js");
+
+
+const CLI_PATH = path.join(__dirname, "..", "cli.js");
+
+/**
+ * Where Home Assistant would be, nothing listens on the port. The fake Kasa
+ * devices are on 127.0.0.201 and up.
+ * @type {string}
+ */
+const HOME_ASSISTANT_URL = "http://127.0.0.1:1";
+
+/**
+ * A configuration that is valid, which each test breaks in its own way.
+ * @type {Object}
+ */
+const VALID_CONFIGURATION = {
+    home_assistant_url: HOME_ASSISTANT_URL,
+    poll_interval_ms:   1000,
+    kasa_timeout_ms:    500,
+    binary_sensors:     {hall: {default_state: "off", hosts: ["127.0.0.201"]}}
+};
+
+
+/**
+ * Run `cli.js`.
+ *
+ * @param {string[]}  a_args  The command line arguments.
+ * @param {?function} [a_on_spawn=null]
+ *     Called with the child process once it has been started.
+ *
+ * @returns {Object}
+ *     The `exit_code`, or the `signal` that ended it, and the `stdout` and
+ *     `stderr` of the run.
+ */
+function runCli(a_args, a_on_spawn=null)
+{
+    return new Promise((resolve) => {
+        const child = execFile(process.execPath, [CLI_PATH, ...a_args], {timeout: 30e3},
+                               (error, stdout, stderr) => {
+                                   resolve({exit_code: error ? error.code : 0,
+                                            signal:    error ? error.signal : null,
+                                            stdout:    stdout,
+                                            stderr:    stderr});
+                               });
+        if (a_on_spawn !== null)
+        {
+            a_on_spawn(child);
+        }
+    });
+}
+
+/**
+ * Start watching with `cli.js --dry-run`, collecting what it logs.
+ *
+ * @param {string} a_configuration_path  The path of the configuration file.
+ *
+ * @returns {Object}
+ *     The `child` process, the `lines` it has logged so far, and an `exited`
+ *     promise.
+ */
+function startWatching(a_configuration_path)
+{
+    const child = spawn(process.execPath,
+                        [CLI_PATH, "--dry-run", "--configuration", a_configuration_path],
+                        {stdio: ["ignore", "ignore", "pipe"]});
+    let lines = [];
+    let rest  = "";
+    child.stderr.on("data", (data) => {
+        const split = (rest + data).split("\n");
+        rest        = split.pop();
+        lines.push(...split);
+    });
+    const exited = new Promise((resolve) => { child.on("exit", resolve); });
+    return {child: child, lines: lines, exited: exited};
+}
+
+/**
+ * Get the status from the {@link StatusServer} of a running kasa-watch.
+ *
+ * @param {number} a_port  The port it listens on.
+ *
+ * @returns {Object}  The parsed status.
+ */
+function getStatus(a_port)
+{
+    return new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${a_port}/status`, (response) => {
+            let body = "";
+            response.on("data", (data) => { body += data; });
+            response.on("end", () => { resolve(JSON.parse(body)); });
+        }).on("error", reject);
+    });
+}
+
+
+describe("cli.js", () => {
+    let directory  = null;
+    let token_file = null;
+    let device     = null;
+    let server     = null;
+
+    /**
+     * Write a file to the temporary directory.
+     *
+     * @param {string}        a_name      The file's name.
+     * @param {string|Object} a_contents  The contents, objects are written as
+     *                                    JSON.
+     *
+     * @returns {string}  The path of the file.
+     */
+    const writeFile = (a_name, a_contents) => {
+        const file_path = path.join(directory, a_name);
+        fs.writeFileSync(file_path, (typeof a_contents == "string"
+                                     ? a_contents : JSON.stringify(a_contents)));
+        return file_path;
+    };
+
+    /**
+     * Write a configuration, the valid one changed by `a_changes`, where keys
+     * with `undefined` values are removed.
+     *
+     * @param {Object} a_changes  The keys to change.
+     *
+     * @returns {string}  The path of the configuration file.
+     */
+    const writeConfiguration = (a_changes) => {
+        return writeFile("configuration.json", {...VALID_CONFIGURATION, ...a_changes});
+    };
+
+    before(async () => {
+        directory  = fs.mkdtempSync(path.join(os.tmpdir(), "kasa-watch-test-"));
+        token_file = writeFile("token", "secret\n");
+
+        device = new FakeKasaDevice({host:     "127.0.0.201",
+                                     children: [{alias: "left"}, {alias: "right"}]});
+        await device.start();
+
+        server = net.createServer();
+        await new Promise((resolve) => { server.listen(0, "127.0.0.1", resolve); });
+    });
+
+    after(async () => {
+        await device.stop();
+        await new Promise((resolve) => { server.close(resolve); });
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    test("check-config accepts a valid configuration", async () => {
+        const result = await runCli(["check-config",
+                                     "--configuration", writeConfiguration({}),
+                                     "--ha-token-file", token_file]);
+        assert.equal(result.exit_code, 0, result.stderr);
+        assert.match(result.stdout, /is valid/);
+    });
+
+    test("check-config accepts a group sending to the default sink", async () => {
+        const result = await runCli(
+            ["check-config",
+             "--configuration", writeConfiguration(
+                 {binary_sensors: {hall: {default_state: "off",
+                                          hosts:         ["127.0.0.201"],
+                                          sinks:         ["default", "notify"]}},
+                  sinks:          {notify: {type: "command", command: "true"}}}),
+             "--ha-token-file", token_file]);
+        assert.equal(result.exit_code, 0, result.stderr);
+    });
+
+    test("logs JSON lines with the group and host", async () => {
+        const configuration_path = writeConfiguration(
+            {binary_sensors: {hall: {default_state: "off",
+                                     hosts:         ["127.0.0.201#left", "127.0.0.202"]}}});
+        const result = await runCli(["set", "hall", "on",
+                                     "--log-format", "json",
+                                     "--configuration", configuration_path]);
+        assert.equal(result.exit_code, 27, result.stderr);
+
+        const lines = result.stderr.trim().split("\n").map(
+            (line) => { return JSON.parse(line); });
+        const {time, ...lost} = lines.find((line) => { return line.host == "127.0.0.202"; });
+        assert.ok(!isNaN(Date.parse(time)), time);
+        assert.deepEqual(lost,
+                         {level:   "warn",
+                          message: "Could not connect to the Kasa device '127.0.0.202', " +
+                                   "will keep trying.",
+                          group:   "hall",
+                          host:    "127.0.0.202"});
+    });
+
+    describe("check-config exits with", () => {
+        const cases = [
+            {exit_code:     1,
+             name:          "no --ha-token-file for home_assistant_url",
+             configuration: {},
+             token_file:    null},
+            {exit_code:     2,
+             name:          "a token file that can't be read",
+             configuration: {},
+             token_file:    "missing-token"},
+            {exit_code:     2,
+             name:          "a token file that can't be read before checking the configuration",
+             configuration: {poll_interval_ms: undefined},
+             token_file:    "missing-token"},
+            {exit_code:     3,
+             name:          "a configuration file that can't be read",
+             configuration: null},
+            {exit_code:     4,
+             name:          "a configuration file that can't be parsed",
+             configuration: "{\"poll_interval_ms\": "},
+            {exit_code:     5,
+             name:          "a configuration that isn't an object",
+             configuration: "[]"},
+            {exit_code:     6,
+             name:          "a missing home_assistant_url",
+             configuration: {home_assistant_url: undefined}},
+            {exit_code:     7,
+             name:          "a home_assistant_url that isn't a string",
+             configuration: {home_assistant_url: 8123}},
+            {exit_code:     8,
+             name:          "a missing poll_interval_ms",
+             configuration: {poll_interval_ms: undefined}},
+            {exit_code:     9,
+             name:          "a null poll_interval_ms",
+             configuration: {poll_interval_ms: null}},
+            {exit_code:    10,
+             name:          "a poll_interval_ms that isn't a number",
+             configuration: {poll_interval_ms: "1000"}},
+            {exit_code:    11,
+             name:          "a poll_interval_ms that isn't positive",
+             configuration: {poll_interval_ms: -1000}},
+            {exit_code:    12,
+             name:          "missing binary_sensors",
+             configuration: {binary_sensors: undefined}},
+            {exit_code:    13,
+             name:          "empty binary_sensors",
+             configuration: {binary_sensors: {}}},
+            {exit_code:    14,
+             name:          "a switch group without hosts",
+             configuration: {binary_sensors: {hall: {default_state: "off", hosts: []}}}},
+            {exit_code:    14,
+             name:          "a malformed MAC address",
+             configuration: {binary_sensors: {hall: {default_state: "off",
+                                                     hosts:         [{mac: "00:11"}]}}}},
+            {exit_code:    14,
+             name:          "a group sending to a sink that doesn't exist",
+             configuration: {binary_sensors: {hall: {default_state: "off",
+                                                     hosts:         ["127.0.0.201"],
+                                                     sinks:         ["nowhere"]}}}},
+            {exit_code:    15,
+             name:          "a kasa_timeout_ms that isn't a number",
+             configuration: {kasa_timeout_ms: "500"}},
+            {exit_code:    16,
+             name:          "a kasa_timeout_ms that isn't positive",
+             configuration: {kasa_timeout_ms: 0}},
+            {exit_code:    18,
+             name:          "a power sensor without a host",
+             configuration: {power_sensors: {heater: {}}}},
+            {exit_code:    19,
+             name:          "an mqtt section without a url",
+             configuration: {mqtt: {}}},
+            {exit_code:    20,
+             name:          "an MQTT password file that can't be read",
+             configuration: {mqtt:               {url:           "mqtt://127.0.0.1:1",
+                                                  password_file: "missing-password"},
+                             home_assistant_url: undefined}},
+            {exit_code:    21,
+             name:          "a discovery_timeout_ms that isn't positive",
+             configuration: {discovery_timeout_ms: -1}},
+            {exit_code:    23,
+             name:          "a reconcile_interval_ms that isn't positive",
+             configuration: {reconcile_interval_ms: 0}},
+            {exit_code:    24,
+             name:          "an http_server without a port",
+             configuration: {http_server: {}}},
+            {exit_code:    25,
+             name:          "a home_assistant_websocket used with mqtt",
+             configuration: {mqtt:                     {url: "mqtt://127.0.0.1:1"},
+                             home_assistant_websocket: {}}},
+            {exit_code:    29,
+             name:          "a sink of an unknown type",
+             configuration: {sinks: {staging: {type: "ftp"}}}},
+            {exit_code:    29,
+             name:          "a sink named \"default\"",
+             configuration: {sinks: {default: {type: "command", command: "true"}}}}
+        ];
+
+        for (const test_case of cases)
+        {
+            test(`${test_case.exit_code} for ${test_case.name}`, async () => {
+                let configuration_path = path.join(directory, "missing-configuration.json");
+                if (typeof test_case.configuration == "string")
+                {
+                    configuration_path = writeFile("configuration.json", test_case.configuration);
+                }
+                else if (test_case.configuration !== null)
+                {
+                    let configuration = test_case.configuration;
+                    if (configuration.mqtt && configuration.mqtt.password_file)
+                    {
+                        configuration = {...configuration,
+                                         mqtt: {...configuration.mqtt,
+                                                password_file: path.join(
+                                                    directory, configuration.mqtt.password_file)}};
+                    }
+                    configuration_path = writeConfiguration(configuration);
+                }
+
+                let args = ["check-config", "--configuration", configuration_path];
+                if (test_case.token_file !== null)
+                {
+                    args.push("--ha-token-file",
+                              (test_case.token_file !== undefined
+                               ? path.join(directory, test_case.token_file) : token_file));
+                }
+
+                const result = await runCli(args);
+                assert.equal(result.exit_code, test_case.exit_code, result.stderr);
+            });
+        }
+    });
+
+    describe("other commands exit with", () => {
+        test("1 for an unknown option", async () => {
+            const result = await runCli(["check-config",
+                                         "--configuration", writeConfiguration({}),
+                                         "--no-such-option"]);
+            assert.equal(result.exit_code, 1, result.stderr);
+        });
+
+        test("17 for a child outlet the device doesn't have", async () => {
+            const configuration_path = writeConfiguration(
+                {binary_sensors: {hall: {default_state: "off", hosts: ["127.0.0.201#middle"]}}});
+            const result = await runCli(["status", "--configuration", configuration_path]);
+            assert.equal(result.exit_code, 17, result.stderr);
+        });
+
+        test("22 if the HTTP server can't listen", async () => {
+            const configuration_path = writeConfiguration(
+                {http_server: {host: "127.0.0.1", port: server.address().port}});
+            const result = await runCli(["--dry-run", "--configuration", configuration_path]);
+            assert.equal(result.exit_code, 22, result.stderr);
+        });
+
+        test("0 when stopped by SIGTERM", async () => {
+            const result = await runCli(
+                ["--dry-run", "--configuration", writeConfiguration({})],
+                (child) => {
+                    let stopping = false;
+                    child.stderr.on("data", (data) => {
+                        // The signals are handled once the watcher has started,
+                        // right after the group's state is first set.
+                        if (!stopping && data.includes("Would set 'binary_sensor.hall'"))
+                        {
+                            stopping = true;
+                            setTimeout(() => { child.kill("SIGTERM"); }, 500);
+                        }
+                    });
+                });
+            assert.equal(result.signal, null, result.stderr);
+            assert.equal(result.exit_code, 0, result.stderr);
+            assert.match(result.stderr, /Received SIGTERM, stopping/);
+        });
+
+        test("26 for a group that doesn't exist", async () => {
+            const result = await runCli(["set", "porch", "on",
+                                         "--configuration", writeConfiguration({})]);
+            assert.equal(result.exit_code, 26, result.stderr);
+        });
+
+        test("27 if a switch couldn't be set", async () => {
+            const configuration_path = writeConfiguration(
+                {binary_sensors: {hall: {default_state: "off",
+                                         hosts:         ["127.0.0.201#left", "127.0.0.202"]}}});
+            const result = await runCli(["set", "hall", "on",
+                                         "--configuration", configuration_path]);
+            assert.equal(result.exit_code, 27, result.stderr);
+            assert.equal(device.getRelayState("left"), true);
+        });
+
+        test("28 for history without an event log", async () => {
+            const result = await runCli(["history", "--configuration", writeConfiguration({})]);
+            assert.equal(result.exit_code, 28, result.stderr);
+        });
+    });
+
+    describe("history", () => {
+        /**
+         * Write an event log with a group that was turned on at 10:01, and
+         * the configuration that reads it.
+         *
+         * @returns {string}  The path of the configuration file.
+         */
+        const writeEventLog = () => {
+            const records = [
+                {time: "2024-01-01T10:00:00.000Z", type: "group", group: "hall",
+                 state: "off", previous_state: "unavailable"},
+                {time: "2024-01-01T10:01:00.000Z", type: "switch", group: "hall",
+                 switch: "Hall", host: "127.0.0.201", state: "on"},
+                {time: "2024-01-01T10:01:00.000Z", type: "group", group: "hall",
+                 state: "on", previous_state: "off", triggered_by_host: "127.0.0.201"},
+                {time: "2024-01-01T10:01:05.000Z", type: "output", sink: "node_red",
+                 entity_id: "binary_sensor.hall", state: "on", succeeded: false,
+                 error: "socket hang up"},
+                {time: "2024-01-01T10:02:00.000Z", type: "connectivity",
+                 host: "127.0.0.202", connected: false}
+            ];
+            const event_log = writeFile("events.jsonl", records.map(
+                (record) => { return JSON.stringify(record) + "\n"; }).join(""));
+            return writeConfiguration({event_log: event_log});
+        };
+
+        test("prints the events", async () => {
+            const result = await runCli(["history", "--configuration", writeEventLog(),
+                                         "--since", "2024-01-01T10:01:00Z"]);
+            assert.equal(result.exit_code, 0, result.stderr);
+            assert.deepEqual(
+                result.stdout.split("\n"),
+                ["Time                      Type          Group  Host         Event",
+                 "2024-01-01T10:01:00.000Z  switch        hall   127.0.0.201  'Hall' on",
+                 "2024-01-01T10:01:00.000Z  group         hall                on (was off) " +
+                 "by 127.0.0.201",
+                 "2024-01-01T10:01:05.000Z  output                            could not send " +
+                 "'binary_sensor.hall' using 'node_red': socket hang up",
+                 "2024-01-01T10:02:00.000Z  connectivity         127.0.0.202  disconnected",
+                 ""]);
+        });
+
+        test("prints only the events that match", async () => {
+            const result = await runCli(["history", "--configuration", writeEventLog(),
+                                         "--group", "hall", "--type", "switch", "output"]);
+            assert.equal(result.exit_code, 0, result.stderr);
+            assert.deepEqual(result.stdout.split("\n").slice(1),
+                             ["2024-01-01T10:01:00.000Z  switch  hall   127.0.0.201  'Hall' on",
+                              "2024-01-01T10:01:05.000Z  output                      could not " +
+                              "send 'binary_sensor.hall' using 'node_red': socket hang up",
+                              ""]);
+        });
+
+        test("prints how long each group was on", async () => {
+            const result = await runCli(["history", "--configuration", writeEventLog(),
+                                         "--until", "2024-01-01T10:05:30Z", "--summary"]);
+            assert.equal(result.exit_code, 0, result.stderr);
+            assert.deepEqual(result.stdout.split("\n"),
+                             ["Group  On          Recorded    On %  Turned on",
+                              "hall   0h 04m 30s  0h 05m 30s  81.8  1",
+                              ""]);
+        });
+    });
+
+    describe("reloading the configuration", () => {
+        let first    = null;
+        let second   = null;
+        let watching = null;
+
+        const hasLogged = (a_pattern) => {
+            return watching.lines.some((line) => { return a_pattern.test(line); });
+        };
+
+        before(async () => {
+            first  = new FakeKasaDevice({host: "127.0.0.211"});
+            second = new FakeKasaDevice({host: "127.0.0.212"});
+            await Promise.all([first.start(), second.start()]);
+        });
+
+        after(async () => {
+            await Promise.all([first.stop(), second.stop()]);
+        });
+
+        beforeEach(() => {
+            first.setRelayState(false);
+            second.setRelayState(false);
+        });
+
+        afterEach(async () => {
+            watching.child.kill("SIGTERM");
+            await watching.exited;
+        });
+
+        /**
+         * Write the configuration, the valid one changed by `a_changes`, and
+         * reload it.
+         *
+         * @param {Object} a_changes  The keys to change.
+         */
+        const reload = async (a_changes) => {
+            writeConfiguration(a_changes);
+            watching.lines.length = 0;
+            watching.child.kill("SIGHUP");
+            await waitFor(() => { return hasLogged(/Reloaded the configuration/); });
+        };
+
+        test("keeps the state of a group that changed", async () => {
+            const group = {default_state: "off",
+                           mode:          "majority",
+                           hosts:         ["127.0.0.211", "127.0.0.212"]};
+            first.setRelayState(true);
+            second.setRelayState(true);
+            watching = startWatching(writeConfiguration({poll_interval_ms: 100,
+                                                         binary_sensors:   {hall: group}}));
+            await waitFor(() => { return hasLogged(/Would set 'binary_sensor.hall' to "on"/); });
+            // The signals are handled once the watcher has started.
+            await sleep(500);
+
+            // A tie keeps the group on, but the default state would break it.
+            second.setRelayState(false);
+            await sleep(300);
+            await reload({poll_interval_ms: 100,
+                          binary_sensors:   {hall: {...group, hold_off_ms: 50}}});
+            await sleep(300);
+            assert.ok(hasLogged(/Would set 'binary_sensor.hall' to "on"/));
+            assert.ok(!hasLogged(/Would set 'binary_sensor.hall' to "off"/));
+        });
+
+        test("keeps a gesture being made on a group that didn't change", async () => {
+            const hall = {default_state: "off",
+                          hosts:         ["127.0.0.211"],
+                          gestures:      {double_toggle: {toggles: 2, within_ms: 3000}}};
+            watching = startWatching(writeConfiguration({poll_interval_ms: 100,
+                                                         binary_sensors:   {hall: hall}}));
+            await waitFor(() => { return hasLogged(/Would set 'binary_sensor.hall' to "off"/); });
+            await sleep(500);
+
+            first.setRelayState(true);
+            await waitFor(() => { return hasLogged(/Would set 'binary_sensor.hall' to "on"/); });
+            first.setRelayState(false);
+            await waitFor(() => {
+                return watching.lines.filter((line) => {
+                    return /Would set 'binary_sensor.hall' to "off"/.test(line);
+                }).length == 2;
+            });
+            await reload({poll_interval_ms: 100,
+                          binary_sensors:   {hall:  hall,
+                                             porch: {default_state: "off",
+                                                     hosts:         ["127.0.0.212"]}}});
+            await waitFor(() => { return hasLogged(/Would fire the 'kasa_watch_gesture' event/); });
+        });
+
+        test("starts an added group from its saved state", async () => {
+            // A tie that the default state would break.
+            first.setRelayState(true);
+            const port  = await getFreePort();
+            const state = writeFile("state.json",
+                                    {binary_sensors: {porch: {state:    "on",
+                                                              switches: {"127.0.0.211": "on",
+                                                                         "127.0.0.212": "off"}}}});
+            const configuration = {poll_interval_ms: 100,
+                                   http_server:      {host: "127.0.0.1", port: port},
+                                   state_file:       state};
+            watching = startWatching(writeConfiguration(configuration));
+            await waitFor(() => { return hasLogged(/Would set 'binary_sensor.hall'/); });
+            await sleep(500);
+
+            await reload({...configuration,
+                          binary_sensors: {...VALID_CONFIGURATION.binary_sensors,
+                                           porch: {default_state: "off",
+                                                   mode:          "majority",
+                                                   hosts:         ["127.0.0.211",
+                                                                   "127.0.0.212"]}}});
+            const status = await getStatus(port);
+            assert.equal(status.binary_sensors.porch.state, "on");
+            assert.ok(!hasLogged(/Would set 'binary_sensor.porch'/));
+        });
+    });
+});
@@ -0,0 +1,236 @@
+"use strict"
+
+/**
+ * Tests of the event log, and of it following a KasaWatcher.
+ */
+
+const assert            = require("assert").strict;
+const fs                = require("fs").promises;
+const os                = require("os");
+const path              = require("path");
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+
+const {EventLog,
+       KasaWatcher,
+       RecordingOutput} = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {sleep, captureLog} = require("./helpers.js");
+
+
+/**
+ * Records of two groups and a host, a minute apart from 10:00 to 10:05.
+ * @type {Object[]}
+ */
+const RECORDS = [
+    {time: "2024-01-01T10:00:00.000Z", type: "group", group: "hall",
+     state: "off", previous_state: "unavailable"},
+    {time: "2024-01-01T10:00:00.000Z", type: "group", group: "porch",
+     state: "on", previous_state: "unavailable"},
+    {time: "2024-01-01T10:01:00.000Z", type: "switch", group: "hall",
+     switch: "Hall", host: "10.0.0.1", state: "on"},
+    {time: "2024-01-01T10:01:00.000Z", type: "group", group: "hall",
+     state: "on", previous_state: "off", triggered_by_host: "10.0.0.1"},
+    {time: "2024-01-01T10:01:00.000Z", type: "output", sink: null,
+     entity_id: "binary_sensor.hall", state: "on", succeeded: true},
+    {time: "2024-01-01T10:02:00.000Z", type: "connectivity", host: "10.0.0.2",
+     connected: false},
+    {time: "2024-01-01T10:03:00.000Z", type: "group", group: "hall",
+     state: "off", previous_state: "on"},
+    {time: "2024-01-01T10:04:00.000Z", type: "group", group: "hall",
+     state: "on", previous_state: "off"}
+];
+
+const AT = (a_time) => { return Date.parse(`2024-01-01T${a_time}:00.000Z`); };
+
+
+/**
+ * Read an event log until its records meet a condition, since they are
+ * written in the background.
+ *
+ * @param {EventLog}                   a_event_log  The event log to read.
+ * @param {function(Object[]): bool}   a_condition  Whether the records are complete.
+ *
+ * @returns {Object[]}  The records.
+ *
+ * @throws {Error} If the condition is not met within 5 seconds.
+ */
+async function readUntil(a_event_log, a_condition)
+{
+    const give_up_at = Date.now() + 5e3;
+    let records = await a_event_log.read();
+    while (!a_condition(records))
+    {
+        if (Date.now() > give_up_at)
+        {
+            throw new Error(`Gave up waiting for the records, got ${JSON.stringify(records)}`);
+        }
+        await sleep(20);
+        records = await a_event_log.read();
+    }
+    return records;
+}
+
+
+describe("EventLog", () => {
+    let directory = null;
+    let file_path = null;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "kasa-watch-"));
+        file_path = path.join(directory, "events.jsonl");
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, {recursive: true, force: true});
+    });
+
+    const writeRecords = async (a_records) => {
+        await fs.writeFile(file_path, a_records.map(
+            (record) => { return JSON.stringify(record) + "\n"; }).join(""));
+    };
+
+    test("appends records that can be read back", async () => {
+        const event_log = new EventLog(file_path);
+        event_log.append("connectivity", {host: "10.0.0.1", connected: false});
+        event_log.append("connectivity", {host: "10.0.0.1", connected: true});
+
+        const records = await readUntil(event_log, (read) => { return read.length == 2; });
+        assert.deepEqual(records.map((record) => { return [record.type, record.connected]; }),
+                         [["connectivity", false], ["connectivity", true]]);
+        assert.ok(!isNaN(Date.parse(records[0].time)));
+    });
+
+    test("reads nothing from a missing file and skips broken lines", async () => {
+        const event_log = new EventLog(file_path);
+        assert.deepEqual(await event_log.read(), []);
+
+        await fs.writeFile(file_path, JSON.stringify(RECORDS[0]) + "\nnot json\n42\n" +
+                                      JSON.stringify(RECORDS[1]).slice(0, 20));
+        assert.deepEqual(await event_log.read(), [RECORDS[0]]);
+    });
+
+    describe("read()", () => {
+        const cases = [
+            {name:     "everything without a filter",
+             filter:   {},
+             expected: [0, 1, 2, 3, 4, 5, 6, 7]},
+            {name:     "the records since a time",
+             filter:   {since: AT("10:03")},
+             expected: [6, 7]},
+            {name:     "the records until a time",
+             filter:   {until: AT("10:01")},
+             expected: [0, 1, 2, 3, 4]},
+            {name:     "the records of a group, with its binary sensor's outputs",
+             filter:   {group: "hall", since: AT("10:01"), until: AT("10:02")},
+             expected: [2, 3, 4]},
+            {name:     "the records of a host",
+             filter:   {host: "10.0.0.2"},
+             expected: [5]},
+            {name:     "the records of some types",
+             filter:   {types: ["switch", "connectivity"]},
+             expected: [2, 5]},
+            {name:     "the records matching every filter",
+             filter:   {group: "porch", types: ["switch"]},
+             expected: []}
+        ];
+
+        for (const test_case of cases)
+        {
+            test(`reads ${test_case.name}`, async () => {
+                await writeRecords(RECORDS);
+                const event_log = new EventLog(file_path);
+                assert.deepEqual(await event_log.read(test_case.filter),
+                                 test_case.expected.map((i) => { return RECORDS[i]; }));
+            });
+        }
+    });
+
+    describe("getOnTimes()", () => {
+        test("adds up how long each group was on", async () => {
+            await writeRecords(RECORDS);
+            const event_log = new EventLog(file_path);
+
+            const on_times = await event_log.getOnTimes({until: AT("10:05")});
+            assert.deepEqual(on_times,
+                             {hall:  {on_ms: 3 * 60e3, recorded_ms: 5 * 60e3, turned_on: 2},
+                              porch: {on_ms: 5 * 60e3, recorded_ms: 5 * 60e3, turned_on: 1}});
+        });
+
+        test("counts a group that is still on until the end of the range", async () => {
+            await writeRecords(RECORDS);
+            const event_log = new EventLog(file_path);
+
+            const on_times = await event_log.getOnTimes({group: "hall",
+                                                         since: AT("10:02"),
+                                                         until: AT("10:10")});
+            assert.deepEqual(on_times,
+                             {hall: {on_ms: 7 * 60e3, recorded_ms: 8 * 60e3, turned_on: 1}});
+        });
+
+        test("counts a group that is still on until now", async () => {
+            const on_at = Date.now() - 60e3;
+            await writeRecords([{time:           new Date(on_at).toISOString(),
+                                 type:           "group",
+                                 group:          "hall",
+                                 state:          "on",
+                                 previous_state: "unavailable"}]);
+            const event_log = new EventLog(file_path);
+
+            const before   = Date.now();
+            const on_times = await event_log.getOnTimes();
+            assert.ok(on_times.hall.on_ms >= before - on_at, on_times.hall.on_ms);
+            assert.ok(on_times.hall.on_ms <= Date.now() - on_at, on_times.hall.on_ms);
+            assert.equal(on_times.hall.recorded_ms, on_times.hall.on_ms);
+        });
+    });
+
+    describe("follow()", () => {
+        let device  = null;
+        let watcher = null;
+
+        beforeEach(async () => {
+            device = new FakeKasaDevice({host:   "127.0.0.231",
+                                         energy: {power: 10, voltage: 120}});
+            await device.start();
+            watcher = new KasaWatcher(new RecordingOutput(), 500, true);
+        });
+
+        afterEach(async () => {
+            await watcher.stop();
+            await device.stop();
+        });
+
+        test("records the changes a watcher sees but not power readings", async (t) => {
+            captureLog(t);
+            const event_log = new EventLog(file_path);
+            event_log.follow(watcher);
+            let power_sent = 0;
+            watcher.on("stateSent", (event) => {
+                power_sent += event.power_sensor == "heater" ? 1 : 0;
+            });
+
+            await watcher.addSwitchGroup("hall", ["127.0.0.231"], "off");
+            await watcher.addPowerSensor("heater", "127.0.0.231");
+            device.setRelayState(true);
+            device.setEnergyReadings({power: 20});
+            await watcher.checkAllAndUpdate();
+
+            const records = await readUntil(event_log, (read) => {
+                return read.some((record) => {
+                    return record.type == "group" && record.state == "on";
+                });
+            });
+            assert.ok(power_sent >= 3);
+            assert.ok(records.some((record) => {
+                return record.type == "switch" && record.host == "127.0.0.231";
+            }));
+            assert.deepEqual(
+                records.filter((record) => { return record.type == "output"; }).map(
+                    (record) => { return [record.entity_id, record.state]; }),
+                [["binary_sensor.hall", "off"], ["binary_sensor.hall", "on"]]);
+        });
+    });
+});
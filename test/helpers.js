@@ -0,0 +1,76 @@
+"use strict"
+
+/**
+ * Things shared by the tests.
+ */
+
+const net = require("net");
+
+
+/**
+ * Wait for a while.
+ *
+ * @param {number} a_ms  How long to wait, in miliseconds.
+ */
+function sleep(a_ms)
+{
+    return new Promise((resolve) => { setTimeout(resolve, a_ms); });
+}
+
+/**
+ * Wait until a condition is met, checking it every 20ms.
+ *
+ * @param {function(): bool} a_condition      Whether the wait is over.
+ * @param {number}           [a_timeout_ms=5000]  How long to wait at most.
+ *
+ * @throws {Error} If the condition is not met in time.
+ */
+async function waitFor(a_condition, a_timeout_ms=5e3)
+{
+    const give_up_at = Date.now() + a_timeout_ms;
+    while (!a_condition())
+    {
+        if (Date.now() > give_up_at)
+        {
+            throw new Error(`Gave up waiting after ${a_timeout_ms}ms for ${a_condition}`);
+        }
+        await sleep(20);
+    }
+}
+
+/**
+ * Collect what is logged instead of writing it to the standard error output,
+ * for the rest of a test.
+ *
+ * @param {TestContext} a_test  The test that is running.
+ *
+ * @returns {string[]}  The messages logged so far, which keeps growing.
+ */
+function captureLog(a_test)
+{
+    let lines = [];
+    a_test.mock.method(console, "error", (a_line) => { lines.push(a_line); });
+    return lines;
+}
+
+/**
+ * Find a port that nothing listens on.
+ *
+ * @returns {number}  The port.
+ */
+async function getFreePort()
+{
+    const server = net.createServer();
+    await new Promise((resolve) => { server.listen(0, "127.0.0.1", resolve); });
+    const port = server.address().port;
+    await new Promise((resolve) => { server.close(resolve); });
+    return port;
+}
+
+
+module.exports = {
+    sleep,
+    waitFor,
+    captureLog,
+    getFreePort
+};
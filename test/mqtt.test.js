@@ -0,0 +1,261 @@
+"use strict"
+
+/**
+ * Tests of the MQTT output against a local broker.
+ */
+
+const assert            = require("assert").strict;
+const net               = require("net");
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+const Aedes             = require("aedes");
+
+const {KasaWatcher,
+       MqttOutput}      = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {waitFor, captureLog, getFreePort} = require("./helpers.js");
+
+
+/**
+ * An MQTT broker that remembers the last message published to each topic.
+ */
+class Broker
+{
+    /**
+     * Create a Broker.
+     *
+     * @param {?function} [a_authenticate=null]
+     *     Decides whether a client may connect, as for Aedes.
+     */
+    constructor(a_authenticate=null)
+    {
+        this.messages = {};
+        this.counts   = {};
+        this._aedes   = Aedes(a_authenticate ? {authenticate: a_authenticate} : {});
+        this._server  = net.createServer(this._aedes.handle);
+
+        this._aedes.on("publish", (packet) => {
+            if (packet.topic.startsWith("$SYS/"))
+            {
+                return;
+            }
+            this.messages[packet.topic] = {payload: packet.payload.toString(),
+                                           retain:  packet.retain};
+            this.counts[packet.topic]   = (this.counts[packet.topic] || 0) + 1;
+        });
+    }
+
+    /**
+     * Start listening.
+     *
+     * @param {number} [a_port=0]  The port to listen on, any free one if 0.
+     *
+     * @returns {string}  The URL of the broker.
+     */
+    async start(a_port=0)
+    {
+        await new Promise((resolve) => { this._server.listen(a_port, "127.0.0.1", resolve); });
+        return `mqtt://127.0.0.1:${this._server.address().port}`;
+    }
+
+    async stop()
+    {
+        await new Promise((resolve) => { this._aedes.close(resolve); });
+        await new Promise((resolve) => { this._server.close(resolve); });
+    }
+
+    /**
+     * Wait until a message has been seen on each topic, which can be after
+     * the publisher was told it was received.
+     *
+     * @param {...string} a_topics  The topics.
+     */
+    async published(...a_topics)
+    {
+        await waitFor(() => {
+            return a_topics.every((topic) => { return this.messages[topic] !== undefined; });
+        });
+    }
+
+    /**
+     * Get the payload of the last message published to a topic.
+     *
+     * @param {string} a_topic  The topic.
+     *
+     * @returns {string|undefined}  The payload.
+     */
+    payload(a_topic)
+    {
+        const message = this.messages[a_topic];
+        return message !== undefined ? message.payload : undefined;
+    }
+};
+
+
+describe("MqttOutput", () => {
+    let broker = null;
+    let output = null;
+
+    beforeEach(() => {
+        broker = null;
+        output = null;
+    });
+
+    afterEach(async () => {
+        if (output !== null)
+        {
+            output._client.end(true);
+        }
+        if (broker !== null)
+        {
+            await broker.stop();
+        }
+    });
+
+    test("marks kasa-watch as available", async (t) => {
+        captureLog(t);
+        broker = new Broker();
+        output = new MqttOutput(await broker.start(), {base_topic: "kw"});
+        await output.connect();
+
+        assert.equal(output.availabilityTopic, "kw/status");
+        await waitFor(() => { return broker.payload("kw/status") == "online"; });
+        assert.equal(broker.messages["kw/status"].retain, true);
+    });
+
+    test("publishes the discovery config, state and attributes", async (t) => {
+        captureLog(t);
+        broker = new Broker();
+        output = new MqttOutput(await broker.start(), {discovery_prefix: "ha"});
+        await output.connect();
+
+        await output.setState("binary_sensor.hall", "on", {friendly_name: "Hall",
+                                                          device_class:  "light",
+                                                          switches:      2});
+        await broker.published("kasa-watch/binary_sensor/hall/state",
+                               "kasa-watch/binary_sensor/hall/attributes");
+
+        const config = JSON.parse(broker.payload("ha/binary_sensor/kasa_watch/hall/config"));
+        assert.equal(config.name, "Hall");
+        assert.equal(config.device_class, "light");
+        assert.equal(config.unique_id, "kasa_watch_binary_sensor_hall");
+        assert.equal(config.state_topic, "kasa-watch/binary_sensor/hall/state");
+        assert.equal(config.json_attributes_topic, "kasa-watch/binary_sensor/hall/attributes");
+        assert.equal(config.availability_topic, "kasa-watch/status");
+        assert.equal(config.payload_on, "on");
+        assert.equal(config.payload_off, "off");
+
+        assert.equal(broker.payload("kasa-watch/binary_sensor/hall/state"), "on");
+        assert.equal(broker.messages["kasa-watch/binary_sensor/hall/state"].retain, true);
+        assert.deepEqual(JSON.parse(broker.payload("kasa-watch/binary_sensor/hall/attributes")),
+                         {switches: 2});
+    });
+
+    test("publishes the discovery config again only when it changes", async (t) => {
+        captureLog(t);
+        broker = new Broker();
+        output = new MqttOutput(await broker.start());
+        await output.connect();
+        const config_topic = "homeassistant/binary_sensor/kasa_watch/hall/config";
+
+        await output.setState("binary_sensor.hall", "on", {friendly_name: "Hall"});
+        await output.setState("binary_sensor.hall", "off", {friendly_name: "Hall"});
+        await waitFor(() => {
+            return broker.payload("kasa-watch/binary_sensor/hall/state") == "off";
+        });
+        assert.equal(broker.counts[config_topic], 1);
+
+        await output.setState("binary_sensor.hall", "off", {friendly_name: "Hallway"});
+        await waitFor(() => { return broker.counts[config_topic] == 2; });
+    });
+
+    test("publishes events without retaining them", async (t) => {
+        captureLog(t);
+        broker = new Broker();
+        output = new MqttOutput(await broker.start());
+        await output.connect();
+
+        await output.fireEvent("kasa_watch_gesture", {group: "hall", gesture: "double_toggle"});
+        await broker.published("kasa-watch/event/kasa_watch_gesture");
+
+        const message = broker.messages["kasa-watch/event/kasa_watch_gesture"];
+        assert.deepEqual(JSON.parse(message.payload), {group: "hall", gesture: "double_toggle"});
+        assert.equal(message.retain, false);
+    });
+
+    test("is marked unavailable by its Last Will, and available again", async (t) => {
+        const log = captureLog(t);
+        broker = new Broker();
+        output = new MqttOutput(await broker.start());
+        await output.connect();
+        await waitFor(() => { return broker.payload("kasa-watch/status") == "online"; });
+
+        output._client.stream.destroy();
+        await waitFor(() => { return broker.payload("kasa-watch/status") == "offline"; });
+        assert.equal(broker.messages["kasa-watch/status"].retain, true);
+
+        await waitFor(() => { return broker.payload("kasa-watch/status") == "online"; });
+        assert.ok(log.some((line) => { return line.includes("Reconnected to the MQTT broker"); }));
+    });
+
+    test("logs the first error of an outage", async (t) => {
+        const log = captureLog(t);
+        const port = await getFreePort();
+        output = new MqttOutput(`mqtt://127.0.0.1:${port}`);
+        await output.connect();
+        await assert.rejects(output.setState("binary_sensor.hall", "on", {}),
+                             /Not connected to the MQTT broker/);
+
+        // Let the client fail to reconnect once more.
+        await new Promise((resolve) => { setTimeout(resolve, 1.5e3); });
+        const outages = log.filter(
+            (line) => { return line.includes("Not connected to the MQTT broker"); });
+        assert.equal(outages.length, 1);
+        assert.match(outages[0], /ECONNREFUSED/);
+
+        broker = new Broker();
+        await broker.start(port);
+        await waitFor(() => {
+            return log.some((line) => { return line.includes("Reconnected to the MQTT broker"); });
+        });
+        await output.setState("binary_sensor.hall", "on", {});
+    });
+
+    test("logs that the broker rejected it", async (t) => {
+        const log = captureLog(t);
+        broker = new Broker((client, username, password, callback) => {
+            const error      = new Error("Not authorized");
+            error.returnCode = 5;
+            callback(error, null);
+        });
+        output = new MqttOutput(await broker.start(), {username: "kasa", password: "wrong"});
+        await output.connect();
+
+        assert.ok(log.some((line) => { return /MQTT broker.*Not authorized/.test(line); }));
+    });
+
+    test("receives the states of a KasaWatcher", async (t) => {
+        captureLog(t);
+        const device = new FakeKasaDevice({host: "127.0.0.171", relay_state: true});
+        await device.start();
+        t.after(() => { return device.stop(); });
+
+        broker = new Broker();
+        output = new MqttOutput(await broker.start());
+        await output.connect();
+        const watcher = new KasaWatcher(output, 500, true);
+        t.after(() => { return watcher.stop(); });
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.171"], "off");
+        await broker.published("kasa-watch/binary_sensor/hall/state");
+        assert.equal(broker.payload("kasa-watch/binary_sensor/hall/state"), "on");
+
+        watcher.start(100);
+        device.setRelayState(false);
+        await waitFor(() => {
+            return broker.payload("kasa-watch/binary_sensor/hall/state") == "off";
+        });
+    });
+});
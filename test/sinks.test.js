@@ -0,0 +1,337 @@
+"use strict"
+
+/**
+ * Tests of the outputs used as sinks, and of switch groups sending to them.
+ */
+
+const assert            = require("assert").strict;
+const fs                = require("fs").promises;
+const http              = require("http");
+const os                = require("os");
+const path              = require("path");
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+
+const {KasaWatcher,
+       RecordingOutput,
+       WebhookOutput,
+       CommandOutput}   = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {waitFor, captureLog} = require("./helpers.js");
+
+
+/**
+ * A webhook that records every request and answers them all with the same
+ * status, or not at all.
+ */
+class Webhook
+{
+    /**
+     * Create a Webhook.
+     *
+     * @param {?number} [a_status=200]  The status to answer with, `null` to
+     *                                  never answer.
+     */
+    constructor(a_status=200)
+    {
+        this.requests = [];
+        this._sockets = new Set();
+        this._server  = http.createServer((request, response) => {
+            let body = "";
+            request.on("data", (chunk) => { body += chunk; });
+            request.on("end", () => {
+                this.requests.push({method:  request.method,
+                                    url:     request.url,
+                                    headers: request.headers,
+                                    body:    JSON.parse(body)});
+                if (a_status !== null)
+                {
+                    response.writeHead(a_status);
+                    response.end();
+                }
+            });
+        });
+        this._server.on("connection", (socket) => {
+            this._sockets.add(socket);
+            socket.on("close", () => { this._sockets.delete(socket); });
+        });
+    }
+
+    /**
+     * Start listening on a free port.
+     *
+     * @returns {string}  The URL of the webhook.
+     */
+    async start()
+    {
+        await new Promise((resolve) => { this._server.listen(0, "127.0.0.1", resolve); });
+        return `http://127.0.0.1:${this._server.address().port}/kasa`;
+    }
+
+    async stop()
+    {
+        for (const socket of this._sockets)
+        {
+            socket.destroy();
+        }
+        await new Promise((resolve) => { this._server.close(resolve); });
+    }
+};
+
+
+describe("WebhookOutput", () => {
+    let webhook = null;
+
+    beforeEach(() => {
+        webhook = null;
+    });
+
+    afterEach(async () => {
+        if (webhook !== null)
+        {
+            await webhook.stop();
+        }
+    });
+
+    test("sends the default body", async () => {
+        webhook = new Webhook();
+        const output = new WebhookOutput(await webhook.start());
+
+        await output.setState("binary_sensor.hall", "on", {switches: 2});
+
+        assert.equal(webhook.requests.length, 1);
+        assert.equal(webhook.requests[0].method, "POST");
+        assert.equal(webhook.requests[0].url, "/kasa");
+        assert.equal(webhook.requests[0].headers["content-type"], "application/json");
+        assert.deepEqual(webhook.requests[0].body, {entity_id:  "binary_sensor.hall",
+                                                    state:      "on",
+                                                    attributes: {switches: 2}});
+    });
+
+    test("fills in the body template", async () => {
+        webhook = new Webhook(204);
+        const output = new WebhookOutput(await webhook.start(),
+                                         {method:  "PUT",
+                                          headers: {"X-Api-Key": "secret"},
+                                          body:    {topic:   "{{entity_id}}",
+                                                    payload: ["{{state}}", 1],
+                                                    text:    "{{entity_id}} is {{state}}",
+                                                    json:    "with {{attributes}}",
+                                                    other:   "{{unknown}}"}});
+
+        await output.setState("binary_sensor.hall", "off", {switches: 2});
+
+        assert.equal(webhook.requests[0].method, "PUT");
+        assert.equal(webhook.requests[0].headers["x-api-key"], "secret");
+        assert.deepEqual(webhook.requests[0].body,
+                         {topic:   "binary_sensor.hall",
+                          payload: ["off", 1],
+                          text:    "binary_sensor.hall is off",
+                          json:    `with {"switches":2}`,
+                          other:   "{{unknown}}"});
+    });
+
+    test("fills in the time", async () => {
+        webhook = new Webhook();
+        const output = new WebhookOutput(await webhook.start(), {body: {at: "{{time}}"}});
+
+        const before = Date.now();
+        await output.setState("binary_sensor.hall", "on", {});
+
+        const at = Date.parse(webhook.requests[0].body.at);
+        assert.ok(at >= before - 1e3 && at <= Date.now(), webhook.requests[0].body.at);
+    });
+
+    test("throws when the webhook doesn't accept the request", async () => {
+        webhook = new Webhook(500);
+        const output = new WebhookOutput(await webhook.start());
+
+        await assert.rejects(output.setState("binary_sensor.hall", "on", {}));
+    });
+});
+
+
+describe("CommandOutput", () => {
+    let directory = null;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "kasa-watch-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, {recursive: true, force: true});
+    });
+
+    /**
+     * Create a CommandOutput that runs Node.js, writing the arguments it is
+     * given after the script to a file as JSON.
+     *
+     * @param {string}   a_file  The file to write.
+     * @param {string[]} a_args  The templates of the arguments.
+     *
+     * @returns {CommandOutput}  The output.
+     */
+    const createRecorder = (a_file, a_args) => {
+        const script = `require("fs").writeFileSync(process.argv[1], ` +
+                       `JSON.stringify(process.argv.slice(2)))`;
+        return new CommandOutput(process.execPath, {args: ["-e", script, a_file, ...a_args]});
+    };
+
+    test("passes the arguments to the command", async () => {
+        const file   = path.join(directory, "args.json");
+        const output = createRecorder(file, ["{{entity_id}}",
+                                             "{{state}}",
+                                             "{{attributes}}",
+                                             "--state={{state}}",
+                                             "$HOME; echo *"]);
+
+        await output.setState("sensor.hall_power", 12.5, {unit_of_measurement: "W"});
+
+        assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")),
+                         ["sensor.hall_power",
+                          "12.5",
+                          `{"unit_of_measurement":"W"}`,
+                          "--state=12.5",
+                          "$HOME; echo *"]);
+    });
+
+    test("throws when the command fails", async () => {
+        const output = new CommandOutput(process.execPath, {args: ["-e", "process.exit(3)"]});
+
+        await assert.rejects(output.setState("binary_sensor.hall", "on", {}),
+                             (error) => { return error.code == 3; });
+    });
+
+    test("throws when the command takes too long", async () => {
+        const output = new CommandOutput(process.execPath,
+                                         {args:       ["-e", "setTimeout(() => {}, 10e3)"],
+                                          timeout_ms: 200});
+
+        await assert.rejects(output.setState("binary_sensor.hall", "on", {}),
+                             (error) => { return error.killed; });
+    });
+
+    test("throws when the command doesn't exist", async () => {
+        const output = new CommandOutput(path.join(directory, "missing"));
+
+        await assert.rejects(output.setState("binary_sensor.hall", "on", {}),
+                             (error) => { return error.code == "ENOENT"; });
+    });
+});
+
+
+describe("KasaWatcher sinks", () => {
+    let device  = null;
+    let watcher = null;
+    let output  = null;
+    let webhook = null;
+
+    beforeEach(async () => {
+        device  = new FakeKasaDevice({host: "127.0.0.181", relay_state: true});
+        await device.start();
+        output  = new RecordingOutput();
+        watcher = new KasaWatcher(output, 500, true);
+        webhook = null;
+    });
+
+    afterEach(async () => {
+        await watcher.stop();
+        await device.stop();
+        if (webhook !== null)
+        {
+            await webhook.stop();
+        }
+    });
+
+    test("sends only to the watcher's output by default", async (t) => {
+        captureLog(t);
+        const sink = new RecordingOutput("staging");
+        watcher.addSink("staging", sink);
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.181"], "off");
+
+        assert.equal(output.states["binary_sensor.hall"].state, "on");
+        assert.deepEqual(sink.states, {});
+    });
+
+    test("sends to each sink the group names", async (t) => {
+        captureLog(t);
+        const staging = new RecordingOutput("staging");
+        const other   = new RecordingOutput("other");
+        watcher.addSink("staging", staging);
+        watcher.addSink("other", other);
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.181"], "off",
+                                     {sinks: ["default", "staging"]});
+
+        assert.equal(output.states["binary_sensor.hall"].state, "on");
+        await waitFor(() => { return staging.states["binary_sensor.hall"] !== undefined; });
+        assert.equal(staging.states["binary_sensor.hall"].state, "on");
+        assert.deepEqual(other.states, {});
+    });
+
+    test("can skip the watcher's output", async (t) => {
+        captureLog(t);
+        const staging = new RecordingOutput("staging");
+        watcher.addSink("staging", staging);
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.181"], "off", {sinks: ["staging"]});
+        watcher.start(100);
+        await waitFor(() => { return staging.states["binary_sensor.hall"] !== undefined; });
+
+        device.setRelayState(false);
+        await waitFor(() => { return staging.states["binary_sensor.hall"].state == "off"; });
+        assert.deepEqual(output.states, {});
+    });
+
+    test("rejects an unknown or reserved sink", async () => {
+        assert.throws(() => { watcher.addSink("default", new RecordingOutput()); },
+                      RangeError);
+        await assert.rejects(watcher.addSwitchGroup("hall", ["127.0.0.181"], "off",
+                                                    {sinks: ["missing"]}),
+                             /Unknown sink 'missing'/);
+    });
+
+    test("logs a webhook that fails as a sink error", async (t) => {
+        const log = captureLog(t);
+        webhook = new Webhook(503);
+        watcher.addSink("node_red", new WebhookOutput(await webhook.start()));
+        let errors = [];
+        watcher.on("sinkError", (event) => { errors.push(event); });
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.181"], "off",
+                                     {sinks: ["default", "node_red"]});
+
+        await waitFor(() => { return errors.length > 0; });
+        assert.equal(errors[0].sink, "node_red");
+        assert.equal(errors[0].entity_id, "binary_sensor.hall");
+        assert.ok(log.some((line) => {
+            return line.includes("Could not update 'binary_sensor.hall' using the " +
+                                 "'node_red' sink, will keep trying");
+        }));
+        assert.equal(output.states["binary_sensor.hall"].state, "on");
+    });
+
+    test("keeps sending to the other sinks while one fails", async (t) => {
+        captureLog(t);
+        webhook = new Webhook(null);
+        watcher.addSink("stuck", new WebhookOutput(await webhook.start()));
+        const failing = new CommandOutput(process.execPath, {args: ["-e", "process.exit(1)"]});
+        watcher.addSink("failing", failing);
+        const staging = new RecordingOutput("staging");
+        watcher.addSink("staging", staging);
+
+        await watcher.addSwitchGroup("hall", ["127.0.0.181"], "off",
+                                     {sinks: ["stuck", "failing", "default", "staging"]});
+        watcher.start(100);
+
+        device.setRelayState(false);
+        await waitFor(() => {
+            return (output.states["binary_sensor.hall"].state == "off" &&
+                    staging.states["binary_sensor.hall"].state == "off");
+        });
+        assert.equal(webhook.requests.length, 1);
+    });
+});
@@ -0,0 +1,201 @@
+"use strict"
+
+/**
+ * Tests of the status server, reporting on a KasaWatcher polling fake Kasa
+ * devices.
+ */
+
+const assert            = require("assert").strict;
+const http              = require("http");
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+
+const {KasaWatcher,
+       RecordingOutput,
+       StatusServer}    = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {sleep, captureLog} = require("./helpers.js");
+
+
+/**
+ * Make a request to the status server.
+ *
+ * @param {number} a_port            The port it listens on.
+ * @param {string} a_path            The path to request.
+ * @param {string} [a_method="GET"]  The HTTP method.
+ *
+ * @returns {Object}  The `status_code`, `content_type` and `body` of the response.
+ */
+function request(a_port, a_path, a_method="GET")
+{
+    return new Promise((resolve, reject) => {
+        http.request({host: "127.0.0.1", port: a_port, path: a_path, method: a_method},
+                     (response) => {
+                         let body = "";
+                         response.on("data", (data) => { body += data; });
+                         response.on("end", () => {
+                             resolve({status_code:  response.statusCode,
+                                      content_type: response.headers["content-type"],
+                                      body:         body});
+                         });
+                     })
+            .on("error", reject)
+            .end();
+    });
+}
+
+
+describe("StatusServer", () => {
+    let devices = [];
+    let watcher = null;
+    let server  = null;
+
+    /**
+     * Start the status server on a free port.
+     *
+     * @param {number} [a_stale_after_ms]  When polls are stale, in milliseconds.
+     *
+     * @returns {number}  The port it listens on.
+     */
+    const startServer = async (a_stale_after_ms) => {
+        server = new StatusServer(watcher, {port:           0,
+                                            host:           "127.0.0.1",
+                                            stale_after_ms: a_stale_after_ms});
+        return await server.listen();
+    };
+
+    beforeEach(async () => {
+        devices = [new FakeKasaDevice({host: "127.0.0.191", relay_state: true}),
+                   new FakeKasaDevice({host: "127.0.0.192", relay_state: false})];
+        await Promise.all(devices.map((device) => { return device.start(); }));
+        watcher = new KasaWatcher(new RecordingOutput(), 500, true);
+        server  = null;
+    });
+
+    afterEach(async () => {
+        if (server !== null)
+        {
+            await server.close();
+        }
+        await watcher.stop();
+        await Promise.all(devices.map(
+            (device) => { return device.isRunning() ? device.stop() : null; }));
+    });
+
+    test("is unhealthy until every group has been polled", async (t) => {
+        captureLog(t);
+        await watcher.addSwitchGroup("hall", ["127.0.0.191"], "off");
+        const port = await startServer();
+
+        let response = await request(port, "/healthz");
+        assert.equal(response.status_code, 503);
+        assert.equal(response.content_type, "application/json");
+        assert.deepEqual(JSON.parse(response.body),
+                         {alive:               true,
+                          last_poll_completed: false,
+                          last_poll:           null,
+                          stale:               {binary_sensors: ["hall"], power_sensors: []}});
+
+        await watcher.checkAllAndUpdate();
+        response = await request(port, "/healthz");
+        assert.equal(response.status_code, 200);
+        const health = JSON.parse(response.body);
+        assert.equal(health.last_poll_completed, true);
+        assert.ok(health.last_poll.finished_at <= Date.now());
+        assert.equal(health.last_poll.duration_ms,
+                     health.last_poll.finished_at - health.last_poll.started_at);
+        assert.deepEqual(health.stale, {binary_sensors: [], power_sensors: []});
+    });
+
+    test("is unhealthy while one group's polls are stale", async (t) => {
+        captureLog(t);
+        await watcher.addSwitchGroup("hall", ["127.0.0.191"], "off");
+        await watcher.addSwitchGroup("porch", ["127.0.0.192"], "off",
+                                     {poll_interval_ms: 60e3});
+        const port = await startServer(300);
+
+        watcher.start(50);
+        await sleep(500);
+
+        const response = await request(port, "/healthz");
+        assert.equal(response.status_code, 503);
+        const health = JSON.parse(response.body);
+        assert.deepEqual(health.stale, {binary_sensors: ["porch"], power_sensors: []});
+        assert.ok(Date.now() - health.last_poll.finished_at >= 300);
+
+        const status = JSON.parse((await request(port, "/status")).body);
+        assert.deepEqual(health.last_poll, status.binary_sensors.porch.last_poll);
+        assert.ok(status.binary_sensors.hall.last_poll.finished_at >
+                  status.binary_sensors.porch.last_poll.finished_at);
+    });
+
+    test("serves the status", async (t) => {
+        captureLog(t);
+        await watcher.addSwitchGroup("hall", ["127.0.0.191", "127.0.0.192"], "on",
+                                     {mode: "majority"});
+        await watcher.checkAllAndUpdate();
+        const port = await startServer();
+
+        const response = await request(port, "/status?pretty");
+        assert.equal(response.status_code, 200);
+        assert.equal(response.content_type, "application/json");
+        const status = JSON.parse(response.body);
+        assert.equal(status.binary_sensors.hall.state, "on");
+        assert.equal(status.binary_sensors.hall.mode, "majority");
+        assert.deepEqual(status.binary_sensors.hall.switches,
+                         [{name: "127.0.0.191", host: "127.0.0.191", state: "on"},
+                          {name: "127.0.0.192", host: "127.0.0.192", state: "off"}]);
+        assert.notEqual(status.binary_sensors.hall.last_poll, null);
+        assert.deepEqual(status.power_sensors, {});
+        assert.deepEqual(status.hosts, {"127.0.0.191": true, "127.0.0.192": true});
+        assert.equal(status.polls_in_progress, 0);
+        assert.equal(status.last_output.entity_id, "binary_sensor.hall");
+        assert.equal(status.last_output.succeeded, true);
+    });
+
+    test("serves the metrics of each group", async (t) => {
+        captureLog(t);
+        await watcher.addSwitchGroup("hall", ["127.0.0.191"], "off");
+        await watcher.addSwitchGroup("porch", ["127.0.0.192"], "off");
+        await watcher.checkAllAndUpdate();
+        devices[0].setRelayState(false);
+        await watcher.checkAllAndUpdate();
+        await devices[1].stop();
+        await watcher.checkAllAndUpdate();
+        const port = await startServer();
+
+        const response = await request(port, "/metrics");
+        assert.equal(response.status_code, 200);
+        assert.equal(response.content_type, "text/plain; version=0.0.4");
+        const lines = response.body.split("\n");
+        for (const line of
+             ["# HELP kasa_watch_poll_duration_seconds How long polling the devices of a " +
+              "switch group or power sensor took.",
+              "# TYPE kasa_watch_poll_duration_seconds histogram",
+              `kasa_watch_poll_duration_seconds_bucket{group="hall",le="+Inf"} 3`,
+              `kasa_watch_poll_duration_seconds_count{group="hall"} 3`,
+              `kasa_watch_poll_duration_seconds_count{group="porch"} 3`,
+              `kasa_watch_poll_failures_total{host="127.0.0.192"} 1`,
+              `kasa_watch_host_connected{host="127.0.0.191"} 1`,
+              `kasa_watch_host_connected{host="127.0.0.192"} 0`,
+              `kasa_watch_state_changes_total{binary_sensor="hall"} 1`,
+              "kasa_watch_output_errors_total 0"])
+        {
+            assert.ok(lines.includes(line), `${line} in\n${response.body}`);
+        }
+        assert.ok(lines.some((line) => {
+            return /^kasa_watch_poll_duration_seconds_sum\{group="porch"\} [0-9.e-]+$/.test(line);
+        }));
+    });
+
+    test("only answers GET and HEAD requests for known paths", async (t) => {
+        captureLog(t);
+        const port = await startServer();
+
+        assert.equal((await request(port, "/missing")).status_code, 404);
+        assert.equal((await request(port, "/status", "POST")).status_code, 405);
+        assert.equal((await request(port, "/status", "HEAD")).status_code, 200);
+    });
+});
@@ -0,0 +1,569 @@
+"use strict"
+
+/**
+ * End-to-end tests of the KasaWatcher, polling fake Kasa devices and recording
+ * what would be sent to Home Assistant.
+ */
+
+const assert            = require("assert").strict;
+const fs                = require("fs");
+const os                = require("os");
+const path              = require("path");
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+
+const {KasaWatcher,
+       RecordingOutput,
+       StateFile,
+       logger}          = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {sleep, waitFor, captureLog} = require("./helpers.js");
+
+
+const POLL_INTERVAL_MS = 100;
+const KASA_TIMEOUT_MS  = 500;
+
+
+describe("KasaWatcher", () => {
+    let devices = [];
+    let watcher = null;
+    let output  = null;
+
+    /**
+     * Start fake devices on 127.0.0.101, 127.0.0.102 and so on.
+     *
+     * @param {...Object} a_options  The options of each device, see
+     *                               {@link FakeKasaDeviceOptions}.
+     *
+     * @returns {FakeKasaDevice[]}  The started devices.
+     */
+    const startDevices = async (...a_options) => {
+        const started = a_options.map(
+            (options, i) => {
+                return new FakeKasaDevice({host: `127.0.0.${101 + i}`, ...options});
+            });
+        devices.push(...started);
+        await Promise.all(started.map((device) => { return device.start(); }));
+        return started;
+    };
+
+    const groupState = (a_name) => {
+        const entity = output.states[`binary_sensor.${a_name}`];
+        return entity !== undefined ? entity.state : undefined;
+    };
+
+    beforeEach(() => {
+        output  = new RecordingOutput();
+        watcher = new KasaWatcher(output, KASA_TIMEOUT_MS, true);
+    });
+
+    afterEach(async () => {
+        await watcher.stop();
+        await Promise.all(devices.map(
+            (device) => { return device.isRunning() ? device.stop() : null; }));
+        devices = [];
+    });
+
+    describe("addSwitchGroup()", () => {
+        test("uses the state of the majority of the switches", async (t) => {
+            captureLog(t);
+            await startDevices({relay_state: true}, {relay_state: true}, {relay_state: false});
+
+            await watcher.addSwitchGroup("hall",
+                                         ["127.0.0.101", "127.0.0.102", "127.0.0.103"],
+                                         "off");
+
+            assert.equal(groupState("hall"), "on");
+        });
+
+        test("breaks a tie with the default initial state", async (t) => {
+            captureLog(t);
+            await startDevices({relay_state: true}, {relay_state: false});
+
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "off");
+            await watcher.addSwitchGroup("porch", ["127.0.0.101", "127.0.0.102"], "on");
+
+            assert.equal(groupState("hall"), "off");
+            assert.equal(groupState("porch"), "on");
+        });
+
+        test("keeps a saved state the switches agree with", async (t) => {
+            captureLog(t);
+            await startDevices({relay_state: true}, {relay_state: false});
+
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "on",
+                                         {saved_state: {state:    "off",
+                                                        switches: {"127.0.0.101": "on",
+                                                                   "127.0.0.102": "off"}}});
+
+            assert.equal(watcher.getGroupStates()["hall"].state, "off");
+            assert.equal(groupState("hall"), undefined);
+        });
+
+        test("keeps the current state of the group it replaces", async (t) => {
+            captureLog(t);
+            await startDevices({relay_state: true}, {relay_state: false}, {relay_state: false});
+
+            await watcher.addSwitchGroup("hall",
+                                         ["127.0.0.101", "127.0.0.102", "127.0.0.103"],
+                                         "off",
+                                         {current_state: {state:    "on",
+                                                          switches: {"127.0.0.101": "on",
+                                                                     "127.0.0.102": "off"}}});
+
+            assert.equal(groupState("hall"), "on");
+        });
+
+        test("is unavailable until a switch can be reached", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: true});
+            await device.stop();
+
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off");
+            assert.equal(groupState("hall"), "unavailable");
+
+            await device.start();
+            watcher.start(POLL_INTERVAL_MS);
+            await waitFor(() => { return groupState("hall") == "on"; });
+        });
+
+        test("publishes the configured attributes", async (t) => {
+            captureLog(t);
+            await startDevices({alias: "Hall light"});
+
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off",
+                                         {attributes: {friendly_name: "Hall"}});
+
+            assert.equal(output.states["binary_sensor.hall"].attributes.friendly_name, "Hall");
+        });
+    });
+
+    describe("polling", () => {
+        test("follows a switch that is toggled", async (t) => {
+            captureLog(t);
+            const [first] = await startDevices({relay_state: false}, {relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "off");
+            watcher.start(POLL_INTERVAL_MS);
+
+            first.setRelayState(true);
+            await waitFor(() => { return groupState("hall") == "on"; });
+
+            first.setRelayState(false);
+            await waitFor(() => { return groupState("hall") == "off"; });
+        });
+
+        test("turns the other switches to match when syncing", async (t) => {
+            captureLog(t);
+            const [first, second] = await startDevices({relay_state: false},
+                                                       {relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "off",
+                                         {sync_switches: true});
+            watcher.start(POLL_INTERVAL_MS);
+
+            first.setRelayState(true);
+            await waitFor(() => { return second.getRelayState(); });
+            assert.equal(groupState("hall"), "on");
+        });
+
+        test("doesn't sync a switch that is backing off", async (t) => {
+            const log = captureLog(t);
+            const [first, second] = await startDevices({relay_state: false},
+                                                       {relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "off",
+                                         {sync_switches: true});
+            await second.stop();
+            await watcher.checkAllAndUpdate();
+
+            first.setRelayState(true);
+            await watcher.checkAllAndUpdate();
+            await waitFor(() => {
+                return log.some((line) => {
+                    return line.includes("Could not set '127.0.0.102' to on, it is backing off");
+                });
+            });
+            assert.equal(groupState("hall"), "on");
+        });
+
+        test("in the \"any_on\" mode is on while any switch is on", async (t) => {
+            captureLog(t);
+            const [first, second] = await startDevices({relay_state: false},
+                                                       {relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101", "127.0.0.102"], "off",
+                                         {mode: "any_on"});
+            watcher.start(POLL_INTERVAL_MS);
+
+            first.setRelayState(true);
+            second.setRelayState(true);
+            await waitFor(() => { return groupState("hall") == "on"; });
+
+            first.setRelayState(false);
+            await watcher.checkAllAndUpdate();
+            assert.equal(groupState("hall"), "on");
+
+            second.setRelayState(false);
+            await waitFor(() => { return groupState("hall") == "off"; });
+        });
+
+        test("ignores a flip back within hold_off_ms", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off", {hold_off_ms: 500});
+
+            device.setRelayState(true);
+            await watcher.checkAllAndUpdate();
+            assert.equal(groupState("hall"), "on");
+
+            device.setRelayState(false);
+            await watcher.checkAllAndUpdate();
+            assert.equal(groupState("hall"), "on");
+
+            await sleep(500);
+            await watcher.checkAllAndUpdate();
+            assert.equal(groupState("hall"), "off");
+        });
+
+        test("freezes a group that oscillates, and then thaws it", async (t) => {
+            const log = captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off",
+                                         {oscillation: {changes:    3,
+                                                        window_ms:  5e3,
+                                                        freeze_ms:  500,
+                                                        fire_event: true}});
+            const flip = async (a_state) => {
+                device.setRelayState(a_state == "on");
+                await watcher.checkAllAndUpdate();
+                return groupState("hall");
+            };
+
+            assert.equal(await flip("on"), "on");
+            assert.equal(await flip("off"), "off");
+            assert.deepEqual(output.events, []);
+
+            // The third change is made, and freezes the group.
+            assert.equal(await flip("on"), "on");
+            assert.ok(log.some((line) => {
+                return line.includes("'hall' changed 3 times within 5000ms, ignoring its " +
+                                     "switches for 500ms.");
+            }));
+            assert.deepEqual(output.events,
+                             [{event_type: "kasa_watch_oscillation",
+                               event_data: {binary_sensor: "hall",
+                                            state:         "on",
+                                            changes:       3,
+                                            window_ms:     5e3,
+                                            freeze_ms:     500}}]);
+            assert.equal(await flip("off"), "on");
+
+            await sleep(500);
+            await watcher.checkAllAndUpdate();
+            assert.equal(groupState("hall"), "off");
+            assert.ok(log.some((line) => {
+                return line.includes("No longer ignoring changes to 'hall'.");
+            }));
+        });
+
+        test("only fires an oscillation event when asked to", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off",
+                                         {oscillation: {changes: 2, window_ms: 5e3}});
+
+            for (const state of [true, false, true])
+            {
+                device.setRelayState(state);
+                await watcher.checkAllAndUpdate();
+            }
+
+            assert.equal(groupState("hall"), "off");
+            assert.deepEqual(output.events, []);
+        });
+    });
+
+    describe("delivering states", () => {
+        test("retries with backoff, sending only the latest state", async (t) => {
+            const log = captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "on");
+
+            let failing  = true;
+            let attempts = [];
+            const setState = output.setState.bind(output);
+            t.mock.method(output, "setState", async (a_entity_id, a_state, a_attributes) => {
+                attempts.push({state: a_state, failed: failing, at: Date.now()});
+                if (failing)
+                {
+                    throw new Error("Home Assistant is down");
+                }
+                return await setState(a_entity_id, a_state, a_attributes);
+            });
+
+            // Each change is sent at once, doubling the wait for the next retry.
+            for (const relay_state of [true, false, true])
+            {
+                device.setRelayState(relay_state);
+                await watcher.checkAllAndUpdate();
+            }
+            failing = false;
+            assert.deepEqual(attempts.map((attempt) => { return attempt.state; }),
+                             ["on", "off", "on"]);
+            assert.equal(groupState("hall"), "off");
+            assert.equal(log.filter((line) => {
+                return line.includes("Could not update 'binary_sensor.hall', will keep trying");
+            }).length, 1);
+
+            await waitFor(() => { return attempts.length == 4; }, 6e3);
+            assert.equal(attempts[3].state, "on");
+            assert.equal(attempts[3].failed, false);
+            const waited_ms = attempts[3].at - attempts[2].at;
+            assert.ok(waited_ms >= 4e3 - 20, waited_ms);
+            assert.equal(groupState("hall"), "on");
+            assert.ok(log.some((line) => { return line.includes("Updated 'binary_sensor.hall'."); }));
+
+            await sleep(200);
+            assert.equal(attempts.length, 4);
+        });
+    });
+
+    describe("state file", () => {
+        let directory = null;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), "kasa-watch-"));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        test("restores the state of a group after a restart", async (t) => {
+            captureLog(t);
+            const file_path = path.join(directory, "state.json");
+            const [, second] = await startDevices({relay_state: true}, {relay_state: true});
+            const hosts = ["127.0.0.101", "127.0.0.102"];
+            let state_file = new StateFile(file_path);
+            assert.deepEqual(await state_file.load(), {});
+            await watcher.addSwitchGroup("hall", hosts, "off", {mode: "majority"});
+            state_file.follow(watcher);
+
+            // A tie keeps the group on, but the default state would break it.
+            second.setRelayState(false);
+            await watcher.checkAllAndUpdate();
+            const saved = {hall: {state:    "on",
+                                  switches: {"127.0.0.101": "on", "127.0.0.102": "off"}}};
+            await waitFor(() => {
+                return (fs.existsSync(file_path) &&
+                        fs.readFileSync(file_path, "utf8").includes(`"127.0.0.102": "off"`));
+            });
+            assert.deepEqual(JSON.parse(fs.readFileSync(file_path, "utf8")),
+                             {binary_sensors: saved});
+
+            await watcher.stop();
+            output     = new RecordingOutput();
+            watcher    = new KasaWatcher(output, KASA_TIMEOUT_MS, true);
+            state_file = new StateFile(file_path);
+            const saved_states = await state_file.load();
+            assert.deepEqual(saved_states, saved);
+            await watcher.addSwitchGroup("hall", hosts, "off",
+                                         {mode: "majority", saved_state: saved_states.hall});
+
+            assert.equal(watcher.getGroupStates()["hall"].state, "on");
+        });
+    });
+
+    describe("logging", () => {
+        test("logs JSON lines with the group and host", async (t) => {
+            const log = captureLog(t);
+            logger.configure("debug", "json");
+            t.after(() => { logger.configure("info", "text"); });
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off");
+
+            log.length = 0;
+            device.setRelayState(true);
+            await watcher.checkAllAndUpdate();
+
+            const lines = log.map((line) => {
+                const {time, ...fields} = JSON.parse(line);
+                assert.ok(!isNaN(Date.parse(time)), time);
+                return fields;
+            });
+            assert.deepEqual(lines.slice(0, 2),
+                             [{level:   "debug",
+                               message: `'127.0.0.101' changed to "on".`,
+                               group:   "hall",
+                               host:    "127.0.0.101",
+                               state:   "on"},
+                              {level:          "debug",
+                               message:        `'hall' changed to "on".`,
+                               group:          "hall",
+                               state:          "on",
+                               previous_state: "off"}]);
+        });
+    });
+
+    describe("gestures", () => {
+        const GESTURES = {double_toggle: {toggles: 2, within_ms: 500}};
+
+        /**
+         * Flick a switch on and off again, waiting for each state to be
+         * polled.
+         *
+         * @param {FakeKasaDevice} a_device          The switch.
+         * @param {string}         [a_group="hall"]  The group it is in.
+         */
+        const doubleToggle = async (a_device, a_group="hall") => {
+            const polled = (a_state) => {
+                return () => {
+                    return watcher.getGroupStates()[a_group].switches[a_device.host] == a_state;
+                };
+            };
+            a_device.setRelayState(true);
+            await waitFor(polled("on"));
+            a_device.setRelayState(false);
+            await waitFor(polled("off"));
+        };
+
+        test("fires an event for a gesture", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off", {gestures: GESTURES});
+            // The history of a switch starts with the first poll.
+            await watcher.checkAllAndUpdate();
+            watcher.start(POLL_INTERVAL_MS);
+
+            await doubleToggle(device);
+            await waitFor(() => { return output.events.length == 1; });
+            assert.deepEqual(output.events[0],
+                             {event_type: "kasa_watch_gesture",
+                              event_data: {host:    "127.0.0.101",
+                                           group:   "hall",
+                                           gesture: "double_toggle"}});
+        });
+
+        test("forgets a gesture being made when stopped", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off", {gestures: GESTURES});
+            // The history of a switch starts with the first poll.
+            await watcher.checkAllAndUpdate();
+            watcher.start(POLL_INTERVAL_MS);
+
+            await doubleToggle(device);
+            await watcher.stop();
+            await sleep(GESTURES.double_toggle.within_ms * 2);
+            assert.deepEqual(output.events, []);
+        });
+
+        test("keeps the gestures being made when stopped to reload", async (t) => {
+            captureLog(t);
+            const [first, second] = await startDevices({relay_state: false},
+                                                       {relay_state: false});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off", {gestures: GESTURES});
+            await watcher.addSwitchGroup("porch", ["127.0.0.102"], "off", {gestures: GESTURES});
+            // The history of a switch starts with the first poll.
+            await watcher.checkAllAndUpdate();
+            watcher.start(POLL_INTERVAL_MS);
+
+            await Promise.all([doubleToggle(first), doubleToggle(second, "porch")]);
+            await watcher.stop(false);
+            watcher.removeSwitchGroup("porch");
+            watcher.start(POLL_INTERVAL_MS);
+
+            await waitFor(() => { return output.events.length == 1; });
+            await sleep(GESTURES.double_toggle.within_ms);
+            assert.deepEqual(output.events.map((event) => { return event.event_data.group; }),
+                             ["hall"]);
+        });
+    });
+
+    describe("power sensors", () => {
+        test("publishes each reading as a sensor", async (t) => {
+            captureLog(t);
+            await startDevices({energy: {power:   60.5,
+                                         voltage: 120.1,
+                                         current: 0.5,
+                                         total:   1.25}});
+
+            await watcher.addPowerSensor("heater", "127.0.0.101");
+
+            const measurement = (a_unit, a_device_class) => {
+                return {unit_of_measurement: a_unit,
+                        device_class:        a_device_class,
+                        state_class:         "measurement"};
+            };
+            assert.deepEqual(output.states,
+                             {"sensor.heater_power":   {state:      60.5,
+                                                        attributes: measurement("W", "power")},
+                              "sensor.heater_voltage": {state:      120.1,
+                                                        attributes: measurement("V", "voltage")},
+                              "sensor.heater_current": {state:      0.5,
+                                                        attributes: measurement("A", "current")},
+                              "sensor.heater_energy":  {state:      1.25,
+                                                        attributes: {
+                                                            unit_of_measurement: "kWh",
+                                                            device_class:        "energy",
+                                                            state_class:         "total_increasing"
+                                                        }}});
+        });
+
+        test("only sends the readings that changed enough", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({energy: {power: 60, voltage: 120}});
+            await watcher.addPowerSensor("heater", "127.0.0.101", {power: 5});
+            watcher.start(POLL_INTERVAL_MS);
+            let sent = [];
+            watcher.on("stateSent", (event) => { sent.push([event.entity_id, event.state]); });
+
+            device.setEnergyReadings({power: 63, voltage: 121});
+            await waitFor(() => { return output.states["sensor.heater_voltage"].state == 121; });
+            assert.equal(output.states["sensor.heater_power"].state, 60);
+
+            device.setEnergyReadings({power: 66});
+            await waitFor(() => { return output.states["sensor.heater_power"].state == 66; });
+            assert.deepEqual(sent, [["sensor.heater_voltage", 121], ["sensor.heater_power", 66]]);
+        });
+    });
+
+    describe("connectivity", () => {
+        test("logs when a switch is lost and when it is back", async (t) => {
+            const log = captureLog(t);
+            const hasLogged = (a_message) => {
+                return log.some((line) => { return line.includes(a_message); });
+            };
+            const [device] = await startDevices({relay_state: true});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off");
+            watcher.start(POLL_INTERVAL_MS);
+
+            let events = [];
+            watcher.on("hostDisconnected", (event) => { events.push(["lost", event.host]); });
+            watcher.on("hostReconnected", (event) => { events.push(["back", event.host]); });
+
+            await device.stop();
+            await waitFor(() => { return hasLogged("Could not connect to '127.0.0.101'."); });
+
+            // The first connection is logged as a reconnection too.
+            log.length = 0;
+            await device.start();
+            await waitFor(() => { return hasLogged("Reconnected to '127.0.0.101'."); });
+            assert.deepEqual(events, [["lost", "127.0.0.101"], ["back", "127.0.0.101"]]);
+            assert.equal(groupState("hall"), "on");
+        });
+
+        test("publishes connectivity binary sensors", async (t) => {
+            captureLog(t);
+            const [device] = await startDevices({relay_state: true});
+            await watcher.addSwitchGroup("hall", ["127.0.0.101"], "off",
+                                         {publish_connectivity: true});
+            watcher.start(POLL_INTERVAL_MS);
+
+            const entity_id = "binary_sensor.hall_127_0_0_101_connected";
+            assert.equal(output.states[entity_id].state, "on");
+
+            await device.stop();
+            await waitFor(() => { return output.states[entity_id].state == "off"; });
+        });
+    });
+});
@@ -0,0 +1,233 @@
+"use strict"
+
+/**
+ * Tests of the connection to the Home Assistant WebSocket API, against a fake
+ * Home Assistant that only speaks the WebSocket API.
+ */
+
+const assert            = require("assert").strict;
+const {describe, test,
+       beforeEach,
+       afterEach}       = require("node:test");
+const WebSocket         = require("ws");
+
+const {HomeAssistantWebSocket,
+       KasaWatcher,
+       RecordingOutput} = require("../index.js");
+const {FakeKasaDevice}  = require("../simulator.js");
+
+const {waitFor, captureLog} = require("./helpers.js");
+
+
+const TOKEN = "secret";
+
+
+/**
+ * A fake Home Assistant WebSocket API that authenticates with {@link TOKEN}
+ * and accepts subscriptions to `state_changed` events.
+ */
+class FakeHomeAssistant
+{
+    constructor()
+    {
+        this.server        = null;
+        this.sockets       = [];
+        this.requests      = [];
+        this.subscriptions = [];
+    }
+
+    /**
+     * Start listening on a free port.
+     *
+     * @returns {string}  The URL of Home Assistant.
+     */
+    async start()
+    {
+        this.server = new WebSocket.Server({host: "127.0.0.1", port: 0});
+        this.server.on("connection", (socket, request) => {
+            this.sockets.push(socket);
+            this.requests.push(request.url);
+            socket.on("message", (data) => { this._handleMessage(socket, JSON.parse(data)); });
+            socket.send(JSON.stringify({type: "auth_required", ha_version: "2024.1.0"}));
+        });
+        await new Promise((resolve) => { this.server.on("listening", resolve); });
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    async stop()
+    {
+        for (const socket of this.sockets)
+        {
+            socket.terminate();
+        }
+        await new Promise((resolve) => { this.server.close(resolve); });
+    }
+
+    /**
+     * Send a `state_changed` event to every subscription.
+     *
+     * @param {string}  a_entity_id  The entity that changed.
+     * @param {?string} a_state      Its new state, `null` if it was removed.
+     */
+    changeState(a_entity_id, a_state)
+    {
+        for (const subscription of this.subscriptions)
+        {
+            if (subscription.socket.readyState != WebSocket.OPEN)
+            {
+                continue;
+            }
+
+            const new_state = (a_state !== null
+                               ? {entity_id: a_entity_id,
+                                  state:     a_state,
+                                  context:   {id: `context-${a_state}`}}
+                               : null);
+            subscription.socket.send(JSON.stringify(
+                {id:    subscription.id,
+                 type:  "event",
+                 event: {event_type: "state_changed",
+                         data:       {entity_id: a_entity_id,
+                                      old_state: null,
+                                      new_state: new_state}}}));
+        }
+    }
+
+    _handleMessage(a_socket, a_message)
+    {
+        switch (a_message.type)
+        {
+        case "auth":
+            a_socket.send(JSON.stringify(
+                a_message.access_token == TOKEN
+                ? {type: "auth_ok", ha_version: "2024.1.0"}
+                : {type: "auth_invalid", message: "Invalid access token or password"}));
+            break;
+
+        case "subscribe_events":
+            assert.equal(a_message.event_type, "state_changed");
+            this.subscriptions.push({socket: a_socket, id: a_message.id});
+            a_socket.send(JSON.stringify({id:      a_message.id,
+                                          type:    "result",
+                                          success: true,
+                                          result:  null}));
+            break;
+        }
+    }
+};
+
+
+describe("HomeAssistantWebSocket", () => {
+    let home_assistant = null;
+    let url            = null;
+    let websocket      = null;
+
+    beforeEach(async () => {
+        home_assistant = new FakeHomeAssistant();
+        url            = await home_assistant.start();
+    });
+
+    afterEach(async () => {
+        if (websocket !== null)
+        {
+            websocket.stop();
+            websocket = null;
+        }
+        await home_assistant.stop();
+    });
+
+    test("authenticates and subscribes to state changes", async (t) => {
+        captureLog(t);
+        let subscribed = 0;
+        websocket = new HomeAssistantWebSocket(url + "/", TOKEN);
+        websocket.start(() => {}, () => { ++subscribed; });
+
+        await waitFor(() => { return subscribed == 1; });
+        assert.deepEqual(home_assistant.requests, ["/api/websocket"]);
+        assert.equal(home_assistant.subscriptions.length, 1);
+    });
+
+    test("reports state changes", async (t) => {
+        captureLog(t);
+        let changes = [];
+        websocket = new HomeAssistantWebSocket(url, TOKEN);
+        websocket.start((data) => { changes.push(data); }, () => {});
+        await waitFor(() => { return home_assistant.subscriptions.length == 1; });
+
+        home_assistant.changeState("binary_sensor.hall", "on");
+        await waitFor(() => { return changes.length == 1; });
+        assert.equal(changes[0].entity_id, "binary_sensor.hall");
+        assert.equal(changes[0].new_state.state, "on");
+    });
+
+    test("logs a token that is rejected", async (t) => {
+        const log = captureLog(t);
+        websocket = new HomeAssistantWebSocket(url, "wrong");
+        websocket.start(() => {}, () => {});
+
+        await waitFor(() => {
+            return log.some((line) => { return line.includes("rejected the WebSocket API token"); });
+        });
+        assert.equal(home_assistant.subscriptions.length, 0);
+    });
+
+    test("reconnects and subscribes again", async (t) => {
+        const log = captureLog(t);
+        let subscribed = 0;
+        let changes    = [];
+        websocket = new HomeAssistantWebSocket(url, TOKEN);
+        websocket.start((data) => { changes.push(data); }, () => { ++subscribed; });
+        await waitFor(() => { return subscribed == 1; });
+
+        home_assistant.sockets[0].terminate();
+        await waitFor(() => { return subscribed == 2; });
+        assert.ok(log.some((line) => { return line.includes("Not connected to the Home Assistant"); }));
+        assert.equal(home_assistant.sockets.length, 2);
+
+        home_assistant.changeState("binary_sensor.hall", "off");
+        await waitFor(() => { return changes.length == 1; });
+    });
+
+    test("doesn't reconnect once stopped", async (t) => {
+        captureLog(t);
+        let subscribed = 0;
+        websocket = new HomeAssistantWebSocket(url, TOKEN);
+        websocket.start(() => {}, () => { ++subscribed; });
+        await waitFor(() => { return subscribed == 1; });
+
+        const closed = new Promise((resolve) => { home_assistant.sockets[0].on("close", resolve); });
+        websocket.stop();
+        await closed;
+
+        // Twice the first reconnection delay.
+        await new Promise((resolve) => { setTimeout(resolve, 2e3); });
+        assert.equal(home_assistant.sockets.length, 1);
+    });
+
+    test("updates a group changed in Home Assistant", async (t) => {
+        captureLog(t);
+        const device = new FakeKasaDevice({host: "127.0.0.151", relay_state: false});
+        await device.start();
+        t.after(() => { return device.stop(); });
+
+        const output  = new RecordingOutput();
+        const watcher = new KasaWatcher(output, 500, true);
+        t.after(() => { return watcher.stop(); });
+        await watcher.addSwitchGroup("hall", ["127.0.0.151"], "off");
+
+        websocket = new HomeAssistantWebSocket(url, TOKEN);
+        websocket.start(
+            (data) => {
+                watcher.handleExternalState(data.entity_id,
+                                            data.new_state ? data.new_state.state : null,
+                                            data.new_state ? data.new_state.context.id : null,
+                                            true);
+            },
+            () => {});
+        await waitFor(() => { return home_assistant.subscriptions.length == 1; });
+
+        home_assistant.changeState("binary_sensor.hall", "on");
+        await waitFor(() => { return device.getRelayState(); });
+        assert.equal(watcher.getGroupStates()["hall"].state, "on");
+    });
+});